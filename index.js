@@ -4,8 +4,28 @@ import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { Store } from "./lib/store.js";
+import { compareProjects } from "./lib/compare.js";
+import { searchProject } from "./lib/search.js";
+import { exportRows, renderExport, writeExport, fileSafe } from "./lib/export.js";
+import { parseRecords, detectFormat, mapRecords, reportErrors, IMPORT_FORMATS } from "./lib/import.js";
+import { chunkText, headingMarker, stripHeadingMarkers, splitSections, sectionChunks, slugify } from "./lib/chunking.js";
+import { htmlToMarkdown } from "./lib/markdown.js";
+import { tableGrid, tableRecords, TABLE_MODES } from "./lib/tables.js";
+import { crawl, matchPattern, urlToChunkId } from "./lib/crawl.js";
+import { MediaWikiClient, resolveApi, infoboxFields } from "./lib/mediawiki.js";
+import { FetchCache } from "./lib/cache.js";
+import { ProfileStore, normalizeProfile } from "./lib/profiles.js";
+import { findClusters, describeClusters, DEFAULT_THRESHOLD as DEFAULT_DUPLICATE_THRESHOLD } from "./lib/dedupe.js";
+import { validateProject } from "./lib/schema.js";
+import { lintProject, LINT_RULES, DEFAULT_MIN_CHARS, DEFAULT_MAX_CHARS } from "./lib/lint.js";
+import { licenseReport, licenseViolations, attributionText } from "./lib/licenses.js";
+import { planReplace, describeReplace } from "./lib/replace.js";
+import { STANDARD_META } from "./lib/select.js";
+import { MERGE_STRATEGIES, DEFAULT_RENAME_SUFFIX } from "./lib/conflicts.js";
 import WebSocket from "ws";
 import * as cheerio from "cheerio";
+import { join } from "path";
+import { readFileSync, writeFileSync, statSync } from "fs";
 
 const store = new Store(process.env.DATA_DIR);
 
@@ -43,96 +63,582 @@ async function apiCall(method, path, body) {
 // URL PARSING HELPERS
 // ============================================
 
-const CHUNK_LIMIT = 2000;
+// Shared by parse_url, batch_parse_urls and rechunk
+const CHUNKING_PROPERTIES = {
+  chunk_size: { type: "number", description: "Maximum chunk size in chunk_unit. Default: 2000 chars / 500 tokens" },
+  chunk_unit: { type: "string", enum: ["chars", "tokens"], description: "Unit for chunk_size, chunk_overlap and min_chunk_size. 'tokens' uses an estimate (~4 characters per token, one per CJK character). Default: chars" },
+  chunk_overlap: { type: "number", description: "Text repeated from the end of each chunk at the start of the next, in whole sentences where possible. Default: 0" },
+  min_chunk_size: { type: "number", description: "A last chunk smaller than this is merged into the previous one. Default: 0" },
+};
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; TryllDatasetBuilder/1.2)';
+
+// Every page fetch goes through the on-disk cache (HTTP_CACHE, HTTP_CACHE_TTL,
+// HTTP_CACHE_OFFLINE)
+const httpCache = new FetchCache(join(store.dataDir, 'http-cache'), async (url, headers) => {
+  const res = await fetch(url, { headers: { 'User-Agent': USER_AGENT, ...headers } });
+  return {
+    status: res.status,
+    text: res.ok ? await res.text() : '',
+    contentType: res.headers.get('content-type') || '',
+    etag: res.headers.get('etag') || undefined,
+    lastModified: res.headers.get('last-modified') || undefined,
+  };
+});
 
-async function parseUrl(url) {
-  const res = await fetch(url, {
-    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; TryllDatasetBuilder/1.2)' },
-  });
-  if (!res.ok) throw new Error(`Failed to fetch ${url}: HTTP ${res.status}`);
-  const html = await res.text();
+// With `etag` / `lastModified` from an earlier fetch, a page that still
+// matches them comes back as { notModified: true }; `revalidate` asks the
+// server even when the cached copy is fresh.
+async function fetchText(url, options) {
+  return httpCache.fetch(url, options);
+}
+
+async function parseUrl(url, options) {
+  const { text } = await fetchText(url);
+  return parsePage(text, url, options);
+}
+
+const profiles = new ProfileStore(join(store.dataDir, 'extraction-profiles'));
+
+// With `sections`, h1–h4 headings are kept as markers and the page is also
+// returned as heading-delimited sections (see splitSections). With
+// output: 'markdown' the main content is converted to Markdown instead of
+// flattened to plain text. With `collectLinks`, every link on the page
+// (navigation included) is returned for crawling. What counts as content,
+// title and infobox comes from the extraction profile (named, or matched by
+// domain).
+function parsePage(html, url, { sections = false, output = 'text', links = false, collectLinks = false, profile: profileName, tables = 'text' } = {}) {
+  const profile = profiles.resolve(url, profileName);
   const $ = cheerio.load(html);
+  const pageLinks = collectLinks ? $('a[href]').map((_, a) => $(a).attr('href')).get() : undefined;
 
   // Extract page title
-  const pageTitle = $('title').first().text().trim()
-    || $('h1').first().text().trim()
-    || '';
+  let pageTitle = '';
+  for (const sel of profile.title) {
+    pageTitle = $(sel).first().text().trim();
+    if (pageTitle) break;
+  }
 
   // Extract wiki infobox metadata
   const infobox = {};
-  $('.infobox tr, .sidebar tr, .wikitable.infobox tr, table.infobox tr').each((_, row) => {
-    const $row = $(row);
-    const key = $row.find('th').first().text().trim().replace(/\s+/g, ' ');
-    const val = $row.find('td').first().text().trim().replace(/\s+/g, ' ');
-    if (key && val && key.length < 60 && val.length < 200) {
-      infobox[key] = val;
-    }
-  });
+  for (const field of profile.fields) {
+    $(field.rows).each((_, row) => {
+      const $row = $(row);
+      const rawKey = $row.find(field.key).first().text().trim().replace(/\s+/g, ' ');
+      const val = $row.find(field.value).first().text().trim().replace(/\s+/g, ' ');
+      const key = Object.hasOwn(profile.rename, rawKey) ? profile.rename[rawKey] : rawKey;
+      if (key && val && key.length < 60 && val.length < 200) {
+        infobox[key] = val;
+      }
+    });
+  }
 
   // Remove noise elements
-  $('script, style, nav, footer, header, .sidebar, .infobox, .navbox, .mw-editsection, .reference, .reflist, #mw-navigation, .noprint, .toc').remove();
+  if (profile.remove.length) $(profile.remove.join(', ')).remove();
 
   // Extract main text
-  const mainContent = $('article, main, #mw-content-text, #content, .mw-parser-output, #bodyContent, .entry-content, .post-content').first();
-  let text = '';
-  if (mainContent.length) {
-    text = mainContent.text();
+  const mainContent = profile.content.length ? $(profile.content.join(', ')).first() : $([]);
+  const root = mainContent.length ? mainContent : $('body');
+  const dataTables = extractTables($, root, url, { mode: tables, output, links });
+  let text;
+  if (output === 'markdown') {
+    text = htmlToMarkdown($, root, { links, baseUrl: url, headingMarkers: sections });
   } else {
-    text = $('body').text();
+    if (sections) {
+      root.find('h1, h2, h3, h4').each((_, el) => {
+        $(el).text(headingMarker(Number(el.tagName[1]), $(el).text().replace(/\s+/g, ' ').trim()));
+      });
+    }
+    // Clean up whitespace
+    text = root.text()
+      .replace(/\t/g, ' ')
+      .replace(/[ ]{2,}/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
   }
 
-  // Clean up whitespace
-  text = text
-    .replace(/\t/g, ' ')
-    .replace(/[ ]{2,}/g, ' ')
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+  const page = { text, pageTitle, infobox, source: url, links: pageLinks, profile: profile.name, tables: dataTables };
+  if (sections) return { ...page, text: stripHeadingMarkers(text), sections: splitSections(text) };
+  return page;
+}
+
+// Table handling before text extraction. 'text' leaves tables to be flattened
+// with the rest of the page, 'markdown' swaps each for a GFM table, 'skip'
+// drops them, and 'rows' takes every data table (header row, 2+ columns) out
+// of the page and returns it as { caption, section, headers, rows } for
+// one-chunk-per-row import.
+function extractTables($, root, url, { mode = 'text', output, links }) {
+  if (!TABLE_MODES.includes(mode)) throw new Error(`Unknown table mode "${mode}". Use one of: ${TABLE_MODES.join(', ')}`);
+  if (mode === 'text' || (mode === 'markdown' && output === 'markdown')) return undefined;
+  const cellText = (node) => $(node).text().replace(/\s+/g, ' ').trim();
+  const found = [];
+  let section = '';
+  root.find('h1, h2, h3, h4, table').each((_, el) => {
+    if (el.tagName !== 'table') { section = cellText(el); return; }
+    if ($(el).parents('table').length) return;
+    if (mode === 'skip') { $(el).remove(); return; }
+    if (mode === 'markdown') {
+      $(el).replaceWith($('<div></div>').text(`\n\n${htmlToMarkdown($, $(el), { links, baseUrl: url })}\n\n`));
+      return;
+    }
+    const grid = tableGrid(el);
+    const records = tableRecords(grid, cellText);
+    if (!records) return;
+    found.push({ caption: grid.caption ? cellText(grid.caption) : '', section, ...records });
+    $(el).remove();
+  });
+  return mode === 'rows' ? found : undefined;
+}
+
+function parseOptions(args) {
+  return { sections: args.chunk_by === 'sections', output: args.output, links: !!args.keep_links, profile: args.profile, tables: args.tables };
+}
+
+function chunkOptions(args) {
+  return { size: args.chunk_size, unit: args.chunk_unit, overlap: args.chunk_overlap, minSize: args.min_chunk_size };
+}
+
+const SOURCE_OPTIONS = ['chunk_by', 'output', 'keep_links', 'profile', 'tables', 'chunk_size', 'chunk_unit', 'chunk_overlap', 'min_chunk_size'];
+
+// The parse arguments a page's chunks were made with, kept with the source
+// (see store.bulkAddChunks) so refresh_sources can repeat them
+function sourceOptions(args, extra = {}) {
+  const options = { ...extra };
+  for (const key of SOURCE_OPTIONS) if (args[key] !== undefined) options[key] = args[key];
+  return options;
+}
+
+function replaceArgs(args) {
+  return {
+    find: args.find, replace: args.replace, field: args.field, regex: args.regex, caseSensitive: args.case_sensitive,
+    wholeWord: args.whole_word, category: args.category, ids: args.ids, filter: args.filter,
+  };
+}
+
+function mergeArgs(args) {
+  return { strategy: args.strategy, suffix: args.suffix, timestampField: args.timestamp_field, dryRun: args.dry_run, limit: args.limit };
+}
+
+function lintArgs(args) {
+  return { category: args.category, rules: args.rules, minSeverity: args.min_severity, minChars: args.min_chars, maxChars: args.max_chars, limit: args.limit };
+}
 
-  return { text, pageTitle, infobox, source: url };
+// Chunks for one parsed page, ready for bulkAddChunks / the bulk chunks API
+function pageChunks(parsed, baseId, args, extraMetadata = {}) {
+  const license = args.license || 'CC BY-NC-SA 3.0';
+  const chunks = parsed.sections
+    ? sectionChunks(parsed.sections, baseId, chunkOptions(args))
+    : chunkText(parsed.text, baseId, chunkOptions(args));
+  const main = chunks.map(ch => ({
+    id: ch.id, text: ch.text,
+    metadata: { page_title: parsed.pageTitle, source: parsed.source, license, ...parsed.infobox, ...extraMetadata, ...ch.metadata },
+  }));
+  const rows = tableRowChunks(parsed, baseId, license, new Set(main.map(ch => ch.id)));
+  return rows.length ? [...main.filter(ch => ch.text), ...rows] : main;
 }
 
-function splitTextIntoChunks(text, baseId, limit = CHUNK_LIMIT) {
-  if (text.length <= limit) {
-    return [{ id: baseId, text }];
+// One chunk per data-table row (tables: 'rows'): a "<page> — <table>" line
+// followed by "Header: value" lines, with the header cells as custom fields.
+// IDs: <baseId>_<caption or section>_<first cell>, e.g. creeper_drops_gunpowder.
+function tableRowChunks(parsed, baseId, license, usedIds) {
+  const out = [];
+  for (const table of parsed.tables || []) {
+    const label = table.caption || table.section || 'Table';
+    const tableId = `${baseId}_${slugify(label).slice(0, 40) || 'table'}`;
+    table.rows.forEach((values, r) => {
+      const rowId = `${tableId}_${slugify(values[0]).slice(0, 40) || r + 1}`;
+      let id = rowId;
+      for (let n = 2; usedIds.has(id); n++) id = `${rowId}_${n}`;
+      usedIds.add(id);
+      const fields = {};
+      const lines = [[parsed.pageTitle, label].filter(Boolean).join(' — ')];
+      table.headers.forEach((header, i) => {
+        if (!values[i]) return;
+        fields[[...STANDARD_META, 'table'].includes(header) ? `${header}_column` : header] = values[i];
+        lines.push(`${header}: ${values[i]}`);
+      });
+      out.push({
+        id,
+        text: lines.join('\n'),
+        metadata: { page_title: parsed.pageTitle, source: parsed.source, license, ...fields, table: label },
+      });
+    });
   }
+  return out;
+}
 
-  const chunks = [];
-  let remaining = text;
-  let index = 1;
-
-  while (remaining.length > 0) {
-    let cutPoint = limit;
-    if (remaining.length > limit) {
-      // Try to cut at paragraph boundary
-      const paraBreak = remaining.lastIndexOf('\n\n', limit);
-      if (paraBreak > limit * 0.3) {
-        cutPoint = paraBreak;
-      } else {
-        // Try sentence boundary
-        const sentBreak = remaining.lastIndexOf('. ', limit);
-        if (sentBreak > limit * 0.3) {
-          cutPoint = sentBreak + 1;
-        }
-      }
-    } else {
-      cutPoint = remaining.length;
+// addChunks(category, chunks, source) for tools that fill several
+// categories, creating missing ones on the way
+function localChunkAdder(project) {
+  const known = new Set(store.listCategories(project).map(c => c.name.toLowerCase()));
+  return async (category, chunks, source) => {
+    if (!known.has(category.toLowerCase())) {
+      store.createCategory(project, category);
+      known.add(category.toLowerCase());
     }
+    return store.bulkAddChunks(project, category, chunks, { source });
+  };
+}
 
-    chunks.push({
-      id: `${baseId}_${index}`,
-      text: remaining.substring(0, cutPoint).trim(),
+async function remoteChunkAdder(project) {
+  const p = encodeURIComponent(project);
+  const known = new Set((await apiCall('GET', `/api/projects/${p}/categories`)).map(c => c.name.toLowerCase()));
+  return async (category, chunks) => {
+    if (!known.has(category.toLowerCase())) {
+      await apiCall('POST', `/api/projects/${p}/categories`, { name: category, session: sessionCode, source: 'mcp' });
+      known.add(category.toLowerCase());
+    }
+    return apiCall('POST', `/api/projects/${p}/categories/${encodeURIComponent(category)}/chunks/bulk`, {
+      chunks, session: sessionCode, source: 'mcp',
     });
-    remaining = remaining.substring(cutPoint).trim();
-    index++;
+  };
+}
+
+// What parse_url would do with a page, without writing anything
+async function previewExtraction(args) {
+  const parsed = await parseUrl(args.url, parseOptions(args));
+  const chunks = pageChunks(parsed, args.chunk_id || urlToChunkId(args.url), args).filter(ch => ch.text);
+  const maxChars = args.max_chars ?? 3000;
+  return {
+    url: args.url,
+    profile: parsed.profile,
+    pageTitle: parsed.pageTitle,
+    fields: parsed.infobox,
+    chars: parsed.text.length,
+    sections: parsed.sections?.map(sec => sec.path.map(h => h.heading).filter(Boolean).join(' > ') || 'Introduction'),
+    chunks: chunks.map(ch => ({ id: ch.id, chars: ch.text.length, section: ch.metadata.section })),
+    text: parsed.text.length > maxChars ? `${parsed.text.slice(0, maxChars)}…` : parsed.text,
+    truncated: parsed.text.length > maxChars || undefined,
+  };
+}
+
+// ============================================
+// CRAWLING
+// ============================================
+
+// Crawls a site, adding each page's chunks through addChunks(category, chunks)
+async function crawlSite(args, addChunks) {
+  const rules = args.category_rules || [];
+  const usedIds = new Set();
+  const pages = [];
+  const summary = await crawl({
+    seeds: args.urls || [],
+    sitemap: args.sitemap,
+    maxDepth: args.max_depth,
+    maxPages: args.max_pages,
+    include: args.include || [],
+    exclude: args.exclude || [],
+    respectRobots: args.respect_robots !== false,
+    delayMs: args.delay_ms,
+  }, {
+    fetchText,
+    userAgent: USER_AGENT,
+    visit: async (url, html, depth) => {
+      const parsed = parsePage(html, url, { ...parseOptions(args), collectLinks: true });
+      const category = rules.find(r => matchPattern(r.pattern, url))?.category || args.category;
+      const base = (args.id_prefix || '') + urlToChunkId(url);
+      let chunkId = base;
+      for (let n = 2; usedIds.has(chunkId); n++) chunkId = `${base}_${n}`;
+      usedIds.add(chunkId);
+      const chunks = pageChunks(parsed, chunkId, args).filter(ch => ch.text);
+      const source = { url: parsed.source, baseId: chunkId, options: sourceOptions(args) };
+      const r = chunks.length ? await addChunks(category, chunks, source) : { added: 0, errors: 0 };
+      pages.push({ url, depth, category, chunk_id: chunkId, chunks: chunks.length, added: r.added, errors: r.errors });
+      return parsed.links;
+    },
+  });
+  return { ...summary, chunksAdded: pages.reduce((sum, pg) => sum + pg.added, 0), pages };
+}
+
+// ============================================
+// SOURCE REFRESH
+// ============================================
+
+// Re-fetches every source URL of a project (or category) and re-runs the
+// pipeline the chunks were made with (parse_url, or the wiki API for
+// import_mediawiki pages) with the same settings, unless overridden by
+// `args`; the store works out what changed.
+async function refreshSources(args) {
+  const sources = store.listSources(args.project, { category: args.category, sources: args.sources });
+  const clients = new Map();
+  const results = [];
+  for (const src of sources) {
+    try {
+      const stored = { ...src.options, ...sourceOptions(args) };
+      const options = { ...stored, license: src.license };
+      if (stored.api) {
+        if (!clients.has(stored.api)) {
+          clients.set(stored.api, new MediaWikiClient(stored.api, async (url) => JSON.parse((await fetchText(url, { revalidate: true })).text)));
+        }
+        const client = clients.get(stored.api);
+        const meta = (await client.pageInfo([stored.title])).get(stored.title);
+        if (meta.missing) throw new Error(`Wiki page "${stored.title}" not found`);
+        const { chunks } = await mediaWikiPageChunks(client, meta, src.baseId, options);
+        results.push({ url: src.url, baseId: src.baseId, options: stored, chunks });
+        continue;
+      }
+      const validators = args.force ? {} : { etag: src.etag, lastModified: src.lastModified };
+      const page = await fetchText(src.url, { ...validators, revalidate: true });
+      if (page.notModified) { results.push({ url: src.url, notModified: true }); continue; }
+      const parsed = parsePage(page.text, src.url, parseOptions(options));
+      results.push({
+        url: src.url, etag: page.etag, lastModified: page.lastModified, baseId: src.baseId, options: stored,
+        chunks: pageChunks(parsed, src.baseId, options).filter(ch => ch.text),
+      });
+    } catch (err) {
+      results.push({ url: src.url, error: err.message });
+    }
   }
+  return store.refreshSources(args.project, results, { category: args.category, dryRun: args.dry_run, force: args.force });
+}
+
+// ============================================
+// MEDIAWIKI
+// ============================================
 
+async function fetchJson(url) {
+  return JSON.parse((await fetchText(url)).text);
+}
+
+// Section chunk sources point at the section anchor reported by the API
+function anchorSources(chunks, apiSections, url) {
+  const anchors = apiSections.map(sec => ({ line: cheerio.load(sec.line).text().trim(), anchor: sec.anchor }));
+  let cursor = 0;
+  const bySection = new Map();
+  for (const ch of chunks) {
+    const { section, heading_path: path } = ch.metadata;
+    if (!section || section === 'Introduction') continue;
+    if (!bySection.has(path + '\u0000' + section)) {
+      const idx = anchors.findIndex((a, i) => i >= cursor && a.line === section);
+      if (idx >= 0) cursor = idx + 1;
+      bySection.set(path + '\u0000' + section, idx >= 0 ? anchors[idx].anchor : null);
+    }
+    const anchor = bySection.get(path + '\u0000' + section);
+    if (anchor) ch.metadata.source = `${url}#${anchor}`;
+  }
   return chunks;
 }
 
+// Chunks of one wiki page (from client.pageInfo) rendered through the API,
+// with revision metadata, template fields and section-anchor sources
+async function mediaWikiPageChunks(client, meta, chunkId, options) {
+  const page = await client.parse(meta.title);
+  const parsed = parsePage(page.html, meta.url, parseOptions(options));
+  const templateFields = infoboxFields(page.wikitext, (name) => matchPattern(options.infobox_template || '*infobox*', name));
+  parsed.pageTitle = page.title;
+  if (Object.keys(templateFields).length) parsed.infobox = templateFields;
+  const chunks = anchorSources(pageChunks(parsed, chunkId, options, {
+    revision_id: String(page.revid ?? meta.revid ?? ''),
+    last_modified: meta.timestamp || '',
+  }), page.sections, meta.url).filter(ch => ch.text);
+  return { page, chunks };
+}
+
+// Imports pages through the wiki's api.php: named pages, the members of a
+// wiki category (with subcategories) and/or search results.
+async function importMediaWiki(args, addChunks) {
+  const client = new MediaWikiClient(await resolveApi(args.api, fetchJson), fetchJson);
+  const site = await client.siteInfo();
+  const limit = args.limit ?? 50;
+
+  const titles = [];
+  const failed = [];
+  for (const page of args.pages || []) {
+    try {
+      titles.push(await client.titleFrom(page));
+    } catch (err) {
+      failed.push({ title: page, error: err.message });
+    }
+  }
+  if (args.wiki_category) titles.push(...await client.categoryMembers(args.wiki_category, { depth: args.category_depth ?? 1, limit }));
+  if (args.search) titles.push(...await client.search(args.search, { limit }));
+  const unique = [...new Set(titles)];
+  if (!unique.length && !failed.length) throw new Error('Nothing to import: provide "pages", "wiki_category" or "search" (or they matched no pages)');
+
+  const info = await client.pageInfo(unique);
+  const options = { ...args, chunk_by: args.chunk_by || 'sections', license: args.license || site.license || undefined };
+  const pages = [];
+  for (const title of unique) {
+    const meta = info.get(title);
+    if (meta.missing) { failed.push({ title, error: 'Page not found' }); continue; }
+    try {
+      const chunkId = (args.id_prefix || '') + (slugify(meta.title) || 'page');
+      const { page, chunks } = await mediaWikiPageChunks(client, meta, chunkId, options);
+      const source = { url: meta.url, baseId: chunkId, options: sourceOptions(options, { api: client.api, title: page.title, infobox_template: args.infobox_template }) };
+      const r = chunks.length ? await addChunks(args.category, chunks, source) : { added: 0, errors: 0 };
+      pages.push({ title: page.title, url: meta.url, revision: page.revid, chunk_id: chunkId, chunks: chunks.length, added: r.added, errors: r.errors });
+    } catch (err) {
+      failed.push({ title, error: err.message });
+    }
+  }
+
+  return {
+    wiki: site.name, license: options.license || null, pages: pages.length, failed: failed.length,
+    chunksAdded: pages.reduce((sum, pg) => sum + pg.added, 0),
+    details: pages, failedDetails: failed.length ? failed : undefined,
+  };
+}
+
+// ============================================
+// IMPORT / EXPORT HELPERS
+// ============================================
+
+// Export files live next to the project data: <project>[.<category>].export.<ext>,
+// with the names made file-safe (web-app projects and categories can be named anything)
+function exportBasePath(project, category) {
+  return join(store.dataDir, category ? `${fileSafe(project)}.${fileSafe(category)}` : fileSafe(project));
+}
+
+function writeAttribution(rows, args, target, basePath) {
+  const fp = `${basePath}.ATTRIBUTION.md`;
+  writeFileSync(fp, attributionText(rows, { project: args.project, target }), 'utf-8');
+  return fp;
+}
+
+// export_project / export_category with the project's license policy applied
+// ('refuse' fails on any violation, 'exclude' drops the offending chunks) and
+// the attribution file written next to the export (or returned inline)
+function licensedExport(rows, policy, args, basePath) {
+  const target = args.target_license || policy?.target;
+  let excluded = [];
+  if (args.license_policy && args.license_policy !== 'ignore') {
+    if (!target) throw new Error('No license policy declared for this project. Set one with set_license_policy or pass target_license.');
+    excluded = licenseViolations(rows, { target, allowUnknown: policy?.allowUnknown });
+    if (excluded.length && args.license_policy === 'refuse') {
+      const sample = excluded.slice(0, 5).map(v => `${v.id} (${v.license || 'no license'}: ${v.reason})`).join('; ');
+      throw new Error(`Export refused: ${excluded.length} chunk${excluded.length === 1 ? '' : 's'} violate the license policy (target ${target}): ${sample}${excluded.length > 5 ? '; ...' : ''}. See license_report, or export with license_policy "exclude".`);
+    }
+    const ids = new Set(excluded.map(v => v.id));
+    rows = rows.filter(r => !ids.has(r.entry.id));
+  }
+  const result = args.save_to_file ? writeExport(args.format, rows, basePath) : renderExport(args.format, rows);
+  if (excluded.length) {
+    result.excluded = excluded.length;
+    result.excludedDetails = excluded.slice(0, 100);
+  }
+  if (args.attribution) {
+    if (args.save_to_file) result.attributionFile = writeAttribution(rows, args, target, basePath);
+    else result.attribution = attributionText(rows, { project: args.project, target });
+  }
+  return result;
+}
+
+function licenseReportResult(rows, policy, args) {
+  const target = args.target_license || policy?.target;
+  const result = {
+    project: args.project,
+    ...licenseReport(rows, { target, allowUnknown: policy?.allowUnknown, limit: args.limit }),
+  };
+  if (args.write_attribution) result.attributionFile = writeAttribution(rows, args, target, exportBasePath(args.project, args.category));
+  return result;
+}
+
+// Reads the import_data source (file, raw content or inline array) into records.
+function readImportRecords(args) {
+  if (Array.isArray(args.data)) {
+    return { records: args.data, rows: null, errors: [] };
+  }
+  const format = (args.format || detectFormat(args.path) || '').toLowerCase();
+  if (!format) throw new Error('Cannot detect the import format; set "format" to one of: ' + IMPORT_FORMATS.join(', '));
+  let content = args.content;
+  if (content === undefined && args.path) content = readFileSync(args.path, 'utf-8');
+  if (content === undefined) throw new Error('Provide "path", "content" or "data"');
+  return parseRecords(content, format, { delimiter: args.delimiter, recordsPath: args.records_path });
+}
+
+function importOptions(args, parsed) {
+  return {
+    mapping: args.mapping || {},
+    idTemplate: args.id_template,
+    categoryColumn: args.category_column,
+    defaultCategory: args.category || 'Imported',
+    defaultLicense: args.license,
+    rows: parsed.rows,
+    parseErrors: parsed.errors,
+    dryRun: !!args.dry_run,
+  };
+}
+
+// Local project edits by tool name, shared by the tool handlers and
+// apply_batch (which runs them all inside one store.batch)
+const EDIT_OPERATIONS = {
+  create_category: (args) => store.createCategory(args.project, args.name),
+  rename_category: (args) => store.renameCategory(args.project, args.old_name, args.new_name),
+  delete_category: (args) => store.deleteCategory(args.project, args.name),
+  add_chunk: (args) => store.addChunk(args.project, args.category, { id: args.id, text: args.text, metadata: args.metadata }),
+  bulk_add_chunks: (args) => store.bulkAddChunks(args.project, args.category, args.chunks),
+  update_chunk: (args) => store.updateChunk(args.project, args.id, {
+    newId: args.new_id, text: args.text, page_title: args.page_title,
+    source: args.source, license: args.license, metadata: args.metadata,
+  }),
+  delete_chunk: (args) => store.deleteChunk(args.project, args.id),
+  duplicate_chunk: (args) => store.duplicateChunk(args.project, args.id),
+  move_chunk: (args) => store.moveChunk(args.project, args.id, args.target_category),
+  find_replace: (args) => store.findReplace(args.project, { ...replaceArgs(args), dryRun: args.dry_run, limit: args.limit }),
+  bulk_delete: (args) => store.bulkDelete(args.project, args.filter, { dryRun: args.dry_run }),
+  bulk_move: (args) => store.bulkMove(args.project, args.filter, args.target_category, { dryRun: args.dry_run }),
+  bulk_set_metadata: (args) => store.bulkSetMetadata(args.project, args.filter, { set: args.set, unset: args.unset }, { dryRun: args.dry_run }),
+  bulk_retag: (args) => store.bulkRetag(args.project, args.filter, { add: args.add, remove: args.remove, field: args.field }, { dryRun: args.dry_run }),
+  bulk_update_metadata: (args) => store.bulkUpdateMetadata(args.project, args.field, args.value, args.category),
+  set_metadata_schema: (args) => store.setMetadataSchema(args.project, { fields: args.fields, strict: args.strict }),
+};
+
+// Runs the operations in order against one in-memory copy of the project:
+// saved with a single history commit if all succeed, discarded otherwise.
+// An operation that reports per-item errors (a duplicate ID in
+// bulk_add_chunks, a schema rejection in bulk_set_metadata) fails the batch.
+function applyBatch(project, operations) {
+  if (!Array.isArray(operations) || !operations.length) throw new Error('"operations" must be a non-empty array');
+  operations.forEach((op, i) => {
+    if (!EDIT_OPERATIONS[op?.tool]) {
+      throw new Error(`Operation ${i + 1}: unknown or unsupported tool "${op?.tool}". Supported: ${Object.keys(EDIT_OPERATIONS).join(', ')}`);
+    }
+  });
+  const { result, changes } = store.batch(project, () => operations.map((op, i) => {
+    let res;
+    try {
+      res = EDIT_OPERATIONS[op.tool]({ ...op.args, project });
+    } catch (err) {
+      throw new Error(`Operation ${i + 1} (${op.tool}) failed: ${err.message}. The batch was rolled back; nothing was saved.`);
+    }
+    const failed = res.details?.[0] || res.errorDetails?.[0];
+    if (failed) {
+      throw new Error(`Operation ${i + 1} (${op.tool}) failed for "${failed.id}": ${failed.reason}. The batch was rolled back; nothing was saved.`);
+    }
+    // Later operations keep editing the objects some results point into
+    return { tool: op.tool, result: JSON.parse(JSON.stringify(res)) };
+  }));
+  return { project, applied: result.length, committed: changes.length > 0, results: result };
+}
+
 // ============================================
 // TOOL DEFINITIONS
 // ============================================
 
+// Conflict handling shared by import_json and merge_projects (see lib/conflicts.js)
+const MERGE_PROPERTIES = {
+  strategy: { type: "string", enum: MERGE_STRATEGIES, description: "What to do with a chunk whose ID the project already has. skip: keep the existing chunk; overwrite: replace it, moving it into the incoming chunk's category; keep_newer: keep whichever version changed last; rename: add the incoming one under a suffixed ID; merge_metadata: keep the existing text and fill in metadata it lacks. Default: skip" },
+  suffix: { type: "string", description: `ID suffix for the rename strategy (creeper -> creeper${DEFAULT_RENAME_SUFFIX}, then creeper${DEFAULT_RENAME_SUFFIX}_2). Default: ${DEFAULT_RENAME_SUFFIX}` },
+  timestamp_field: { type: "string", description: "For keep_newer: metadata field holding each chunk's last-modified date, used where it parses as a date" },
+  dry_run: { type: "boolean", description: "Report what would happen, listing every conflicting ID with the differences between the existing (from) and incoming (to) versions, without saving. Default: false" },
+  limit: { type: "number", description: "Maximum number of conflicts listed. Default: 100" },
+};
+
+// Chunk selector shared by the filtered bulk tools and find_replace (see lib/select.js)
+const FILTER_PROPERTY = {
+  type: "object",
+  description: "Which chunks to act on; every condition given must match. Text and metadata patterns are case-insensitive substrings, or /regex/flags. Example: { category: 'Mobs', metadata: { source: '/wiki/Category:Biomes' }, max_length: 50 }",
+  properties: {
+    category: { type: "array", items: { type: "string" }, description: "Only chunks in one of these categories" },
+    ids: { type: "array", items: { type: "string" }, description: "Chunk ID patterns ('*' wildcards, or /regex/)" },
+    text: { type: "string", description: "Substring or /regex/ the chunk text must match" },
+    metadata: { type: "object", additionalProperties: { type: "string" }, description: "Field name -> substring or /regex/ its value must match (page_title, source, license or a custom field)" },
+    min_length: { type: "number", description: "Minimum text length in characters" },
+    max_length: { type: "number", description: "Maximum text length in characters" },
+    missing: { type: "array", items: { type: "string" }, description: "Chunks where any of these fields is absent or empty" },
+  },
+};
+
 const TOOLS = [
   // ---- Session ----
   {
@@ -364,31 +870,38 @@ const TOOLS = [
   // ---- Search & Export ----
   {
     name: "search_chunks",
-    description: "Search for chunks by ID or text content across the entire project. Returns matching chunks with preview.",
+    description: "Ranked full-text search (BM25) across the project's chunk text, IDs and page titles. Supports phrases (\"silently approaches\"), OR, NOT / -term, parentheses, prefix* matching and field filters such as category:Mobs, source:*minecraft.wiki*, license:\"CC BY-SA 4.0\" or any custom metadata field (health:20). Returns scored results with highlighted snippets, paged with limit/offset.",
     inputSchema: {
       type: "object",
       properties: {
         project: { type: "string", description: "Project name" },
-        query: { type: "string", description: "Search query (searches in chunk ID and text)" },
+        query: { type: "string", description: "Search query. Terms are ANDed by default. Field filters use field:value (id, category, text, page_title, source, license or a custom field) with * and ? wildcards; other word: prefixes such as URLs are searched as text." },
+        limit: { type: "number", description: "Maximum results to return. Default: 20" },
+        offset: { type: "number", description: "Number of ranked results to skip (for paging). Default: 0" },
       },
       required: ["project", "query"],
     },
   },
   {
     name: "export_project",
-    description: "Export the project as a flat JSON array — compatible with Dataset Builder web app and ready for RAG systems. Each entry has id, text, and metadata.",
+    description: "Export the project — by default as a flat JSON array compatible with the Dataset Builder web app and ready for RAG systems (each entry has id, text, and metadata). Also supports JSONL, CSV, a Markdown bundle (one file per category) and ready-to-load Chroma, Qdrant and LangChain layouts.",
     inputSchema: {
       type: "object",
       properties: {
         project: { type: "string", description: "Project name" },
-        save_to_file: { type: "boolean", description: "If true, saves to a .export.json file in the data directory. Default: false (returns JSON in response)." },
+        save_to_file: { type: "boolean", description: "If true, streams the export to a file in the data directory (<project>.export.<ext>, or a <project>.export.md/ folder for markdown). Default: false (returns the export in the response)." },
+        format: { type: "string", enum: ["json", "jsonl", "csv", "markdown", "chroma", "qdrant", "langchain"], description: "Output format. json (default): flat array; jsonl: one entry per line; csv: one row per chunk with a column per metadata field; markdown: one file per category for human review; chroma: ids/documents/metadatas for collection.add; qdrant: points with payloads (add vectors yourself); langchain: Document objects (page_content + metadata)." },
+        include_category: { type: "boolean", description: "Add the chunk's category name as a 'category' metadata field. Default: false" },
+        license_policy: { type: "string", enum: ["ignore", "refuse", "exclude"], description: "Check chunk licenses against the project's license policy (set_license_policy) first: 'refuse' fails if any chunk violates it, 'exclude' leaves violating chunks out. Default: ignore" },
+        target_license: { type: "string", description: "Target license to check against instead of the declared policy's, e.g. 'CC BY-SA 4.0'" },
+        attribution: { type: "boolean", description: "Also generate an ATTRIBUTION.md listing every source page by site and license: written next to the export with save_to_file, else returned as 'attribution'. Default: false" },
       },
       required: ["project"],
     },
   },
   {
     name: "import_json",
-    description: "Import a JSON array of chunks into a project. Expected format: [{id, text, metadata}, ...]. Skips entries with duplicate IDs.",
+    description: "Import a JSON array of chunks into a project. Expected format: [{id, text, metadata}, ...]. Entries whose ID already exists are skipped unless a strategy says otherwise (overwrite, keep_newer, rename, merge_metadata); every conflict is reported with both versions' differences. For keep_newer an entry counts as changed when the file was written unless timestamp_field gives its date; inline data has no time otherwise, so its conflicts are skipped as 'no time to compare'.",
     inputSchema: {
       type: "object",
       properties: {
@@ -396,6 +909,41 @@ const TOOLS = [
         category: { type: "string", description: "Category to import into (default: 'Imported')" },
         json_path: { type: "string", description: "Absolute path to the JSON file to import" },
         data: { type: "array", description: "Or provide the JSON array directly instead of a file path", items: { type: "object" } },
+        ...MERGE_PROPERTIES,
+      },
+      required: ["project"],
+    },
+  },
+  {
+    name: "import_data",
+    description: "Import CSV, TSV, JSONL or arbitrary JSON with a field mapping. Picks the text, ID and metadata columns (defaults understand text/content/body, title, url, and this server's own exports), can generate missing IDs from a template, routes rows to categories by a column value, and reports per-row errors. Use dry_run to check a mapping first.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name (will be created if it doesn't exist)" },
+        path: { type: "string", description: "Absolute path to the file to import (format detected from .csv/.tsv/.jsonl/.ndjson/.json)" },
+        content: { type: "string", description: "Or the raw file content (requires format)" },
+        data: { type: "array", description: "Or the records directly", items: { type: "object" } },
+        format: { type: "string", enum: ["csv", "tsv", "jsonl", "json"], description: "Input format (default: from the file extension)" },
+        delimiter: { type: "string", description: "CSV delimiter (default: ',' for csv, tab for tsv)" },
+        records_path: { type: "string", description: "For JSON that isn't a top-level array: dotted path to the array of records, e.g. 'data.items'" },
+        mapping: {
+          type: "object",
+          description: "Which field feeds which chunk property. Values are column names or dotted paths into nested JSON. Unset properties use defaults; when 'fields' is unset every other scalar column becomes a custom field.",
+          properties: {
+            id: { type: "string", description: "ID column (default: 'id')" },
+            text: { description: "Text column, or array of columns joined with blank lines (default: first of text, content, body, page_content, document)", anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] },
+            page_title: { type: "string", description: "Default: first of page_title, title" },
+            source: { type: "string", description: "Default: first of source, url" },
+            license: { type: "string", description: "Default: 'license'" },
+            fields: { description: "Custom fields: array of columns, or an object of {field_name: column}", anyOf: [{ type: "array", items: { type: "string" } }, { type: "object" }] },
+          },
+        },
+        id_template: { type: "string", description: "Template for rows without an ID, e.g. '{title}_{n}'. Placeholders are column names (slugified) and {n} (row number). Generated IDs that collide get _2, _3 suffixes." },
+        category: { type: "string", description: "Category for rows (default: 'Imported'); with category_column, the fallback for rows with an empty value" },
+        category_column: { type: "string", description: "Column whose value picks each row's category (created as needed)" },
+        license: { type: "string", description: "License for rows without one (default: 'CC BY-NC-SA 3.0')" },
+        dry_run: { type: "boolean", description: "Map and validate without importing; returns counts, errors and a preview. Default: false" },
       },
       required: ["project"],
     },
@@ -404,7 +952,7 @@ const TOOLS = [
   // ---- URL Parsing ----
   {
     name: "parse_url",
-    description: "Fetch a web page, extract its text content, and auto-create chunks. If text exceeds 2000 characters, it auto-splits into multiple chunks with _1, _2 suffixes. Extracts page title and source URL as metadata. For wiki pages, extracts infobox/sidebar data as custom metadata fields.",
+    description: "Fetch a web page, extract its text content, and auto-create chunks. Text over the chunk size (default 2000 characters) is split at sentence boundaries into chunks with _1, _2 suffixes, optionally overlapping. Extracts page title and source URL as metadata. For wiki pages, extracts infobox/sidebar data as custom metadata fields.",
     inputSchema: {
       type: "object",
       properties: {
@@ -413,6 +961,12 @@ const TOOLS = [
         url: { type: "string", description: "URL to fetch and parse" },
         chunk_id: { type: "string", description: "Base chunk ID. If text is split, becomes chunk_id_1, chunk_id_2, etc." },
         license: { type: "string", description: "License for the content. Default: CC BY-NC-SA 3.0" },
+        output: { type: "string", enum: ["text", "markdown"], description: "'text' (default): plain text. 'markdown': keep headings, lists, tables, code blocks and emphasis as Markdown." },
+        keep_links: { type: "boolean", description: "With output 'markdown', keep links as [text](absolute URL). Default: false" },
+        chunk_by: { type: "string", enum: ["size", "sections"], description: "'size' (default): split the page text by chunk_size. 'sections': one chunk per h1–h4 section (split further only if over chunk_size), IDs from the heading (chunk_id_drops) and 'section' / 'heading_path' metadata." },
+        profile: { type: "string", description: "Extraction profile (see list_extraction_profiles). Default: the profile matching the URL's domain, else 'default'" },
+        tables: { type: "string", enum: ["text", "markdown", "rows", "skip"], description: "Table handling. 'text' (default): flattened with the page text. 'markdown': each table as a Markdown table in place. 'rows': every data table becomes one chunk per row ('Header: value' lines, header cells as custom fields, IDs like chunk_id_drops_gunpowder). 'skip': drop tables." },
+        ...CHUNKING_PROPERTIES,
       },
       required: ["project", "category", "url", "chunk_id"],
     },
@@ -438,12 +992,270 @@ const TOOLS = [
           },
         },
         license: { type: "string", description: "License for all content. Default: CC BY-NC-SA 3.0" },
+        output: { type: "string", enum: ["text", "markdown"], description: "Same as parse_url: 'text' (default) or 'markdown'" },
+        keep_links: { type: "boolean", description: "With output 'markdown', keep links. Default: false" },
+        chunk_by: { type: "string", enum: ["size", "sections"], description: "Same as parse_url: 'size' (default) or 'sections' for one chunk per heading section" },
+        profile: { type: "string", description: "Extraction profile (see list_extraction_profiles). Default: matched by each URL's domain" },
+        tables: { type: "string", enum: ["text", "markdown", "rows", "skip"], description: "Same as parse_url: 'text' (default), 'markdown', 'rows' (one chunk per table row) or 'skip'" },
+        ...CHUNKING_PROPERTIES,
       },
       required: ["project", "category", "urls"],
     },
   },
+  {
+    name: "crawl_site",
+    description: "Crawl a website from seed URLs and/or a sitemap.xml, following same-site links breadth-first up to max_depth / max_pages, and import every page like parse_url. Honours robots.txt (Disallow/Allow, Crawl-delay) and include/exclude URL patterns, derives chunk IDs from URL paths (/w/Iron_Golem → iron_golem), and can route pages to categories by URL pattern. Categories are created as needed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Category for pages that match no category_rules entry" },
+        urls: { type: "array", items: { type: "string" }, description: "Seed URLs. Only links on the seeds' sites are followed." },
+        sitemap: { type: "string", description: "URL of a sitemap.xml (or sitemap index) whose pages are crawled as seeds" },
+        max_depth: { type: "number", description: "How many links away from a seed to follow. Default: 2 (0 = only the seeds / sitemap pages)" },
+        max_pages: { type: "number", description: "Maximum number of pages to import. Default: 50" },
+        include: { type: "array", items: { type: "string" }, description: "Only crawl URLs matching one of these patterns ('*' wildcards over the full URL, or /regex/)" },
+        exclude: { type: "array", items: { type: "string" }, description: "Skip URLs matching any of these patterns" },
+        category_rules: {
+          type: "array",
+          description: "First matching rule picks the page's category, e.g. [{pattern: '*/w/*_(mob)', category: 'Mobs'}]",
+          items: {
+            type: "object",
+            properties: {
+              pattern: { type: "string", description: "URL pattern ('*' wildcards or /regex/)" },
+              category: { type: "string", description: "Category name" },
+            },
+            required: ["pattern", "category"],
+          },
+        },
+        id_prefix: { type: "string", description: "Prefix for the chunk IDs derived from URLs" },
+        respect_robots: { type: "boolean", description: "Obey robots.txt. Default: true" },
+        delay_ms: { type: "number", description: "Minimum delay between requests (robots.txt Crawl-delay wins if longer). Default: 250" },
+        license: { type: "string", description: "License for all content. Default: CC BY-NC-SA 3.0" },
+        output: { type: "string", enum: ["text", "markdown"], description: "Same as parse_url: 'text' (default) or 'markdown'" },
+        keep_links: { type: "boolean", description: "With output 'markdown', keep links. Default: false" },
+        chunk_by: { type: "string", enum: ["size", "sections"], description: "Same as parse_url: 'size' (default) or 'sections'" },
+        profile: { type: "string", description: "Extraction profile (see list_extraction_profiles). Default: matched by each URL's domain" },
+        tables: { type: "string", enum: ["text", "markdown", "rows", "skip"], description: "Same as parse_url: 'text' (default), 'markdown', 'rows' (one chunk per table row) or 'skip'" },
+        ...CHUNKING_PROPERTIES,
+      },
+      required: ["project", "category"],
+    },
+  },
+  {
+    name: "import_mediawiki",
+    description: "Import pages from a MediaWiki site through its API (api.php) instead of scraping HTML: named pages, every page in a wiki category (recursing into subcategories), or search results. Chunks per section by default, with section anchors as sources; adds revision_id and last_modified metadata, takes the license from the wiki, and maps infobox template parameters to custom fields.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Category to add chunks into (created if missing)" },
+        api: { type: "string", description: "The wiki's api.php URL, or any URL on the wiki (api.php is looked up at /w/api.php and /api.php)" },
+        pages: { type: "array", items: { type: "string" }, description: "Page titles or page URLs" },
+        wiki_category: { type: "string", description: "Import the pages of this wiki category, e.g. 'Hostile mobs'" },
+        category_depth: { type: "number", description: "Levels of subcategories to include with wiki_category. Default: 1" },
+        search: { type: "string", description: "Import the pages found by this wiki search" },
+        limit: { type: "number", description: "Maximum pages from wiki_category and from search. Default: 50" },
+        infobox_template: { type: "string", description: "Which templates are infoboxes ('*' wildcards or /regex/ against the template name). Default: '*infobox*'" },
+        id_prefix: { type: "string", description: "Prefix for chunk IDs (IDs come from page titles: 'Iron Golem' → iron_golem)" },
+        license: { type: "string", description: "License for the content. Default: the wiki's license from the API" },
+        chunk_by: { type: "string", enum: ["size", "sections"], description: "'sections' (default): one chunk per section. 'size': split the whole page by chunk_size." },
+        output: { type: "string", enum: ["text", "markdown"], description: "Same as parse_url: 'text' (default) or 'markdown'" },
+        keep_links: { type: "boolean", description: "With output 'markdown', keep links. Default: false" },
+        ...CHUNKING_PROPERTIES,
+      },
+      required: ["project", "category", "api"],
+    },
+  },
+
+  {
+    name: "refresh_sources",
+    description: "Re-fetch the source URLs of chunks created by parse_url, batch_parse_urls, crawl_site or import_mediawiki and update the chunks in place when a page has changed: changed chunks are updated, new ones added and vanished ones removed. Pages are re-parsed with the options they were imported with (wiki pages through the MediaWiki API, updating revision_id and last_modified); options given here override them. Uses ETag/Last-Modified and content hashes to skip unchanged pages. Chunks with a 'manual_edit' field set to 'true', or edited since the last refresh, are left alone. Returns a per-source change report.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Only refresh chunks in this category" },
+        sources: { type: "array", items: { type: "string" }, description: "Only refresh these source URLs. Default: every URL source in the project/category" },
+        dry_run: { type: "boolean", description: "Report what would change without changing anything. Default: false" },
+        force: { type: "boolean", description: "Re-fetch and re-compare even when the page reports it is unchanged. Default: false" },
+        chunk_by: { type: "string", enum: ["size", "sections"], description: "How to split pages. Default: as the chunks were made" },
+        output: { type: "string", enum: ["text", "markdown"], description: "Same as parse_url. Default: as the chunks were made" },
+        keep_links: { type: "boolean", description: "With output 'markdown', keep links. Default: as the chunks were made" },
+        profile: { type: "string", description: "Extraction profile (see list_extraction_profiles). Default: as the chunks were made, else matched by each URL's domain" },
+        tables: { type: "string", enum: ["text", "markdown", "rows", "skip"], description: "Same as parse_url: 'text', 'markdown', 'rows' (one chunk per table row) or 'skip'. Default: as the chunks were made" },
+        ...CHUNKING_PROPERTIES,
+      },
+      required: ["project"],
+    },
+  },
 
   // ---- Bulk Operations ----
+  {
+    name: "rechunk",
+    description: "Re-split existing chunks with new chunking settings (size in characters or estimated tokens, overlap, minimum size). Parts of an earlier split (<id>_1, <id>_2, ... from the same source) are joined back together first — dropping any overlap — so a page can be re-cut as a whole. Metadata is copied from the first part.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Only rechunk this category" },
+        ids: { type: "array", items: { type: "string" }, description: "Only rechunk these chunks (a base ID like 'creeper' selects creeper_1, creeper_2, ...). Default: all chunks" },
+        join_parts: { type: "boolean", description: "Join <id>_1, <id>_2, ... parts before re-splitting. Default: true" },
+        ...CHUNKING_PROPERTIES,
+      },
+      required: ["project"],
+    },
+  },
+  {
+    name: "find_duplicates",
+    description: "Find clusters of near-duplicate chunks (e.g. the same wiki section scraped from mirror pages, or overlapping split chunks) using local MinHash text similarity. Each cluster names the best-sourced member to keep (real source URL first, then page title, longer text, more metadata). Read-only; use resolve_duplicates to clean up.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Optional: only compare chunks within this category" },
+        threshold: { type: "number", description: "Minimum Jaccard similarity of 3-word shingles (0-1) for two chunks to count as duplicates; lower values compare more pairs and run slower. Default: 0.8" },
+      },
+      required: ["project"],
+    },
+  },
+  {
+    name: "resolve_duplicates",
+    description: "Clean up near-duplicate clusters found by find_duplicates: keep one chunk per cluster and delete the others. In 'merge' mode the kept chunk first inherits metadata fields it is missing from the removed ones; clusters whose merged chunk wouldn't match the metadata schema are skipped and reported.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Optional: only consider chunks within this category" },
+        threshold: { type: "number", description: "Same similarity threshold used with find_duplicates. Default: 0.8" },
+        mode: { type: "string", enum: ["delete", "merge"], description: "'delete' removes redundant members; 'merge' copies their missing metadata onto the kept chunk first. Default: delete" },
+        keep: { type: "array", items: { type: "string" }, description: "Optional chunk IDs to keep instead of the automatically chosen member of their cluster" },
+        clusters: { type: "array", items: { type: "string" }, description: "Optional: only resolve clusters containing one of these chunk IDs. Default: all clusters" },
+      },
+      required: ["project"],
+    },
+  },
+  {
+    name: "lint_project",
+    description: "Dataset quality report: flags empty, very short or oversized chunks, leftover scraping junk ([edit], [1] citation markers, cookie banners, navigation text), broken encoding (mojibake like 'Ã©' or 'â€™', replacement and control characters), odd whitespace, missing source or page_title, IDs that break the project's naming style, and chunks that are mostly an infobox/table dump. Each issue has a severity (error, warning, info). With fix=true the safe ones (encoding, scrape_junk, whitespace) are repaired in place first.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Optional: only check this category" },
+        rules: { type: "array", items: { type: "string", enum: Object.keys(LINT_RULES) }, description: "Only run these rules. Default: all" },
+        min_severity: { type: "string", enum: ["info", "warning", "error"], description: "Hide issues below this severity. Default: info" },
+        min_chars: { type: "number", description: `Chunks shorter than this are too_short. Default: ${DEFAULT_MIN_CHARS}` },
+        max_chars: { type: "number", description: `Chunks longer than this are too_long. Default: ${DEFAULT_MAX_CHARS}` },
+        fix: { type: "boolean", description: "Repair fixable issues (encoding, scrape_junk, whitespace among the selected rules) before reporting. Fixes that would empty a chunk are skipped. Default: false" },
+        limit: { type: "number", description: "Maximum number of issues to list. Default: 200" },
+      },
+      required: ["project"],
+    },
+  },
+  {
+    name: "find_replace",
+    description: "Find and replace across many chunks at once: in the text, the chunk ID, a standard metadata field (page_title, source, license) or a named custom field. Literal or regular-expression patterns (replacement can use $1, $<name>, $&), scoped to a category, ID patterns and/or a chunk filter. Use dry_run to preview every change (before/after snippet per chunk) before applying; the real run applies all changes in a single save.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        find: { type: "string", description: "Text or regular expression to find" },
+        replace: { type: "string", description: "Replacement (may be empty to delete matches). With regex, $1 / $<name> insert capture groups and $& the whole match" },
+        field: { type: "string", description: "Where to search: 'text' (default), 'id', 'page_title', 'source', 'license' or a custom field name" },
+        regex: { type: "boolean", description: "Treat find as a JavaScript regular expression. Default: false (literal text)" },
+        case_sensitive: { type: "boolean", description: "Default: true" },
+        whole_word: { type: "boolean", description: "Only match whole words. Default: false" },
+        category: { type: "string", description: "Optional: only chunks in this category" },
+        ids: { type: "array", items: { type: "string" }, description: "Optional: only chunks whose ID matches one of these patterns ('*' wildcards, or /regex/)" },
+        filter: { ...FILTER_PROPERTY, description: "Optional: only chunks matching this filter (same as the bulk_* tools)" },
+        dry_run: { type: "boolean", description: "Preview the changes without saving. Default: false" },
+        limit: { type: "number", description: "Maximum number of chunks in the preview. Default: 50" },
+      },
+      required: ["project", "find", "replace"],
+    },
+  },
+  {
+    name: "bulk_delete",
+    description: "Delete every chunk matching a filter, e.g. all chunks shorter than 50 characters or without a source. Returns the deleted IDs. Use dry_run to see which chunks would go first.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        filter: FILTER_PROPERTY,
+        dry_run: { type: "boolean", description: "List the matching chunks without deleting them. Default: false" },
+      },
+      required: ["project", "filter"],
+    },
+  },
+  {
+    name: "bulk_move",
+    description: "Move every chunk matching a filter to another category, e.g. all chunks whose source matches /wiki/Category:Biomes to 'Biomes'. Returns the moved IDs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        filter: FILTER_PROPERTY,
+        target_category: { type: "string", description: "Category to move the chunks to (must exist)" },
+        dry_run: { type: "boolean", description: "List the chunks that would move without moving them. Default: false" },
+      },
+      required: ["project", "filter", "target_category"],
+    },
+  },
+  {
+    name: "bulk_set_metadata",
+    description: "Set and/or remove metadata fields on every chunk matching a filter. Standard fields (page_title, source, license) are emptied when unset; custom fields are removed. Changes that would break the project's metadata schema are skipped and reported. Returns the changed IDs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        filter: FILTER_PROPERTY,
+        set: { type: "object", additionalProperties: { type: "string" }, description: "Field name -> new value, e.g. { license: 'CC BY-SA 4.0', biome: 'desert' }" },
+        unset: { type: "array", items: { type: "string" }, description: "Fields to remove" },
+        dry_run: { type: "boolean", description: "List the chunks that would change without saving. Default: false" },
+      },
+      required: ["project", "filter"],
+    },
+  },
+  {
+    name: "bulk_retag",
+    description: "Add and/or remove tags on every chunk matching a filter. Tags are kept as a comma-separated custom field ('tags' by default); the field is removed when its last tag is. Returns the changed IDs.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        filter: FILTER_PROPERTY,
+        add: { type: "array", items: { type: "string" }, description: "Tags to add" },
+        remove: { type: "array", items: { type: "string" }, description: "Tags to remove" },
+        field: { type: "string", description: "Custom field holding the tags. Default: tags" },
+        dry_run: { type: "boolean", description: "List the chunks that would change without saving. Default: false" },
+      },
+      required: ["project", "filter"],
+    },
+  },
+  {
+    name: "apply_batch",
+    description: "Apply an ordered list of edits to one project atomically: every operation runs against the same in-memory copy, and the project is saved once with a single history commit only if all of them succeed. If any operation fails (or reports an item it couldn't apply, like a duplicate ID in bulk_add_chunks) nothing is saved and the error names the failing operation. Each operation is { tool, args } with the same args as that tool, minus project. Supported tools: create_category, rename_category, delete_category, add_chunk, bulk_add_chunks, update_chunk, delete_chunk, duplicate_chunk, move_chunk, find_replace, bulk_delete, bulk_move, bulk_set_metadata, bulk_retag, bulk_update_metadata, set_metadata_schema.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        operations: {
+          type: "array",
+          description: "Operations to run in order, e.g. [{ tool: 'create_category', args: { name: 'Biomes' } }, { tool: 'move_chunk', args: { id: 'desert', target_category: 'Biomes' } }]",
+          items: {
+            type: "object",
+            properties: {
+              tool: { type: "string", description: "Tool name" },
+              args: { type: "object", description: "The tool's arguments, without project" },
+            },
+            required: ["tool"],
+          },
+        },
+      },
+      required: ["project", "operations"],
+    },
+  },
   {
     name: "bulk_update_metadata",
     description: "Update a metadata field across ALL chunks in a project (or a specific category). Useful for setting license, source, or custom fields in bulk.",
@@ -460,34 +1272,126 @@ const TOOLS = [
   },
   {
     name: "merge_projects",
-    description: "Merge all categories and chunks from a source project into a target project. Categories with the same name are combined. Chunks with duplicate IDs are skipped.",
+    description: "Merge categories and chunks from a source project into a target project. Categories with the same name are combined. Chunks whose ID the target already has are skipped unless a strategy says otherwise (overwrite, keep_newer, rename, merge_metadata); every conflict is reported with both versions' differences. keep_newer compares when each version last changed, from the projects' history. Use dry_run to review conflicts first.",
     inputSchema: {
       type: "object",
       properties: {
         source: { type: "string", description: "Source project name (data is copied FROM here)" },
         target: { type: "string", description: "Target project name (data is merged INTO here)" },
+        categories: { type: "array", items: { type: "string" }, description: "Only merge these categories of the source. Default: all" },
+        ...MERGE_PROPERTIES,
       },
       required: ["source", "target"],
     },
   },
   {
     name: "export_category",
-    description: "Export a single category as a flat JSON array. Same format as export_project but filtered to one category.",
+    description: "Export a single category. Same formats and options as export_project but filtered to one category.",
     inputSchema: {
       type: "object",
       properties: {
         project: { type: "string", description: "Project name" },
         category: { type: "string", description: "Category name to export" },
-        save_to_file: { type: "boolean", description: "If true, saves to a file. Default: false." },
+        save_to_file: { type: "boolean", description: "If true, streams the export to a file in the data directory (<project>.<category>.export.<ext>). Default: false." },
+        format: { type: "string", enum: ["json", "jsonl", "csv", "markdown", "chroma", "qdrant", "langchain"], description: "Output format. json (default): flat array; jsonl: one entry per line; csv: one row per chunk with a column per metadata field; markdown: one file per category for human review; chroma: ids/documents/metadatas for collection.add; qdrant: points with payloads (add vectors yourself); langchain: Document objects (page_content + metadata)." },
+        include_category: { type: "boolean", description: "Add the chunk's category name as a 'category' metadata field. Default: false" },
+        license_policy: { type: "string", enum: ["ignore", "refuse", "exclude"], description: "Check chunk licenses against the project's license policy (set_license_policy) first: 'refuse' fails if any chunk violates it, 'exclude' leaves violating chunks out. Default: ignore" },
+        target_license: { type: "string", description: "Target license to check against instead of the declared policy's, e.g. 'CC BY-SA 4.0'" },
+        attribution: { type: "boolean", description: "Also generate an ATTRIBUTION.md listing every source page by site and license: written next to the export with save_to_file, else returned as 'attribution'. Default: false" },
       },
       required: ["project", "category"],
     },
   },
 
+  // ---- Metadata Schema ----
+  {
+    name: "set_metadata_schema",
+    description: "Declare the metadata fields a project's chunks must carry: type (string, number, integer, boolean, enum, url, date), required, allowed values, min/max, pattern and default. Once set, add_chunk, bulk_add_chunks, update_chunk, import_json, import_data and bulk_update_metadata reject chunks that don't match (defaults are filled in), and field names that differ from a declared one only in case or separators ('Health' for 'health') are flagged as typos. Replaces any existing schema; pass empty fields to remove it. Existing chunks are not changed — use validate_project to list the ones that violate it.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        fields: {
+          type: "object",
+          description: "Field name -> spec, e.g. { \"health\": { \"type\": \"number\", \"required\": true, \"min\": 0 }, \"behavior\": { \"type\": \"enum\", \"values\": [\"hostile\", \"neutral\", \"passive\"] }, \"added\": { \"type\": \"date\", \"default\": \"2024-01-01\" } }. Spec keys: type (default string; enum if only values is given), required, values (enum), min/max (number range or string length), pattern (regex for strings), default, description. Standard fields (page_title, source, license) can be declared too.",
+          additionalProperties: {
+            type: "object",
+            properties: {
+              type: { type: "string", enum: ["string", "number", "integer", "boolean", "enum", "url", "date"] },
+              required: { type: "boolean" },
+              values: { type: "array", items: { type: "string" } },
+              min: { type: "number" },
+              max: { type: "number" },
+              pattern: { type: "string" },
+              default: { type: ["string", "number", "boolean"] },
+              description: { type: "string" },
+            },
+          },
+        },
+        strict: { type: "boolean", description: "Reject custom fields the schema doesn't declare. Default: false" },
+      },
+      required: ["project", "fields"],
+    },
+  },
+  {
+    name: "get_metadata_schema",
+    description: "Show a project's metadata schema (null if it has none).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+      },
+      required: ["project"],
+    },
+  },
+  {
+    name: "validate_project",
+    description: "Check every chunk of a project against its metadata schema and list the violations: missing required fields, wrong types, values outside the allowed set, misspelt field names. Read-only.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Optional: only check this category" },
+        limit: { type: "number", description: "Maximum number of invalid chunks to list. Default: 100" },
+      },
+      required: ["project"],
+    },
+  },
+
+  // ---- Licensing ----
+  {
+    name: "set_license_policy",
+    description: "Declare the license the dataset will be distributed under (e.g. 'CC BY-SA 4.0'). license_report then flags chunks whose license is incompatible with it (NonCommercial content in a commercial dataset, ShareAlike content under a different license, NoDerivatives, all-rights-reserved), and export_project can refuse or exclude them. Pass an empty target_license to remove the policy.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        target_license: { type: "string", description: "License of the finished dataset, e.g. 'CC BY-NC-SA 3.0', 'CC BY-SA 4.0', 'CC0', 'MIT'" },
+        allow_unknown: { type: "boolean", description: "Don't count chunks with a missing or unrecognised license as violations. Default: false" },
+      },
+      required: ["project", "target_license"],
+    },
+  },
+  {
+    name: "license_report",
+    description: "License compliance report: chunks grouped by license (with the different spellings used) and by source domain, chunks with missing or unrecognised licenses, and — against the declared policy or target_license — chunks whose license is incompatible with it, with the reason. Can also write an ATTRIBUTION.md crediting every source page.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        category: { type: "string", description: "Optional: only report on this category" },
+        target_license: { type: "string", description: "Check against this license instead of the declared policy's" },
+        write_attribution: { type: "boolean", description: "Write <project>.ATTRIBUTION.md (or <project>.<category>.ATTRIBUTION.md) to the data directory. Default: false" },
+        limit: { type: "number", description: "Maximum number of problem chunks to list. Default: 100" },
+      },
+      required: ["project"],
+    },
+  },
+
   // ---- History ----
   {
     name: "get_history",
-    description: "Get version history (last 50 commits) for a project. Each commit shows who made the change (browser/MCP), what was changed, and when. Returns lightweight list without snapshots.",
+    description: "Get version history for a project (local mode keeps the last 50 commits by default; see HISTORY_* env vars). Each commit shows who made the change (browser/MCP), what was changed, and when. Returns lightweight list without snapshots.",
     inputSchema: {
       type: "object",
       properties: {
@@ -508,6 +1412,19 @@ const TOOLS = [
       required: ["project", "commit_id"],
     },
   },
+  {
+    name: "diff_commits",
+    description: "Compare two commits, or a commit against the current project, without returning full snapshots. Reports added/removed/moved chunks, renamed categories, and per-field changes (chunk ID renames, metadata, and a compact word diff of text). Chunks are matched by internal UID, so renames are reported as renames.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project name" },
+        from: { type: "string", description: "Commit UUID of the older state" },
+        to: { type: "string", description: "Commit UUID of the newer state. Omit (or pass 'current') to compare against the current project." },
+      },
+      required: ["project", "from"],
+    },
+  },
   {
     name: "rollback",
     description: "Rollback a project to a specific commit's state. Restores the project data from that commit's snapshot and creates a new 'rollback' commit in history. Safe: you can undo a rollback by rolling back to a later commit.",
@@ -520,8 +1437,133 @@ const TOOLS = [
       required: ["project", "commit_id"],
     },
   },
+
+  // ---- Extraction Profiles ----
+  {
+    name: "list_extraction_profiles",
+    description: "List the extraction profiles parse_url can use: built-in ones (default, mediawiki, fandom) and profiles saved in the data directory, with the domains each is matched to automatically.",
+    inputSchema: { type: "object", properties: {} },
+  },
+  {
+    name: "save_extraction_profile",
+    description: "Create or replace a named extraction profile: which element holds the content, which elements to strip, where the title is, which key/value rows become custom metadata fields and how to rename their keys. Applies automatically to URLs on its domains, or when named in the 'profile' parameter. Keys left out are taken from the 'default' profile. Saving a profile with a built-in name overrides the built-in.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Profile name (lowercase letters, digits, '-' and '_')" },
+        description: { type: "string", description: "What the profile is for" },
+        domains: { type: "array", items: { type: "string" }, description: "Hostnames it applies to automatically, '*' wildcards or /regex/ (e.g. '*.fandom.com', 'docs.example.com')" },
+        content: { type: "array", items: { type: "string" }, description: "CSS selectors of the content root; the first matching element is used, else <body>" },
+        remove: { type: "array", items: { type: "string" }, description: "CSS selectors of elements to strip before extracting text (navigation, ads, infoboxes...)" },
+        title: { type: "array", items: { type: "string" }, description: "CSS selectors for the page title, tried in order" },
+        fields: {
+          type: "array",
+          description: "Key/value rows that become custom metadata fields",
+          items: {
+            type: "object",
+            properties: {
+              rows: { type: "string", description: "Selector of each key/value row, e.g. '.portable-infobox .pi-data'" },
+              key: { type: "string", description: "Selector of the key inside a row. Default: 'th'" },
+              value: { type: "string", description: "Selector of the value inside a row. Default: 'td'" },
+            },
+            required: ["rows"],
+          },
+        },
+        rename: { type: "object", additionalProperties: { type: "string" }, description: "Rename extracted keys, e.g. { \"Health points\": \"health\" }; map a key to '' to drop it" },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    name: "delete_extraction_profile",
+    description: "Delete a saved extraction profile (built-in profiles can't be deleted; a saved profile overriding one is removed and the built-in applies again).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Profile name" },
+      },
+      required: ["name"],
+    },
+  },
+  {
+    name: "preview_extraction",
+    description: "Show what parse_url would extract from a URL — profile used, title, metadata fields, sections, text and chunk IDs/sizes — without writing any chunks. Use it to tune an extraction profile.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "URL to extract" },
+        profile: { type: "string", description: "Extraction profile to try. Default: the profile matching the URL's domain" },
+        tables: { type: "string", enum: ["text", "markdown", "rows", "skip"], description: "Same as parse_url: 'text' (default), 'markdown', 'rows' (one chunk per table row) or 'skip'" },
+        chunk_id: { type: "string", description: "Base chunk ID for the chunk preview. Default: derived from the URL" },
+        max_chars: { type: "number", description: "Show at most this much of the extracted text. Default: 3000" },
+        output: { type: "string", enum: ["text", "markdown"], description: "Same as parse_url. Default: text" },
+        keep_links: { type: "boolean", description: "With output 'markdown', keep links. Default: false" },
+        chunk_by: { type: "string", enum: ["size", "sections"], description: "Same as parse_url. Default: size" },
+        ...CHUNKING_PROPERTIES,
+      },
+      required: ["url"],
+    },
+  },
+
+  // ---- HTTP Cache ----
+  {
+    name: "inspect_http_cache",
+    description: "Show the on-disk cache of fetched pages used by parse_url, batch_parse_urls, crawl_site, import_mediawiki and refresh_sources: settings (TTL, offline mode), size, and the cached URLs with fetch time, freshness and validators.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url_pattern: { type: "string", description: "Only list URLs matching this pattern ('*' wildcards or /regex/)" },
+        limit: { type: "number", description: "Maximum URLs to list. Default: 100" },
+      },
+    },
+  },
+  {
+    name: "clear_http_cache",
+    description: "Remove pages from the HTTP cache: those matching url_pattern and/or fetched more than older_than_hours ago, or everything when neither is given.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        url_pattern: { type: "string", description: "Only remove URLs matching this pattern ('*' wildcards or /regex/)" },
+        older_than_hours: { type: "number", description: "Only remove pages fetched more than this many hours ago" },
+      },
+    },
+  },
+  {
+    name: "configure_http_cache",
+    description: "Change HTTP cache settings for this server session. Offline mode serves every fetch from the cache and fails for pages that aren't cached, for reproducible re-chunking and extraction tests. Returns the current settings.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        offline: { type: "boolean", description: "Serve pages only from the cache, never from the network" },
+        ttl_seconds: { type: "number", description: "How long a cached page is used without asking the server again (0 = always revalidate)" },
+        enabled: { type: "boolean", description: "Turn the cache off (every fetch goes to the network and nothing is stored) or back on" },
+      },
+    },
+  },
+
+  // ---- Storage ----
+  {
+    name: "migrate_storage",
+    description: "Copy every project and its version history in the local data directory from one storage backend to another ('json' files or an 'sqlite' database). Existing projects in the target are skipped unless overwrite is true. Set STORAGE_BACKEND and restart the server to switch to the migrated copy. Always runs against local storage, even while connected to the web app.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        to: { type: "string", enum: ["json", "sqlite"], description: "Target backend" },
+        from: { type: "string", enum: ["json", "sqlite"], description: "Source backend. Default: the backend the server is currently using." },
+        overwrite: { type: "boolean", description: "Replace projects that already exist in the target. Default: false." },
+      },
+      required: ["to"],
+    },
+  },
 ];
 
+// Tools that only make sense against the local data directory; they bypass the
+// web app even while a session is connected.
+const LOCAL_ONLY_TOOLS = new Set([
+  "migrate_storage", "inspect_http_cache", "clear_http_cache", "configure_http_cache",
+  "list_extraction_profiles", "save_extraction_profile", "delete_extraction_profile", "preview_extraction",
+]);
+
 // ============================================
 // LIST TOOLS
 // ============================================
@@ -614,10 +1656,19 @@ async function handleRemote(name, args) {
       return apiCall('POST', `/api/projects/${p(args.project)}/chunks/${p(args.id)}/move`, {
         targetCategory: args.target_category, session: s, source: 'mcp',
       });
-    case "search_chunks":
-      return apiCall('GET', `/api/projects/${p(args.project)}/search?q=${encodeURIComponent(args.query)}`);
-    case "export_project":
-      return apiCall('GET', `/api/projects/${p(args.project)}/export`);
+    case "search_chunks": {
+      // The web app only does substring search, so rank the fetched project locally
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      return searchProject(proj, args.query, { limit: args.limit, offset: args.offset });
+    }
+    case "export_project": {
+      if (!args.format && !args.include_category && !args.save_to_file && !args.license_policy && !args.attribution) {
+        return apiCall('GET', `/api/projects/${p(args.project)}/export`);
+      }
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      const rows = exportRows(proj, { includeCategory: args.include_category });
+      return licensedExport(rows, proj.licensePolicy, args, exportBasePath(args.project));
+    }
     case "import_json": {
       let jsonData = args.data;
       if (!jsonData && args.json_path) {
@@ -625,36 +1676,53 @@ async function handleRemote(name, args) {
         jsonData = JSON.parse(readFileSync(args.json_path, 'utf-8'));
       }
       if (!jsonData) throw new Error('Provide either "json_path" or "data" parameter');
+      if ((args.strategy && args.strategy !== 'skip') || args.dry_run) {
+        throw new Error('import_json strategies and dry_run are only available for local projects. Disconnect the session to use them.');
+      }
       return apiCall('POST', `/api/projects/${p(args.project)}/import`, {
         data: jsonData, category: args.category, session: s, source: 'mcp',
       });
     }
+    case "import_data": {
+      // Map locally, then send each category's rows through the import endpoint
+      const parsed = readImportRecords(args);
+      const options = importOptions(args, parsed);
+      const { chunks, errors } = mapRecords(parsed.records, options);
+      const groups = new Map();
+      for (const { category, chunk } of chunks) {
+        if (!groups.has(category)) groups.set(category, []);
+        const metadata = { ...chunk.metadata };
+        for (const cf of chunk.customFields) metadata[cf.key] = cf.value;
+        groups.get(category).push({ id: chunk.id, text: chunk.text, metadata });
+      }
+      const errorReport = reportErrors([...parsed.errors, ...errors]);
+      if (options.dryRun) {
+        return { project: args.project, dryRun: true, imported: chunks.length, categories: Object.fromEntries([...groups].map(([c, g]) => [c, g.length])), ...errorReport };
+      }
+      const categories = {};
+      for (const [category, data] of groups) {
+        categories[category] = await apiCall('POST', `/api/projects/${p(args.project)}/import`, {
+          data, category, session: s, source: 'mcp',
+        });
+      }
+      return { project: args.project, categories, ...errorReport };
+    }
     case "parse_url": {
-      const parsed = await parseUrl(args.url);
-      const chunks = splitTextIntoChunks(parsed.text, args.chunk_id);
-      const license = args.license || 'CC BY-NC-SA 3.0';
-      const chunkData = chunks.map(ch => ({
-        id: ch.id, text: ch.text,
-        metadata: { page_title: parsed.pageTitle, source: parsed.source, license, ...parsed.infobox },
-      }));
+      const parsed = await parseUrl(args.url, parseOptions(args));
+      const chunks = pageChunks(parsed, args.chunk_id, args);
       const result = await apiCall('POST', `/api/projects/${p(args.project)}/categories/${p(args.category)}/chunks/bulk`, {
-        chunks: chunkData, session: s, source: 'mcp',
+        chunks, session: s, source: 'mcp',
       });
-      return { ...result, pageTitle: parsed.pageTitle, chunksCreated: chunks.length, infoboxFields: Object.keys(parsed.infobox) };
+      return { ...result, pageTitle: parsed.pageTitle, chunksCreated: chunks.length, infoboxFields: Object.keys(parsed.infobox), profile: parsed.profile };
     }
     case "batch_parse_urls": {
       const results = [];
-      const license = args.license || 'CC BY-NC-SA 3.0';
       for (const entry of args.urls) {
         try {
-          const parsed = await parseUrl(entry.url);
-          const chunks = splitTextIntoChunks(parsed.text, entry.chunk_id);
-          const chunkData = chunks.map(ch => ({
-            id: ch.id, text: ch.text,
-            metadata: { page_title: parsed.pageTitle, source: parsed.source, license, ...parsed.infobox },
-          }));
+          const parsed = await parseUrl(entry.url, parseOptions(args));
+          const chunks = pageChunks(parsed, entry.chunk_id, args);
           const r = await apiCall('POST', `/api/projects/${p(args.project)}/categories/${p(args.category)}/chunks/bulk`, {
-            chunks: chunkData, session: s, source: 'mcp',
+            chunks, session: s, source: 'mcp',
           });
           results.push({ url: entry.url, chunk_id: entry.chunk_id, chunks: chunks.length, added: r.added, errors: r.errors });
         } catch (err) {
@@ -663,20 +1731,90 @@ async function handleRemote(name, args) {
       }
       return { parsed: results.filter(r => !r.error).length, failed: results.filter(r => r.error).length, results };
     }
+    case "crawl_site":
+      return crawlSite(args, await remoteChunkAdder(args.project));
+    case "import_mediawiki":
+      return importMediaWiki(args, await remoteChunkAdder(args.project));
+    case "find_duplicates": {
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      const threshold = args.threshold ?? DEFAULT_DUPLICATE_THRESHOLD;
+      const clusters = describeClusters(findClusters(proj, { category: args.category, threshold }));
+      return {
+        project: args.project, threshold, clusters: clusters.length,
+        redundantChunks: clusters.reduce((sum, c) => sum + c.members.length - 1, 0), details: clusters,
+      };
+    }
+    case "resolve_duplicates":
+      throw new Error('resolve_duplicates is only available for local projects. Disconnect the session to use it.');
+    case "rechunk":
+      throw new Error('rechunk is only available for local projects. Disconnect the session to use it.');
+    case "refresh_sources":
+      throw new Error('refresh_sources is only available for local projects. Disconnect the session to use it.');
+    case "set_metadata_schema":
+      throw new Error('set_metadata_schema is only available for local projects. Disconnect the session to use it.');
+    case "get_metadata_schema": {
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      return { project: args.project, schema: proj.metadataSchema || null };
+    }
+    case "validate_project": {
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      if (!proj.metadataSchema) return { project: args.project, valid: true, checked: 0, message: 'Project has no metadata schema.' };
+      return { project: args.project, ...validateProject(proj, { category: args.category, limit: args.limit }) };
+    }
+    case "find_replace": {
+      if (!args.dry_run) throw new Error('find_replace is only available for local projects (dry_run works in both). Disconnect the session to apply it.');
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      return { project: args.project, field: args.field || 'text', dryRun: true, ...describeReplace(planReplace(proj, replaceArgs(args)), { limit: args.limit }) };
+    }
+    case "set_license_policy":
+      throw new Error('set_license_policy is only available for local projects. Disconnect the session to use it.');
+    case "license_report": {
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      return licenseReportResult(exportRows(proj, { category: args.category }), proj.licensePolicy, args);
+    }
+    case "lint_project": {
+      if (args.fix) throw new Error('lint_project with fix is only available for local projects. Disconnect the session to use it.');
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      return { project: args.project, ...lintProject(proj, lintArgs(args)) };
+    }
+    case "bulk_delete":
+    case "bulk_move":
+    case "bulk_set_metadata":
+    case "bulk_retag":
+    case "apply_batch":
+      throw new Error(`${name} is only available for local projects. Disconnect the session to use it.`);
     case "bulk_update_metadata":
       return apiCall('POST', `/api/projects/${p(args.project)}/bulk-metadata`, {
         field: args.field, value: args.value, category: args.category, session: s, source: 'mcp',
       });
     case "merge_projects":
+      if ((args.strategy && args.strategy !== 'skip') || args.dry_run || args.categories?.length) {
+        throw new Error('merge_projects strategies, categories and dry_run are only available for local projects. Disconnect the session to use them.');
+      }
       return apiCall('POST', `/api/projects/${p(args.source)}/merge`, {
         target: args.target, session: s, source: 'mcp',
       });
-    case "export_category":
-      return apiCall('GET', `/api/projects/${p(args.project)}/categories/${p(args.category)}/export`);
+    case "export_category": {
+      if (!args.format && !args.include_category && !args.save_to_file && !args.license_policy && !args.attribution) {
+        return apiCall('GET', `/api/projects/${p(args.project)}/categories/${p(args.category)}/export`);
+      }
+      const proj = await apiCall('GET', `/api/projects/${p(args.project)}`);
+      const rows = exportRows(proj, { category: args.category, includeCategory: args.include_category });
+      return licensedExport(rows, proj.licensePolicy, args, exportBasePath(args.project, args.category));
+    }
     case "get_history":
       return apiCall('GET', `/api/projects/${p(args.project)}/history`);
     case "get_commit":
       return apiCall('GET', `/api/projects/${p(args.project)}/history/${args.commit_id}`);
+    case "diff_commits": {
+      const load = async (ref) => (!ref || ref === 'current')
+        ? { ref: { commit: 'current' }, data: await apiCall('GET', `/api/projects/${p(args.project)}`) }
+        : apiCall('GET', `/api/projects/${p(args.project)}/history/${ref}`)
+          .then(c => ({ ref: { commit: c.id, timestamp: c.timestamp, summary: c.summary }, data: c.snapshot }));
+      const from = await load(args.from);
+      const to = await load(args.to);
+      return { project: args.project, from: from.ref, to: to.ref, ...compareProjects(from.data, to.data) };
+    }
     case "rollback":
       return apiCall('POST', `/api/projects/${p(args.project)}/history/${args.commit_id}/rollback`, {
         session: s, source: 'mcp',
@@ -771,7 +1909,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
       result = { disconnected: true };
 
-    } else if (isConnected()) {
+    } else if (isConnected() && !LOCAL_ONLY_TOOLS.has(name)) {
       // ---- Remote mode: proxy through web app API ----
       result = await handleRemote(name, args);
 
@@ -791,57 +1929,39 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           result = store.getStats(args.name);
           break;
         case "create_category":
-          result = store.createCategory(args.project, args.name);
-          break;
-        case "list_categories":
-          result = store.listCategories(args.project);
-          break;
         case "rename_category":
-          result = store.renameCategory(args.project, args.old_name, args.new_name);
-          break;
         case "delete_category":
-          result = store.deleteCategory(args.project, args.name);
-          break;
         case "add_chunk":
-          result = store.addChunk(args.project, args.category, {
-            id: args.id, text: args.text, metadata: args.metadata,
-          });
-          break;
         case "bulk_add_chunks":
-          result = store.bulkAddChunks(args.project, args.category, args.chunks);
-          break;
-        case "get_chunk":
-          result = store.getChunk(args.project, args.id);
-          break;
         case "update_chunk":
-          result = store.updateChunk(args.project, args.id, {
-            newId: args.new_id, text: args.text, page_title: args.page_title,
-            source: args.source, license: args.license, metadata: args.metadata,
-          });
-          break;
         case "delete_chunk":
-          result = store.deleteChunk(args.project, args.id);
-          break;
         case "duplicate_chunk":
-          result = store.duplicateChunk(args.project, args.id);
-          break;
         case "move_chunk":
-          result = store.moveChunk(args.project, args.id, args.target_category);
+        case "find_replace":
+        case "bulk_delete":
+        case "bulk_move":
+        case "bulk_set_metadata":
+        case "bulk_retag":
+        case "bulk_update_metadata":
+        case "set_metadata_schema":
+          result = EDIT_OPERATIONS[name](args);
+          break;
+        case "apply_batch":
+          result = applyBatch(args.project, args.operations);
+          break;
+        case "list_categories":
+          result = store.listCategories(args.project);
+          break;
+        case "get_chunk":
+          result = store.getChunk(args.project, args.id);
           break;
         case "search_chunks":
-          result = store.searchChunks(args.project, args.query);
+          result = store.searchChunks(args.project, args.query, { limit: args.limit, offset: args.offset });
           break;
 
         case "export_project": {
-          const exported = store.exportProject(args.project);
-          if (args.save_to_file) {
-            const outPath = store._filePath(args.project).replace('.json', '.export.json');
-            const { writeFileSync } = await import('fs');
-            writeFileSync(outPath, JSON.stringify(exported, null, 2), 'utf-8');
-            result = { exported: exported.length, savedTo: outPath };
-          } else {
-            result = { exported: exported.length, data: exported };
-          }
+          const rows = store.exportRows(args.project, { includeCategory: args.include_category });
+          result = licensedExport(rows, store.getLicensePolicy(args.project), args, exportBasePath(args.project));
           break;
         }
 
@@ -852,35 +1972,37 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             jsonData = JSON.parse(readFileSync(args.json_path, 'utf-8'));
           }
           if (!jsonData) throw new Error('Provide either "json_path" or "data" parameter');
-          result = store.importJSON(args.project, jsonData, args.category);
+          result = store.importJSON(args.project, jsonData, args.category, {
+            ...mergeArgs(args), fileTime: args.data ? undefined : statSync(args.json_path).mtime.toISOString(),
+          });
+          break;
+        }
+
+        case "import_data": {
+          const parsed = readImportRecords(args);
+          result = store.importRecords(args.project, parsed.records, importOptions(args, parsed));
           break;
         }
 
         case "parse_url": {
-          const parsed = await parseUrl(args.url);
-          const chunks = splitTextIntoChunks(parsed.text, args.chunk_id);
-          const license = args.license || 'CC BY-NC-SA 3.0';
-          const chunkData = chunks.map(ch => ({
-            id: ch.id, text: ch.text,
-            metadata: { page_title: parsed.pageTitle, source: parsed.source, license, ...parsed.infobox },
-          }));
-          const bulkResult = store.bulkAddChunks(args.project, args.category, chunkData);
-          result = { ...bulkResult, pageTitle: parsed.pageTitle, chunksCreated: chunks.length, infoboxFields: Object.keys(parsed.infobox) };
+          const parsed = await parseUrl(args.url, parseOptions(args));
+          const chunks = pageChunks(parsed, args.chunk_id, args);
+          const bulkResult = store.bulkAddChunks(args.project, args.category, chunks, {
+            source: { url: parsed.source, baseId: args.chunk_id, options: sourceOptions(args) },
+          });
+          result = { ...bulkResult, pageTitle: parsed.pageTitle, chunksCreated: chunks.length, infoboxFields: Object.keys(parsed.infobox), profile: parsed.profile };
           break;
         }
 
         case "batch_parse_urls": {
           const results = [];
-          const license = args.license || 'CC BY-NC-SA 3.0';
           for (const entry of args.urls) {
             try {
-              const parsed = await parseUrl(entry.url);
-              const chunks = splitTextIntoChunks(parsed.text, entry.chunk_id);
-              const chunkData = chunks.map(ch => ({
-                id: ch.id, text: ch.text,
-                metadata: { page_title: parsed.pageTitle, source: parsed.source, license, ...parsed.infobox },
-              }));
-              const r = store.bulkAddChunks(args.project, args.category, chunkData);
+              const parsed = await parseUrl(entry.url, parseOptions(args));
+              const chunks = pageChunks(parsed, entry.chunk_id, args);
+              const r = store.bulkAddChunks(args.project, args.category, chunks, {
+                source: { url: parsed.source, baseId: entry.chunk_id, options: sourceOptions(args) },
+              });
               results.push({ url: entry.url, chunk_id: entry.chunk_id, chunks: chunks.length, added: r.added, errors: r.errors });
             } catch (err) {
               results.push({ url: entry.url, chunk_id: entry.chunk_id, error: err.message });
@@ -890,24 +2012,61 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           break;
         }
 
-        case "bulk_update_metadata":
-          result = store.bulkUpdateMetadata(args.project, args.field, args.value, args.category);
+        case "crawl_site":
+          result = await crawlSite(args, localChunkAdder(args.project));
+          break;
+
+        case "import_mediawiki":
+          result = await importMediaWiki(args, localChunkAdder(args.project));
+          break;
+
+        case "refresh_sources":
+          result = await refreshSources(args);
+          break;
+
+        case "find_duplicates":
+          result = store.findDuplicates(args.project, { category: args.category, threshold: args.threshold });
+          break;
+
+        case "resolve_duplicates":
+          result = store.resolveDuplicates(args.project, {
+            category: args.category, threshold: args.threshold, mode: args.mode, keep: args.keep, clusters: args.clusters,
+          });
+          break;
+
+        case "rechunk":
+          result = store.rechunk(args.project, {
+            category: args.category, ids: args.ids, joinParts: args.join_parts, ...chunkOptions(args),
+          });
+          break;
+
+        case "set_license_policy":
+          result = store.setLicensePolicy(args.project, { target: args.target_license, allowUnknown: args.allow_unknown });
+          break;
+
+        case "license_report":
+          result = licenseReportResult(store.exportRows(args.project, { category: args.category }), store.getLicensePolicy(args.project), args);
+          break;
+
+        case "lint_project":
+          result = store.lintProject(args.project, { ...lintArgs(args), fix: args.fix });
+          break;
+
+        case "get_metadata_schema":
+          result = store.getMetadataSchema(args.project);
+          break;
+
+        case "validate_project":
+          result = store.validateProject(args.project, { category: args.category, limit: args.limit });
           break;
 
         case "merge_projects":
-          result = store.mergeProjects(args.source, args.target);
+          result = store.mergeProjects(args.source, args.target, { ...mergeArgs(args), categories: args.categories });
           break;
 
         case "export_category": {
-          const exported = store.exportCategory(args.project, args.category);
-          if (args.save_to_file) {
-            const outPath = store._filePath(args.project).replace('.json', `.${args.category}.export.json`);
-            const { writeFileSync } = await import('fs');
-            writeFileSync(outPath, JSON.stringify(exported, null, 2), 'utf-8');
-            result = { exported: exported.length, savedTo: outPath };
-          } else {
-            result = { exported: exported.length, data: exported };
-          }
+          const rows = store.exportRows(args.project, { category: args.category, includeCategory: args.include_category });
+          result = licensedExport(rows, store.getLicensePolicy(args.project), args, exportBasePath(args.project, args.category));
           break;
         }
 
@@ -919,10 +2078,54 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           result = store.getCommit(args.project, args.commit_id);
           break;
 
+        case "diff_commits":
+          result = store.diffCommits(args.project, args.from, args.to);
+          break;
+
         case "rollback":
           result = store.rollback(args.project, args.commit_id, 'mcp');
           break;
 
+        case "list_extraction_profiles":
+          result = profiles.list();
+          break;
+
+        case "save_extraction_profile": {
+          const profile = normalizeProfile(args, (sel) => cheerio.load('')(sel));
+          result = { ...profiles.save(profile), profile };
+          break;
+        }
+
+        case "delete_extraction_profile":
+          result = profiles.delete(args.name);
+          break;
+
+        case "preview_extraction":
+          result = await previewExtraction(args);
+          break;
+
+        case "inspect_http_cache":
+          result = httpCache.list({ match: args.url_pattern, limit: args.limit });
+          break;
+
+        case "clear_http_cache":
+          result = httpCache.clear({ match: args.url_pattern, olderThanHours: args.older_than_hours });
+          break;
+
+        case "configure_http_cache":
+          if (args.ttl_seconds !== undefined) {
+            if (!(args.ttl_seconds >= 0)) throw new Error('ttl_seconds must be 0 or more');
+            httpCache.ttl = args.ttl_seconds;
+          }
+          if (args.offline !== undefined) httpCache.offline = args.offline;
+          if (args.enabled !== undefined) httpCache.enabled = args.enabled;
+          result = { enabled: httpCache.enabled, offline: httpCache.offline, ttlSeconds: httpCache.ttl, dir: httpCache.dir };
+          break;
+
+        case "migrate_storage":
+          result = store.migrateStorage(args.to, { from: args.from, overwrite: args.overwrite });
+          break;
+
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
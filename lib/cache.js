@@ -0,0 +1,149 @@
+// Persistent HTTP cache for fetched pages: one JSON file per URL (body plus
+// validators) under $DATA_DIR/http-cache.
+//
+// Entries younger than the TTL are served without a request; older ones are
+// revalidated with If-None-Match / If-Modified-Since and refreshed in place.
+// In offline mode nothing is fetched and a URL missing from the cache is an
+// error, so extraction and chunking runs are reproducible.
+//
+// The network is injected so the cache stays independent of fetch details:
+//   request(url, headers) -> { status, text, contentType, etag, lastModified }
+
+import { readFileSync, readdirSync, mkdirSync, unlinkSync, existsSync, statSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { writeFileAtomic } from './storage/json.js';
+import { matchPattern } from './crawl.js';
+
+export const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+function envFlag(value) {
+  return /^(1|true|yes|on)$/i.test(String(value ?? '').trim());
+}
+
+function cacheKey(url) {
+  return createHash('sha256').update(url.replace(/#.*$/, '')).digest('hex').slice(0, 32);
+}
+
+export class FetchCache {
+  constructor(dir, request, options = {}) {
+    this.dir = dir;
+    this.request = request;
+    const ttl = options.ttl ?? process.env.HTTP_CACHE_TTL;
+    this.ttl = ttl !== undefined && ttl !== '' && Number(ttl) >= 0 ? Number(ttl) : DEFAULT_TTL_SECONDS;
+    this.enabled = options.enabled ?? !/^(0|false|no|off)$/i.test(String(process.env.HTTP_CACHE ?? '').trim());
+    this.offline = options.offline ?? envFlag(process.env.HTTP_CACHE_OFFLINE);
+  }
+
+  _path(url) {
+    return join(this.dir, `${cacheKey(url)}.json`);
+  }
+
+  get(url) {
+    try {
+      const entry = JSON.parse(readFileSync(this._path(url), 'utf-8'));
+      return entry.url === url.replace(/#.*$/, '') ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  put(entry) {
+    if (!existsSync(this.dir)) mkdirSync(this.dir, { recursive: true });
+    writeFileAtomic(this._path(entry.url), JSON.stringify(entry));
+  }
+
+  isFresh(entry) {
+    return Date.now() - Date.parse(entry.fetchedAt) < this.ttl * 1000;
+  }
+
+  // Returns { text, contentType, etag, lastModified, cache } where `cache` is
+  // 'hit', 'revalidated', 'miss', 'offline' or 'bypass'. Given the caller's own
+  // validators (etag / lastModified) a page that still matches them comes back
+  // as { notModified: true } instead. `revalidate` skips the TTL and asks the
+  // server.
+  async fetch(url, { etag, lastModified, revalidate = false } = {}) {
+    url = url.replace(/#.*$/, '');
+    const cached = this.enabled ? this.get(url) : null;
+    const respond = (entry, cache) => {
+      const same = (etag && entry.etag === etag) || (!etag && lastModified && entry.lastModified === lastModified);
+      return same
+        ? { notModified: true, etag: entry.etag, lastModified: entry.lastModified, cache }
+        : { text: entry.text, contentType: entry.contentType, etag: entry.etag, lastModified: entry.lastModified, cache };
+    };
+
+    if (this.offline) {
+      if (!cached) throw new Error(`Offline mode: ${url} is not in the HTTP cache`);
+      return respond(cached, 'offline');
+    }
+    if (cached && !revalidate && this.isFresh(cached)) return respond(cached, 'hit');
+
+    const validators = cached || { etag, lastModified };
+    const headers = {};
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+    const res = await this.request(url, headers);
+
+    if (res.status === 304) {
+      if (!cached) return { notModified: true, etag, lastModified, cache: 'bypass' };
+      cached.fetchedAt = new Date().toISOString();
+      this.put(cached);
+      return respond(cached, 'revalidated');
+    }
+    if (res.status < 200 || res.status >= 300) throw new Error(`Failed to fetch ${url}: HTTP ${res.status}`);
+
+    const entry = {
+      url, status: res.status, contentType: res.contentType || '', etag: res.etag || undefined,
+      lastModified: res.lastModified || undefined, fetchedAt: new Date().toISOString(), text: res.text,
+    };
+    if (this.enabled) this.put(entry);
+    return respond(entry, this.enabled ? 'miss' : 'bypass');
+  }
+
+  _entries() {
+    if (!existsSync(this.dir)) return [];
+    const out = [];
+    for (const file of readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const fp = join(this.dir, file);
+      try {
+        const entry = JSON.parse(readFileSync(fp, 'utf-8'));
+        out.push({ fp, entry, bytes: statSync(fp).size });
+      } catch { /* half-written or foreign file */ }
+    }
+    return out;
+  }
+
+  // Cached URLs (optionally matching a '*' / '/regex/' pattern), newest first
+  list({ match, limit = 100 } = {}) {
+    const entries = this._entries()
+      .filter(({ entry }) => !match || matchPattern(match, entry.url))
+      .sort((a, b) => (b.entry.fetchedAt || '').localeCompare(a.entry.fetchedAt || ''));
+    return {
+      dir: this.dir,
+      enabled: this.enabled,
+      offline: this.offline,
+      ttlSeconds: this.ttl,
+      entries: entries.length,
+      bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+      fresh: entries.filter(e => this.isFresh(e.entry)).length,
+      urls: entries.slice(0, limit).map(({ entry, bytes }) => ({
+        url: entry.url, fetchedAt: entry.fetchedAt, fresh: this.isFresh(entry), bytes,
+        contentType: entry.contentType || undefined, etag: entry.etag, lastModified: entry.lastModified,
+      })),
+    };
+  }
+
+  // Removes entries matching `match` and/or fetched more than `olderThanHours`
+  // ago; with neither, empties the cache
+  clear({ match, olderThanHours } = {}) {
+    const cutoff = olderThanHours !== undefined ? Date.now() - olderThanHours * 3600 * 1000 : null;
+    let removed = 0, bytes = 0;
+    for (const { fp, entry, bytes: size } of this._entries()) {
+      if (match && !matchPattern(match, entry.url)) continue;
+      if (cutoff !== null && Date.parse(entry.fetchedAt) >= cutoff) continue;
+      try { unlinkSync(fp); removed++; bytes += size; } catch { /* already gone */ }
+    }
+    return { removed, bytes };
+  }
+}
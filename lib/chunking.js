@@ -0,0 +1,290 @@
+// Text chunking: packs whole sentences into chunks of a target size, measured
+// in characters or estimated tokens, with optional overlap between neighbours.
+//
+// Sentences are cut after . ! ? … and their CJK / Arabic / Indic equivalents,
+// and at line breaks. A period is not a boundary inside numbers (3.5) or URLs,
+// after common abbreviations (e.g., Dr., approx.) and initials, or when the
+// next word starts in lowercase.
+
+export const DEFAULT_CHUNK_SIZE = 2000;
+export const CHUNK_UNITS = ['chars', 'tokens'];
+const CHARS_PER_TOKEN = 4;
+const PARAGRAPH_FILL = 0.5; // close at a paragraph break once the chunk is this full
+const MIN_PART_OVERLAP = 20;
+
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'e.g', 'i.e', 'cf', 'al',
+  'approx', 'ca', 'fig', 'figs', 'no', 'nos', 'vol', 'vols', 'p', 'pp', 'ed', 'eds', 'inc', 'ltd',
+  'co', 'corp', 'dept', 'est', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept',
+  'oct', 'nov', 'dec', 'u.s', 'u.k', 'a.m', 'p.m', 'ph.d', 'lt', 'col', 'gen', 'sgt', 'capt',
+]);
+
+// Rough token estimate for budget purposes: one token per CJK character or
+// punctuation mark, one per ~4 characters of other words.
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [m] of String(text || '').matchAll(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}\p{M}]+|[^\s\p{L}\p{N}\p{M}]/gu)) {
+    tokens += /^[\p{L}\p{N}]/u.test(m) && m.length > 1 ? Math.ceil(m.length / CHARS_PER_TOKEN) : 1;
+  }
+  return tokens;
+}
+
+function isSentenceEnd(text, index, end) {
+  const word = /[\p{L}.]*$/u.exec(text.slice(Math.max(0, index - 12), index))[0].replace(/^\.+/, '').toLowerCase();
+  if (word.length === 1 && /\p{L}/u.test(word)) return false; // initial: "J. R. R. Tolkien"
+  if (ABBREVIATIONS.has(word)) return false;
+  return !/^\p{Ll}/u.test(text.slice(end, end + 1));
+}
+
+// Returns sentence spans { start, end, para } covering the whole text; each
+// span includes its trailing whitespace and `para` marks a paragraph break
+// after it.
+export function splitSentences(text) {
+  const re = /(?:[.!?…‼⁇⁈⁉]+["'”’»)\]]*(?=\s|$)|[。！？．؟।॥]+["'”’」』）)\]]*|\n)\s*/gu;
+  const spans = [];
+  let start = 0, m;
+  while ((m = re.exec(text))) {
+    const end = m.index + m[0].length;
+    if (/^[.…]/.test(m[0]) && end < text.length && !isSentenceEnd(text, m.index, end)) continue;
+    if (end > start) spans.push({ start, end, para: /\n\s*\n/.test(m[0]) });
+    start = end;
+  }
+  if (start < text.length) spans.push({ start, end: text.length, para: false });
+  return spans;
+}
+
+// Word spans (with trailing whitespace) inside [start, end)
+function wordSpans(text, start, end) {
+  const out = [];
+  const re = /\S+\s*/g;
+  re.lastIndex = start;
+  let m;
+  while ((m = re.exec(text)) && m.index < end) {
+    out.push({ start: m.index, end: Math.min(end, m.index + m[0].length) });
+  }
+  return out;
+}
+
+// Longest slice of [start, end) from `start` that fits in `size`. Token
+// estimates count punctuation one per character, so a run of symbols can't be
+// cut every size * CHARS_PER_TOKEN characters.
+function fittingEnd(text, start, end, size, measure, maxChars) {
+  let lo = start + 1, hi = Math.min(end, start + maxChars);
+  if (measure(text.slice(start, hi)) <= size) return hi;
+  while (lo < hi - 1) {
+    const mid = (lo + hi) >> 1;
+    if (measure(text.slice(start, mid)) <= size) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Breaks a span that is over budget on its own into word-packed pieces; a
+// single word over budget is cut by measured size.
+function splitLong(text, span, size, measure, unit) {
+  const pieces = [];
+  const maxChars = unit === 'tokens' ? size * CHARS_PER_TOKEN : size;
+  let cur = null;
+  for (const w of wordSpans(text, span.start, span.end)) {
+    const parts = [];
+    const m = measure(text.slice(w.start, w.end));
+    if (m > size) {
+      for (let s = w.start; s < w.end;) {
+        const end = fittingEnd(text, s, w.end, size, measure, maxChars);
+        parts.push({ start: s, end, m: measure(text.slice(s, end)) });
+        s = end;
+      }
+    } else {
+      parts.push({ ...w, m });
+    }
+    for (const part of parts) {
+      if (cur && cur.m + part.m <= size) { cur.end = part.end; cur.m += part.m; continue; }
+      if (cur) pieces.push(cur);
+      cur = { ...part, para: false };
+    }
+  }
+  if (cur) pieces.push(cur);
+  if (pieces.length) pieces[pieces.length - 1].para = span.para;
+  return pieces;
+}
+
+export function normalizeChunkOptions({ size, unit = 'chars', overlap = 0, minSize = 0 } = {}) {
+  if (!CHUNK_UNITS.includes(unit)) throw new Error(`Unknown chunk unit "${unit}". Use one of: ${CHUNK_UNITS.join(', ')}`);
+  size = Math.floor(size ?? (unit === 'tokens' ? DEFAULT_CHUNK_SIZE / CHARS_PER_TOKEN : DEFAULT_CHUNK_SIZE));
+  overlap = Math.floor(overlap || 0);
+  minSize = Math.floor(minSize || 0);
+  if (!(size > 0)) throw new Error('Chunk size must be a positive number');
+  if (overlap < 0 || overlap >= size) throw new Error('Chunk overlap must be at least 0 and smaller than the chunk size');
+  if (minSize < 0 || minSize > size) throw new Error('Minimum chunk size must be between 0 and the chunk size');
+  return { size, unit, overlap, minSize };
+}
+
+// Trailing pieces of a finished chunk to repeat at the start of the next one:
+// whole sentences while they fit in `overlap`, otherwise the last words.
+function overlapTail(text, body, overlap, measure) {
+  if (!overlap) return [];
+  const tail = [];
+  let total = 0;
+  for (let k = body.length - 1; k > 0; k--) {
+    if (total + body[k].m > overlap) break;
+    tail.unshift({ ...body[k], overlap: true });
+    total += body[k].m;
+  }
+  if (tail.length) return tail;
+
+  const last = body[body.length - 1];
+  const words = wordSpans(text, last.start, last.end);
+  let k = words.length;
+  while (k > 1 && measure(text.slice(words[k - 1].start, last.end)) <= overlap) k--;
+  if (k >= words.length) return [];
+  const start = words[k].start;
+  return [{ start, end: last.end, m: measure(text.slice(start, last.end)), para: last.para, overlap: true }];
+}
+
+// Splits text into [{ id, text }]. Text within budget stays one chunk with
+// `baseId`; otherwise chunks are numbered baseId_1, baseId_2, ...
+export function chunkText(text, baseId, options = {}) {
+  const { size, unit, overlap, minSize } = normalizeChunkOptions(options);
+  // Spans keep their trailing whitespace, so character sums slightly overcount
+  const measure = unit === 'tokens' ? estimateTokens : (s) => s.length;
+  text = String(text || '').trim();
+  if (measure(text) <= size) return [{ id: baseId, text }];
+
+  const pieces = [];
+  for (const span of splitSentences(text)) {
+    const m = measure(text.slice(span.start, span.end));
+    if (m <= size) pieces.push({ ...span, m });
+    else pieces.push(...splitLong(text, span, size, measure, unit));
+  }
+
+  const chunks = []; // { start, end, freshStart }
+  const close = (body) => {
+    const fresh = body.find(p => !p.overlap) || body[0];
+    chunks.push({ start: body[0].start, end: body[body.length - 1].end, freshStart: fresh.start });
+  };
+
+  let cur = [], curSize = 0, hasNew = false, i = 0;
+  while (i < pieces.length) {
+    const piece = pieces[i];
+    if (curSize + piece.m <= size) {
+      cur.push(piece); curSize += piece.m; hasNew = true; i++;
+      continue;
+    }
+    if (!hasNew) {
+      // Overlap leaves no room for the next sentence: give up some of it.
+      // A piece over budget on its own still becomes a chunk of its own.
+      if (!cur.length) { cur.push(piece); curSize = piece.m; hasNew = true; i++; continue; }
+      curSize -= cur.shift().m;
+      continue;
+    }
+    // Prefer closing at a paragraph break in the back half of the chunk
+    let cut = cur.length, acc = 0;
+    for (let k = 0; k < cur.length - 1; k++) {
+      acc += cur[k].m;
+      if (cur[k].para && !cur[k].overlap && acc >= size * PARAGRAPH_FILL) cut = k + 1;
+    }
+    i -= cur.length - cut;
+    const body = cur.slice(0, cut);
+    close(body);
+    cur = overlapTail(text, body, overlap, measure);
+    curSize = cur.reduce((sum, p) => sum + p.m, 0);
+    hasNew = false;
+  }
+  if (hasNew) close(cur);
+
+  // Fold a tiny tail into the previous chunk
+  const last = chunks[chunks.length - 1];
+  if (chunks.length > 1 && measure(text.slice(last.freshStart, last.end)) < minSize) {
+    chunks.pop();
+    chunks[chunks.length - 1].end = last.end;
+  }
+
+  if (chunks.length === 1) return [{ id: baseId, text }];
+  return chunks.map((c, idx) => ({ id: `${baseId}_${idx + 1}`, text: text.slice(c.start, c.end).trim() }));
+}
+
+// Re-joins consecutive parts of one split text, dropping text that part k+1
+// repeats from the end of part k (chunk overlap).
+export function joinParts(texts) {
+  return texts.reduce((joined, next) => {
+    if (!joined) return next;
+    const limit = Math.min(joined.length, Math.floor(next.length / 2));
+    for (let len = limit; len >= MIN_PART_OVERLAP; len--) {
+      if (/\s/.test(next[len]) && joined.endsWith(next.slice(0, len))) return joined + next.slice(len);
+    }
+    return joined + '\n\n' + next;
+  }, '');
+}
+
+// ---- SECTIONS ----
+
+// Heading markers left in page text by the HTML extractor:
+// "\u0001<level>\u0001<heading>\u0001"
+export const HEADING_MARK = '\u0001';
+const HEADING_RE = /\u0001(\d)\u0001([^\u0001]*)\u0001/g;
+
+export function headingMarker(level, heading) {
+  return `\n${HEADING_MARK}${level}${HEADING_MARK}${heading.replace(/\u0001/g, '')}${HEADING_MARK}\n`;
+}
+
+// Replaces heading markers with plain heading lines
+export function stripHeadingMarkers(text) {
+  return text.replace(HEADING_RE, (_, level, heading) => heading);
+}
+
+// Cuts marked text into [{ path: [{ level, heading }], text }] sections, one
+// per heading (plus the text before the first one); sections without text
+// are dropped.
+export function splitSections(marked) {
+  const sections = [];
+  const path = [];
+  let last = 0, m;
+  const push = (body) => {
+    const text = body.trim();
+    if (text) sections.push({ path: [...path], text });
+  };
+  HEADING_RE.lastIndex = 0;
+  while ((m = HEADING_RE.exec(marked))) {
+    push(marked.slice(last, m.index));
+    const level = Number(m[1]);
+    while (path.length && path[path.length - 1].level >= level) path.pop();
+    path.push({ level, heading: m[2].trim() });
+    last = HEADING_RE.lastIndex;
+  }
+  push(marked.slice(last));
+  return sections;
+}
+
+export function slugify(text) {
+  return text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+}
+
+// One chunk per section (split further only when over the size limit), with
+// IDs from the section heading: creeper_drops, creeper_drops_2 for a repeated
+// heading. Text before the first h2–h4 keeps `baseId`. Each chunk carries
+// `section` and `heading_path` metadata.
+export function sectionChunks(sections, baseId, options = {}) {
+  const used = new Set();
+  const out = [];
+  for (const section of sections) {
+    const named = section.path.filter(h => h.level > 1 && h.heading);
+    const heading = named.length ? named[named.length - 1].heading : '';
+    const base = heading ? `${baseId}_${slugify(heading) || 'section'}` : baseId;
+    let parts;
+    for (let id = base, n = 2; ; id = `${base}_${n++}`) {
+      parts = chunkText(section.text, id, options);
+      if (!parts.some(part => used.has(part.id))) break;
+    }
+    const last = section.path[section.path.length - 1];
+    const metadata = {
+      section: last?.heading || 'Introduction',
+      heading_path: section.path.map(h => h.heading).filter(Boolean).join(' > ') || 'Introduction',
+    };
+    for (const part of parts) {
+      used.add(part.id);
+      out.push({ ...part, metadata });
+    }
+  }
+  return out;
+}
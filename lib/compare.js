@@ -0,0 +1,168 @@
+// Structured comparison of two project snapshots, keyed by chunk `_uid` and
+// category `id` so that renames show up as renames rather than delete + add.
+
+import { STANDARD_META } from './select.js';
+
+const CONTEXT_WORDS = 6;
+const MAX_DIFF_CELLS = 4_000_000;
+
+function chunkKey(ch) {
+  return ch._uid || `id:${ch.id}`;
+}
+
+function categoryKey(cat) {
+  return cat.id || `name:${cat.name.toLowerCase()}`;
+}
+
+function indexChunks(project) {
+  const map = new Map();
+  for (const cat of project?.categories || []) {
+    for (const ch of cat.chunks) map.set(chunkKey(ch), { chunk: ch, category: cat });
+  }
+  return map;
+}
+
+function metadataMap(ch) {
+  const out = {};
+  for (const key of STANDARD_META) out[key] = ch.metadata?.[key] ?? '';
+  for (const cf of ch.customFields || []) {
+    if (cf.key && cf.key.trim()) out[cf.key.trim()] = String(cf.value ?? '');
+  }
+  return out;
+}
+
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Word-level diff rendered inline: [-removed-]{+added+}, with unchanged runs
+// longer than the surrounding context collapsed to "…".
+export function textDiff(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = [];
+  for (const tok of a.slice(0, start)) ops.push(['=', tok]);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    for (const tok of midA) ops.push(['-', tok]);
+    for (const tok of midB) ops.push(['+', tok]);
+  } else {
+    // Classic LCS table over the differing middle section
+    const n = midA.length, m = midB.length;
+    const dp = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i][j] = midA[i] === midB[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) { ops.push(['=', midA[i]]); i++; j++; }
+      else if (dp[i + 1][j] >= dp[i][j + 1]) ops.push(['-', midA[i++]]);
+      else ops.push(['+', midB[j++]]);
+    }
+    while (i < n) ops.push(['-', midA[i++]]);
+    while (j < m) ops.push(['+', midB[j++]]);
+  }
+  for (const tok of a.slice(endA)) ops.push(['=', tok]);
+
+  // Group consecutive ops of the same kind
+  const runs = [];
+  for (const [op, tok] of ops) {
+    const last = runs[runs.length - 1];
+    if (last && last.op === op) last.tokens.push(tok);
+    else runs.push({ op, tokens: [tok] });
+  }
+
+  let out = '';
+  runs.forEach((run, idx) => {
+    const text = run.tokens.join('');
+    if (run.op === '-') { out += `[-${text}-]`; return; }
+    if (run.op === '+') { out += `{+${text}+}`; return; }
+    const words = run.tokens;
+    const keepHead = idx > 0 ? CONTEXT_WORDS * 2 : 0;
+    const keepTail = idx < runs.length - 1 ? CONTEXT_WORDS * 2 : 0;
+    if (words.length <= keepHead + keepTail + 2) { out += text; return; }
+    out += words.slice(0, keepHead).join('') + '…' + words.slice(words.length - keepTail).join('');
+  });
+  return out;
+}
+
+// What differs between two versions of a chunk: { id, text, metadata }, each
+// present only if it changed; {} for identical chunks
+export function chunkChanges(before, after) {
+  const changes = {};
+  if (before.id !== after.id) changes.id = { from: before.id, to: after.id };
+  if ((before.text || '') !== (after.text || '')) {
+    changes.text = {
+      fromLength: (before.text || '').length,
+      toLength: (after.text || '').length,
+      diff: textDiff(before.text, after.text),
+    };
+  }
+  const oldMeta = metadataMap(before);
+  const newMeta = metadataMap(after);
+  const metadata = {};
+  for (const field of new Set([...Object.keys(oldMeta), ...Object.keys(newMeta)])) {
+    if (oldMeta[field] !== newMeta[field]) {
+      metadata[field] = { from: oldMeta[field] ?? null, to: newMeta[field] ?? null };
+    }
+  }
+  if (Object.keys(metadata).length) changes.metadata = metadata;
+  return changes;
+}
+
+export function compareProjects(before, after) {
+  const prev = indexChunks(before);
+  const next = indexChunks(after);
+
+  const prevCats = new Map((before?.categories || []).map(c => [categoryKey(c), c]));
+  const nextCats = new Map((after?.categories || []).map(c => [categoryKey(c), c]));
+  const categories = { added: [], removed: [], renamed: [] };
+  for (const [key, cat] of nextCats) {
+    const old = prevCats.get(key);
+    if (!old) categories.added.push(cat.name);
+    else if (old.name !== cat.name) categories.renamed.push({ from: old.name, to: cat.name });
+  }
+  for (const [key, cat] of prevCats) {
+    if (!nextCats.has(key)) categories.removed.push(cat.name);
+  }
+
+  const chunks = { added: [], removed: [], moved: [], modified: [] };
+  for (const [key, { chunk, category }] of next) {
+    const old = prev.get(key);
+    if (!old) { chunks.added.push({ id: chunk.id, category: category.name }); continue; }
+
+    if (categoryKey(old.category) !== categoryKey(category)) {
+      chunks.moved.push({ id: chunk.id, from: old.category.name, to: category.name });
+    }
+
+    const changes = chunkChanges(old.chunk, chunk);
+    if (Object.keys(changes).length) chunks.modified.push({ id: chunk.id, category: category.name, changes });
+  }
+  for (const [key, { chunk, category }] of prev) {
+    if (!next.has(key)) chunks.removed.push({ id: chunk.id, category: category.name });
+  }
+
+  return {
+    summary: {
+      chunksAdded: chunks.added.length,
+      chunksRemoved: chunks.removed.length,
+      chunksMoved: chunks.moved.length,
+      chunksModified: chunks.modified.length,
+      categoriesAdded: categories.added.length,
+      categoriesRemoved: categories.removed.length,
+      categoriesRenamed: categories.renamed.length,
+    },
+    categories,
+    chunks,
+  };
+}
@@ -0,0 +1,52 @@
+// ID conflicts when chunks are merged or imported into a project that already
+// has chunks with the same IDs, and the strategies that resolve them:
+//
+//   skip            keep the existing chunk (the default)
+//   overwrite       replace it with the incoming one (moving it into the
+//                   incoming chunk's category)
+//   keep_newer      whichever version changed last wins
+//   rename          add the incoming chunk under a suffixed ID
+//   merge_metadata  keep the existing text, fill in metadata it lacks
+
+import { STANDARD_META, fieldValue } from './select.js';
+
+export const MERGE_STRATEGIES = ['skip', 'overwrite', 'keep_newer', 'rename', 'merge_metadata'];
+export const DEFAULT_RENAME_SUFFIX = '_new';
+
+export function checkStrategy(strategy) {
+  if (!MERGE_STRATEGIES.includes(strategy)) throw new Error(`Unknown strategy "${strategy}". Use: ${MERGE_STRATEGIES.join(', ')}`);
+  return strategy;
+}
+
+// Copies the metadata `keeper` is missing (empty standard fields, absent
+// custom fields) from `other`. Returns the names of the fields copied.
+export function mergeMissingMetadata(keeper, other) {
+  const merged = [];
+  for (const key of STANDARD_META) {
+    if (!(keeper.metadata[key] || '').trim() && (other.metadata?.[key] || '').trim()) {
+      keeper.metadata[key] = other.metadata[key];
+      merged.push(key);
+    }
+  }
+  if (!keeper.customFields) keeper.customFields = [];
+  for (const cf of other.customFields || []) {
+    if (!cf.key || keeper.customFields.some(k => k.key === cf.key)) continue;
+    keeper.customFields.push({ key: cf.key, value: cf.value });
+    merged.push(cf.key);
+  }
+  return merged;
+}
+
+// ISO time held in a chunk's date field, or null
+export function fieldTime(ch, field) {
+  if (!field) return null;
+  const t = Date.parse(String(fieldValue(ch, field) ?? '').trim());
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+// A unique ID for the incoming copy of `id`: creeper_new, creeper_new_2, ...
+export function renamedId(id, suffix, isTaken) {
+  let next = `${id}${suffix}`;
+  for (let n = 2; isTaken(next); n++) next = `${id}${suffix}_${n}`;
+  return next;
+}
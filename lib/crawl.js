@@ -0,0 +1,248 @@
+// Same-site crawler: breadth-first from seed URLs and/or a sitemap, limited
+// by depth and page count, filtered by URL patterns and robots.txt.
+//
+// Fetching and page handling are injected so the crawler stays independent of
+// how pages are parsed and where chunks go:
+//   fetchText(url) -> { text, contentType }   (throws on HTTP errors)
+//   visit(url, html, depth) -> [linked URLs]
+
+import { slugify } from './chunking.js';
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_DELAY_MS = 250;
+const MAX_CRAWL_DELAY_MS = 30_000;
+const MAX_SITEMAPS = 50;
+const MAX_REPORTED = 100;
+
+// Links that are never pages worth importing
+const ASSET_RE = /\.(png|jpe?g|gif|webp|svg|ico|bmp|pdf|zip|gz|tgz|rar|7z|exe|dmg|mp[34]|webm|ogg|wav|css|js|json|xml|rss|atom|woff2?|ttf)$/i;
+const NON_CONTENT_PARAMS = ['action', 'oldid', 'diff', 'printable', 'veaction', 'curid'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---- URL HELPERS ----
+
+function hostKey(host) {
+  return host.toLowerCase().replace(/^www\./, '');
+}
+
+export function normalizeUrl(href, base) {
+  let u;
+  try { u = new URL(href, base); } catch { return null; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+  u.hash = '';
+  return u.href;
+}
+
+// decodeURIComponent, keeping malformed escapes (a raw '%', as in
+// /w/100%_Pure) as they are
+export function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+function isContentUrl(url) {
+  const u = new URL(url);
+  if (ASSET_RE.test(u.pathname)) return false;
+  if (NON_CONTENT_PARAMS.some(p => u.searchParams.has(p))) return false;
+  return !/(^|\/|title=)Special:/i.test(decodePath(u.pathname + u.search));
+}
+
+// `*` wildcards against the full URL, or /regex/ for a regular expression
+export function matchPattern(pattern, url) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (m) return new RegExp(m[1], m[2]).test(url);
+  const escaped = pattern.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i').test(url);
+}
+
+// https://minecraft.wiki/w/Iron_Golem -> iron_golem, /docs/guide/install.html
+// -> docs_guide_install, /index.php?title=Creeper -> creeper
+export function urlToChunkId(url) {
+  const u = new URL(url);
+  const path = u.searchParams.get('title') || decodePath(u.pathname);
+  const segments = path
+    .replace(/\.(html?|php|aspx?|jsp)$/i, '')
+    .split('/')
+    .filter(Boolean)
+    .filter((seg, i) => !(i === 0 && /^(w|wiki)$/i.test(seg)));
+  if (segments[segments.length - 1]?.toLowerCase() === 'index') segments.pop();
+  return slugify(segments.join('_')) || slugify(u.hostname) || 'index';
+}
+
+// ---- ROBOTS.TXT ----
+
+function robotsPattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+^${}()|[\]\\?]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+export class RobotsRules {
+  constructor(rules = [], crawlDelay = 0, sitemaps = []) {
+    this.rules = rules.map(r => ({ ...r, re: robotsPattern(r.pattern) }));
+    this.crawlDelay = crawlDelay;
+    this.sitemaps = sitemaps;
+  }
+
+  // Rules of the group naming our agent, else the `*` group
+  static parse(text, agent) {
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+    let inAgents = false;
+    for (const raw of String(text).split(/\r?\n/)) {
+      const line = raw.replace(/#.*/, '').trim();
+      const colon = line.indexOf(':');
+      if (colon < 0) continue;
+      const key = line.slice(0, colon).trim().toLowerCase();
+      const value = line.slice(colon + 1).trim();
+      if (key === 'user-agent') {
+        if (!inAgents) { group = { agents: [], rules: [], delay: 0 }; groups.push(group); }
+        group.agents.push(value.toLowerCase());
+        inAgents = true;
+        continue;
+      }
+      inAgents = false;
+      if (key === 'sitemap') sitemaps.push(value);
+      else if (!group) continue;
+      else if ((key === 'allow' || key === 'disallow') && value) group.rules.push({ allow: key === 'allow', pattern: value });
+      else if (key === 'crawl-delay') group.delay = Number(value) || 0;
+    }
+    const token = agent.toLowerCase();
+    const match = groups.find(g => g.agents.some(a => a !== '*' && token.includes(a)))
+      || groups.find(g => g.agents.includes('*'));
+    return new RobotsRules(match?.rules, match?.delay, sitemaps);
+  }
+
+  // Longest matching rule wins; Allow wins a tie
+  isAllowed(url) {
+    const u = new URL(url);
+    const path = u.pathname + u.search;
+    let best = null;
+    for (const rule of this.rules) {
+      if (!rule.re.test(path)) continue;
+      if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) best = rule;
+    }
+    return best ? best.allow : true;
+  }
+}
+
+// ---- SITEMAPS ----
+
+function decodeXml(s) {
+  return s.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'");
+}
+
+export function parseSitemap(xml) {
+  const locs = [...String(xml).matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi)].map(m => decodeXml(m[1]));
+  return /<sitemapindex[\s>]/i.test(xml) ? { urls: [], sitemaps: locs } : { urls: locs, sitemaps: [] };
+}
+
+// ---- CRAWLER ----
+
+export async function crawl(options, { fetchText, visit, userAgent }) {
+  const {
+    seeds = [], sitemap, include = [], exclude = [], respectRobots = true,
+  } = options;
+  const maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+  const maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+  const delayMs = options.delayMs ?? DEFAULT_DELAY_MS;
+
+  const hosts = new Set([...seeds, sitemap].filter(Boolean).map(url => hostKey(new URL(url).hostname)));
+  if (!hosts.size) throw new Error('Provide at least one seed URL or a sitemap');
+
+  const queue = [];
+  const seen = new Set();
+  const skipped = [];
+  const failed = [];
+  const robots = new Map();
+  let lastFetch = 0;
+
+  const politeFetch = async (url, crawlDelay = 0) => {
+    const wait = lastFetch + Math.max(delayMs, Math.min(crawlDelay * 1000, MAX_CRAWL_DELAY_MS)) - Date.now();
+    if (lastFetch && wait > 0) await sleep(wait);
+    lastFetch = Date.now();
+    return fetchText(url);
+  };
+
+  const robotsFor = async (url) => {
+    const { origin } = new URL(url);
+    if (!robots.has(origin)) {
+      let rules = new RobotsRules();
+      try {
+        rules = RobotsRules.parse((await politeFetch(`${origin}/robots.txt`)).text, userAgent);
+      } catch { /* no robots.txt: everything allowed */ }
+      robots.set(origin, rules);
+    }
+    return robots.get(origin);
+  };
+
+  const enqueue = (href, depth, base) => {
+    const url = normalizeUrl(href, base);
+    if (!url || seen.has(url)) return;
+    seen.add(url);
+    if (!hosts.has(hostKey(new URL(url).hostname)) || !isContentUrl(url)) return;
+    if (include.length && !include.some(p => matchPattern(p, url))) return;
+    if (exclude.some(p => matchPattern(p, url))) return;
+    queue.push({ url, depth });
+  };
+
+  if (sitemap) {
+    const pending = [sitemap];
+    for (let n = 0; pending.length && n < MAX_SITEMAPS; n++) {
+      const url = pending.shift();
+      try {
+        const { urls, sitemaps } = parseSitemap((await politeFetch(url)).text);
+        pending.push(...sitemaps);
+        for (const loc of urls) enqueue(loc, 0, url);
+      } catch (err) {
+        failed.push({ url, error: err.message });
+      }
+    }
+  }
+  for (const seed of seeds) enqueue(seed, 0);
+
+  let crawled = 0;
+  while (queue.length && crawled < maxPages) {
+    const { url, depth } = queue.shift();
+    const rules = respectRobots ? await robotsFor(url) : null;
+    if (rules && !rules.isAllowed(url)) {
+      skipped.push({ url, reason: 'Disallowed by robots.txt' });
+      continue;
+    }
+    let page;
+    try {
+      page = await politeFetch(url, rules?.crawlDelay);
+    } catch (err) {
+      failed.push({ url, error: err.message });
+      continue;
+    }
+    if (!/html/i.test(page.contentType || 'text/html')) {
+      skipped.push({ url, reason: `Not an HTML page (${page.contentType})` });
+      continue;
+    }
+    crawled++;
+    try {
+      const links = await visit(url, page.text, depth);
+      if (depth < maxDepth) for (const link of links || []) enqueue(link, depth + 1, url);
+    } catch (err) {
+      failed.push({ url, error: err.message });
+    }
+  }
+
+  return {
+    crawled,
+    remaining: queue.length,
+    skipped: skipped.length,
+    failed: failed.length,
+    skippedDetails: skipped.length ? skipped.slice(0, MAX_REPORTED) : undefined,
+    failedDetails: failed.length ? failed.slice(0, MAX_REPORTED) : undefined,
+  };
+}
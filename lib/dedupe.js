@@ -0,0 +1,178 @@
+// Near-duplicate detection with word shingles + MinHash/LSH, entirely local.
+//
+// Each chunk's text is reduced to a set of 3-word shingles. MinHash signatures
+// and LSH banding pick candidate pairs cheaply; candidates are then confirmed
+// with the exact Jaccard similarity of their shingle sets and grouped into
+// clusters with union-find. The banding is sized from the threshold so a pair
+// at the threshold is found 99% of the time; below about 0.07 no banding
+// does that and every pair is compared directly (quadratic time, but no
+// per-pair bookkeeping).
+
+import { tokenize } from './search.js';
+
+const SHINGLE_SIZE = 3;
+const NUM_HASHES = 64;
+const MIN_RECALL = 0.99;
+export const DEFAULT_THRESHOLD = 0.8;
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function mix(x, seed) {
+  let h = (x ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix(i + 1, 0x9e3779b9));
+
+function shingles(text) {
+  const words = tokenize(text);
+  const set = new Set();
+  if (!words.length) return set;
+  if (words.length < SHINGLE_SIZE) { set.add(fnv1a(words.join(' '))); return set; }
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    set.add(fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  return set;
+}
+
+function signature(set) {
+  const sig = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const x of set) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(x, SEEDS[i]);
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+}
+
+export function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let inter = 0;
+  for (const x of small) if (large.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// How well-sourced a chunk is: a real source URL beats a bare name beats
+// nothing; then page title, longer text and richer metadata break ties.
+export function sourceRank(ch) {
+  const source = (ch.metadata?.source || '').trim();
+  return [
+    /^https?:\/\//i.test(source) ? 2 : source ? 1 : 0,
+    (ch.metadata?.page_title || '').trim() ? 1 : 0,
+    (ch.text || '').length,
+    (ch.customFields || []).filter(cf => cf.key && String(cf.value ?? '').trim()).length,
+  ];
+}
+
+// Rows per LSH band: the most selective split of the signature whose chance
+// of making a pair with Jaccard similarity `threshold` a candidate is at
+// least MIN_RECALL; 0 when even one-row bands fall short
+function bandRows(threshold) {
+  for (let rows = NUM_HASHES; rows >= 1; rows /= 2) {
+    if (1 - (1 - threshold ** rows) ** (NUM_HASHES / rows) >= MIN_RECALL) return rows;
+  }
+  return 0;
+}
+
+function checkThreshold(threshold) {
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1)) {
+    throw new Error(`threshold must be a number between 0 and 1, got ${JSON.stringify(threshold)}`);
+  }
+  return threshold;
+}
+
+function compareRank(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i];
+  }
+  return 0;
+}
+
+// Returns clusters of { chunk, category, shingles } entries (best-sourced
+// first), each with at least two members.
+export function findClusters(project, { category, threshold = DEFAULT_THRESHOLD } = {}) {
+  checkThreshold(threshold);
+  const entries = [];
+  for (const cat of project.categories) {
+    if (category && cat.name.toLowerCase() !== category.toLowerCase()) continue;
+    for (const ch of cat.chunks) {
+      const set = shingles(ch.text);
+      if (set.size) entries.push({ chunk: ch, category: cat, shingles: set, sig: signature(set) });
+    }
+  }
+
+  const parent = entries.map((_, i) => i);
+  const find = (i) => { while (parent[i] !== i) { parent[i] = parent[parent[i]]; i = parent[i]; } return i; };
+
+  const compare = (i, j) => {
+    if (find(i) !== find(j) && jaccard(entries[i].shingles, entries[j].shingles) >= threshold) parent[find(i)] = find(j);
+  };
+  const rows = bandRows(threshold);
+  if (!rows) {
+    for (let i = 0; i < entries.length; i++) for (let j = i + 1; j < entries.length; j++) compare(i, j);
+  }
+  // A pair whose signatures agree in an earlier band was compared there
+  const sharedEarlier = (a, b, band) => {
+    for (let k = 0; k < band; k++) {
+      let same = true;
+      for (let r = k * rows; same && r < (k + 1) * rows; r++) same = a[r] === b[r];
+      if (same) return true;
+    }
+    return false;
+  };
+  for (let band = 0; rows && band < NUM_HASHES / rows; band++) {
+    const buckets = new Map();
+    entries.forEach((e, i) => {
+      const key = Array.from(e.sig.subarray(band * rows, band * rows + rows)).join(',');
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    });
+    for (const members of buckets.values()) {
+      for (let x = 0; x < members.length; x++) {
+        for (let y = x + 1; y < members.length; y++) {
+          const i = members[x], j = members[y];
+          if (!sharedEarlier(entries[i].sig, entries[j].sig, band)) compare(i, j);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((e, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(e);
+  });
+
+  return [...groups.values()]
+    .filter(g => g.length > 1)
+    .map(g => g.sort((a, b) => compareRank(sourceRank(a.chunk), sourceRank(b.chunk))))
+    .sort((a, b) => b.length - a.length);
+}
+
+export function describeClusters(clusters) {
+  return clusters.map(members => {
+    const [keeper] = members;
+    return {
+      keep: keeper.chunk.id,
+      members: members.map(m => ({
+        id: m.chunk.id,
+        category: m.category.name,
+        length: (m.chunk.text || '').length,
+        source: m.chunk.metadata?.source || '',
+        similarity: Math.round(jaccard(keeper.shingles, m.shingles) * 1000) / 1000,
+      })),
+    };
+  });
+}
@@ -0,0 +1,290 @@
+// Export formatters. Each formatter turns export rows ({ category, entry }) into
+// text pieces through a generator, so large projects can be streamed to disk
+// without building the whole output string in memory.
+//
+// To add a format, add an entry to FORMATS with:
+//   extension   suffix for save_to_file
+//   inline      'json' (parsed into `data`) or 'text' (returned as `content`)
+//   bundle      true to write one file per category (named <category><fileExtension>)
+//               into a directory
+//   reserved    optional keys the format sets itself next to the metadata; custom
+//               fields with those names are exported as <name>_field instead
+//   pieces(rows, renames) generator yielding strings; `renames` maps the custom
+//               fields that collide with `reserved` to their new names
+
+import { openSync, writeSync, closeSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { STANDARD_META } from './select.js';
+
+// With `includeCategory` the category name goes in a `category` field, and a
+// custom field of that name is renamed like the formats' reserved keys
+export function exportRows(project, { category, includeCategory = false } = {}) {
+  const cats = category
+    ? project.categories.filter(c => c.name.toLowerCase() === category.toLowerCase())
+    : project.categories;
+  if (category && !cats.length) throw new Error(`Category "${category}" not found`);
+
+  const rows = [];
+  for (const cat of cats) {
+    for (const ch of cat.chunks) {
+      const entry = { id: ch.id, text: ch.text, metadata: { ...ch.metadata } };
+      if (ch.customFields) {
+        for (const cf of ch.customFields) {
+          if (cf.key && cf.key.trim()) entry.metadata[cf.key.trim()] = String(cf.value ?? '');
+        }
+      }
+      rows.push({ category: cat.name, entry });
+    }
+  }
+  if (includeCategory) {
+    const renames = fieldRenames(rows, ['category']);
+    for (const row of rows) {
+      row.entry.metadata = { ...renamed(row.entry.metadata, renames), category: row.category };
+    }
+  }
+  return rows;
+}
+
+// New names for the metadata fields of `rows` that are `reserved`:
+// <name>_field, with more `_field`s while that is taken too
+function fieldRenames(rows, reserved = []) {
+  const renames = new Map();
+  if (!reserved.length) return renames;
+  const taken = new Set(reserved);
+  for (const { entry } of rows) for (const key of Object.keys(entry.metadata)) taken.add(key);
+  for (const key of reserved) {
+    if (!rows.some(({ entry }) => Object.hasOwn(entry.metadata, key))) continue;
+    let name = `${key}_field`;
+    while (taken.has(name)) name += '_field';
+    taken.add(name);
+    renames.set(key, name);
+  }
+  return renames;
+}
+
+function renamed(metadata, renames) {
+  if (!renames.size) return metadata;
+  const out = {};
+  for (const [key, value] of Object.entries(metadata)) out[renames.get(key) ?? key] = value;
+  return out;
+}
+
+// Stable UUID derived from the chunk ID, since Qdrant point IDs must be UUIDs or integers.
+function pointId(id) {
+  const hex = createHash('sha1').update(String(id)).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${(8 | (parseInt(hex[16], 16) & 3)).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function indent(json, spaces) {
+  return json.replace(/\n/g, '\n' + ' '.repeat(spaces));
+}
+
+// Yields a pretty-printed JSON array one element at a time
+function* jsonArray(items, depth = 1) {
+  const pad = '  '.repeat(depth);
+  let first = true;
+  for (const item of items) {
+    yield (first ? '[\n' : ',\n') + pad + indent(JSON.stringify(item, null, 2), depth * 2);
+    first = false;
+  }
+  yield first ? '[]' : '\n' + '  '.repeat(depth - 1) + ']';
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function markdownText(value) {
+  return String(value ?? '').replace(/\r\n/g, '\n').trim();
+}
+
+export const FORMATS = {
+  json: {
+    extension: '.export.json',
+    inline: 'json',
+    *pieces(rows) {
+      yield* jsonArray(rows.map(r => r.entry));
+    },
+  },
+
+  jsonl: {
+    extension: '.export.jsonl',
+    inline: 'text',
+    *pieces(rows) {
+      for (const { entry } of rows) yield JSON.stringify(entry) + '\n';
+    },
+  },
+
+  csv: {
+    extension: '.export.csv',
+    inline: 'text',
+    reserved: ['id', 'text'],
+    *pieces(rows, renames) {
+      const custom = [];
+      for (const { entry } of rows) {
+        for (const key of Object.keys(entry.metadata)) {
+          if (!STANDARD_META.includes(key) && !custom.includes(key)) custom.push(key);
+        }
+      }
+      const columns = ['id', 'text', ...STANDARD_META, ...custom.map(key => renames.get(key) ?? key)];
+      yield columns.map(csvCell).join(',') + '\r\n';
+      for (const { entry } of rows) {
+        const metadata = renamed(entry.metadata, renames);
+        yield columns.map(col => csvCell(col === 'id' || col === 'text' ? entry[col] : metadata[col])).join(',') + '\r\n';
+      }
+    },
+  },
+
+  markdown: {
+    extension: '.export.md',
+    inline: 'text',
+    bundle: true,
+    fileExtension: '.md',
+    *pieces(rows) {
+      yield `# ${rows[0]?.category ?? ''}\n`;
+      for (const { entry } of rows) {
+        yield `\n## ${entry.id}\n\n`;
+        for (const [key, value] of Object.entries(entry.metadata)) {
+          if (String(value ?? '').trim()) yield `- **${key}**: ${markdownText(value)}\n`;
+        }
+        yield `\n${markdownText(entry.text)}\n\n---\n`;
+      }
+    },
+  },
+
+  // Arguments for Chroma's collection.add(ids=..., documents=..., metadatas=...).
+  // Chroma keeps the document under the metadata key "chroma:document".
+  chroma: {
+    extension: '.export.chroma.json',
+    inline: 'json',
+    reserved: ['chroma:document'],
+    *pieces(rows, renames) {
+      yield '{\n  "ids": ';
+      yield* jsonArray(rows.map(r => r.entry.id), 2);
+      yield ',\n  "documents": ';
+      yield* jsonArray(rows.map(r => r.entry.text), 2);
+      yield ',\n  "metadatas": ';
+      yield* jsonArray(rows.map(r => renamed(r.entry.metadata, renames)), 2);
+      yield '\n}\n';
+    },
+  },
+
+  // Points for Qdrant's upsert API. Vectors are not included: add them from your
+  // embedding model (or use a collection with server-side inference).
+  qdrant: {
+    extension: '.export.qdrant.json',
+    inline: 'json',
+    reserved: ['chunk_id', 'document'],
+    *pieces(rows, renames) {
+      yield '{\n  "points": ';
+      yield* jsonArray(rows.map(({ entry }) => ({
+        id: pointId(entry.id),
+        payload: { chunk_id: entry.id, document: entry.text, ...renamed(entry.metadata, renames) },
+      })), 2);
+      yield '\n}\n';
+    },
+  },
+
+  // LangChain Document objects (page_content + metadata)
+  langchain: {
+    extension: '.export.langchain.json',
+    inline: 'json',
+    reserved: ['id'],
+    *pieces(rows, renames) {
+      yield* jsonArray(rows.map(({ entry }) => ({
+        page_content: entry.text,
+        metadata: { id: entry.id, ...renamed(entry.metadata, renames) },
+      })));
+    },
+  },
+};
+
+function getFormat(format) {
+  const name = (format || 'json').toLowerCase();
+  const f = FORMATS[name];
+  if (!f) throw new Error(`Unknown export format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+  return { name, ...f };
+}
+
+function groupByCategory(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.category)) groups.set(row.category, []);
+    groups.get(row.category).push(row);
+  }
+  return groups;
+}
+
+// A project or category name as a single file name: no path separators, and
+// no leading dots (so never "." or "..")
+export function fileSafe(name) {
+  return name.replace(/[^\p{L}\p{N}_\-. ]/gu, '_').trim().replace(/^\./, '_') || 'category';
+}
+
+// A bundle's [fileName, rows] per category. Categories whose file-safe names
+// coincide (ignoring case) get a numeric suffix: Mobs.md, Mobs_2.md
+function bundleFiles(rows, extension) {
+  const used = new Set();
+  const files = [];
+  for (const [category, group] of groupByCategory(rows)) {
+    const base = fileSafe(category);
+    let name = base + extension;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}${extension}`;
+    used.add(name.toLowerCase());
+    files.push([name, group]);
+  }
+  return files;
+}
+
+// The renamed custom fields for the tool response, or undefined
+function renamedFields(renames) {
+  return renames.size ? Object.fromEntries(renames) : undefined;
+}
+
+// Returns the tool response for an export that is not saved to a file.
+export function renderExport(format, rows) {
+  const f = getFormat(format);
+  const renames = fieldRenames(rows, f.reserved);
+  if (f.bundle) {
+    const files = {};
+    for (const [name, group] of bundleFiles(rows, f.fileExtension)) {
+      files[name] = [...f.pieces(group, renames)].join('');
+    }
+    return { exported: rows.length, format: f.name, files };
+  }
+  const content = [...f.pieces(rows, renames)].join('');
+  const result = { exported: rows.length, format: f.name, renamedFields: renamedFields(renames) };
+  if (f.inline === 'json') return { ...result, data: JSON.parse(content) };
+  return { ...result, content };
+}
+
+function writePieces(fp, pieces) {
+  const fd = openSync(fp, 'w');
+  try {
+    for (const piece of pieces) writeSync(fd, piece, null, 'utf-8');
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Streams the export to `basePath` + the format's extension (a directory for
+// bundle formats) and returns the tool response.
+export function writeExport(format, rows, basePath) {
+  const f = getFormat(format);
+  const outPath = basePath + f.extension;
+  const renames = fieldRenames(rows, f.reserved);
+  if (f.bundle) {
+    if (!existsSync(outPath)) mkdirSync(outPath, { recursive: true });
+    const files = [];
+    for (const [name, group] of bundleFiles(rows, f.fileExtension)) {
+      const fp = join(outPath, name);
+      writePieces(fp, f.pieces(group, renames));
+      files.push(fp);
+    }
+    return { exported: rows.length, format: f.name, savedTo: outPath, files };
+  }
+  writePieces(outPath, f.pieces(rows, renames));
+  return { exported: rows.length, format: f.name, savedTo: outPath, renamedFields: renamedFields(renames) };
+}
@@ -0,0 +1,249 @@
+// Record import: parses CSV, JSONL and arbitrary JSON into plain records, then
+// maps record fields onto chunks.
+//
+// Mapping (every value is a field name; dotted paths reach into nested objects):
+//   id          column holding the chunk ID (default: "id")
+//   text        column, or array of columns joined with blank lines
+//               (default: first of text, content, body, page_content, document)
+//   page_title  default: first of page_title, title
+//   source      default: first of source, url
+//   license     default: "license"
+//   fields      custom fields: { key: column } or [column, ...]. When omitted, every
+//               other scalar column becomes a custom field (and a nested `metadata`
+//               object is flattened), so exports from this server round-trip.
+
+import { STANDARD_META } from './select.js';
+
+const DEFAULT_LICENSE = 'CC BY-NC-SA 3.0';
+const DEFAULT_COLUMNS = {
+  id: ['id'],
+  text: ['text', 'content', 'body', 'page_content', 'document'],
+  page_title: ['page_title', 'title'],
+  source: ['source', 'url'],
+  license: ['license'],
+};
+const MAX_REPORTED_ERRORS = 100;
+
+export const IMPORT_FORMATS = ['csv', 'tsv', 'jsonl', 'json'];
+
+// ---- PARSERS ----
+
+export function detectFormat(path) {
+  const m = /\.(csv|tsv|jsonl|ndjson|json)$/i.exec(path || '');
+  if (!m) return null;
+  const ext = m[1].toLowerCase();
+  return ext === 'ndjson' ? 'jsonl' : ext;
+}
+
+// RFC 4180: quoted fields may contain delimiters, quotes ("") and newlines.
+function parseCSV(content, delimiter) {
+  const rows = [];
+  let row = [], field = '', quoted = false, i = 0;
+  while (i < content.length) {
+    const c = content[i];
+    if (quoted) {
+      if (c === '"') {
+        if (content[i + 1] === '"') { field += '"'; i += 2; continue; }
+        quoted = false;
+      } else {
+        field += c;
+      }
+      i++;
+      continue;
+    }
+    if (c === '"' && field === '') { quoted = true; i++; continue; }
+    if (c === delimiter) { row.push(field); field = ''; i++; continue; }
+    if (c === '\r' || c === '\n') {
+      row.push(field); field = '';
+      rows.push(row); row = [];
+      i += c === '\r' && content[i + 1] === '\n' ? 2 : 1;
+      continue;
+    }
+    field += c;
+    i++;
+  }
+  if (quoted) throw new Error('Unterminated quoted field in CSV');
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.length > 1 || r[0] !== '');
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const record = {};
+    header.forEach((h, idx) => { if (h) record[h] = cells[idx] ?? ''; });
+    return record;
+  });
+}
+
+function getPath(obj, path) {
+  let value = obj;
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+// Returns { records, rows, errors }. `rows` holds the line number of each JSONL
+// record (null for other formats); lines that fail to parse are reported as
+// errors rather than aborting the import.
+export function parseRecords(content, format, { delimiter, recordsPath } = {}) {
+  content = String(content).replace(/^\uFEFF/, '');
+  switch (format) {
+    case 'csv':
+    case 'tsv':
+      return { records: parseCSV(content, delimiter || (format === 'tsv' ? '\t' : ',')), rows: null, errors: [] };
+    case 'jsonl': {
+      const records = [], rows = [], errors = [];
+      content.split(/\r?\n/).forEach((line, idx) => {
+        if (!line.trim()) return;
+        try {
+          records.push(JSON.parse(line));
+          rows.push(idx + 1);
+        } catch (e) {
+          errors.push({ row: idx + 1, reason: `Invalid JSON: ${e.message}` });
+        }
+      });
+      return { records, rows, errors };
+    }
+    case 'json':
+      return { records: selectRecords(JSON.parse(content), recordsPath), rows: null, errors: [] };
+    default:
+      throw new Error(`Unknown import format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
+
+export function selectRecords(data, recordsPath) {
+  const records = recordsPath ? getPath(data, recordsPath) : data;
+  if (!Array.isArray(records)) {
+    throw new Error(recordsPath
+      ? `"${recordsPath}" is not an array in the JSON data`
+      : 'JSON data is not an array; set records_path to the array to import (e.g. "data.items")');
+  }
+  return records;
+}
+
+// ---- MAPPING ----
+
+function scalar(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function pickColumn(record, spec, key) {
+  if (spec !== undefined) return spec;
+  return DEFAULT_COLUMNS[key].find(col => getPath(record, col) !== undefined) || DEFAULT_COLUMNS[key][0];
+}
+
+function slug(value) {
+  return scalar(value).toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+}
+
+// "{title}_{n}" -> "creeper_3". Placeholders are field paths (slugified) plus
+// {n}, the 1-based row number.
+function renderTemplate(template, record, row) {
+  return template.replace(/\{([^{}]+)\}/g, (_, name) => {
+    name = name.trim();
+    return name === 'n' ? String(row) : slug(getPath(record, name));
+  });
+}
+
+function customFields(record, mapping, used) {
+  const { fields } = mapping;
+  if (Array.isArray(fields)) {
+    return fields.map(col => ({ key: col, value: scalar(getPath(record, col)) }));
+  }
+  if (fields && typeof fields === 'object') {
+    return Object.entries(fields).map(([key, col]) => ({ key, value: scalar(getPath(record, col)) }));
+  }
+  // Everything not mapped elsewhere; a nested `metadata` object is flattened
+  const out = [];
+  const add = (key, value) => {
+    if (used.has(key) || STANDARD_META.includes(key) || out.some(cf => cf.key === key)) return;
+    if (value === undefined || value === null || value === '' || typeof value === 'object') return;
+    out.push({ key, value: scalar(value) });
+  };
+  for (const [key, value] of Object.entries(record)) {
+    if (key === 'metadata' && value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [mk, mv] of Object.entries(value)) add(mk, mv);
+    } else {
+      add(key, value);
+    }
+  }
+  return out;
+}
+
+// Maps records to chunks. `takenIds` (a Set) holds IDs already in the target
+// project and is updated as chunks are accepted. Explicit IDs that collide are
+// reported as errors; IDs generated from `idTemplate` get a _2, _3... suffix.
+//
+// Returns { chunks: [{ row, category, chunk }], errors: [{ row, id?, reason }] },
+// where row is the 1-based record number (or the line number from `rows`).
+export function mapRecords(records, { mapping = {}, idTemplate, categoryColumn, defaultCategory = 'Imported', defaultLicense = DEFAULT_LICENSE, rows } = {}, takenIds = new Set()) {
+  const chunks = [];
+  const errors = [];
+
+  records.forEach((record, idx) => {
+    const row = rows?.[idx] ?? idx + 1;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      errors.push({ row, reason: 'Record is not an object' });
+      return;
+    }
+
+    const columns = {};
+    for (const key of Object.keys(DEFAULT_COLUMNS)) columns[key] = pickColumn(record, mapping[key], key);
+    const metadataSource = (key) => {
+      const value = getPath(record, columns[key]);
+      return value !== undefined ? value : getPath(record, `metadata.${key}`);
+    };
+
+    const textCols = Array.isArray(columns.text) ? columns.text : [columns.text];
+    const text = textCols.map(col => scalar(getPath(record, col)).trim()).filter(Boolean).join('\n\n');
+    if (!text) {
+      errors.push({ row, reason: `No text in ${textCols.map(c => `"${c}"`).join(', ')}` });
+      return;
+    }
+
+    let id = scalar(getPath(record, columns.id)).trim();
+    if (id) {
+      if (takenIds.has(id)) { errors.push({ row, id, reason: 'Duplicate ID' }); return; }
+    } else if (idTemplate) {
+      const base = renderTemplate(idTemplate, record, row);
+      if (!base) { errors.push({ row, reason: `ID template "${idTemplate}" produced an empty ID` }); return; }
+      id = base;
+      for (let n = 2; takenIds.has(id); n++) id = `${base}_${n}`;
+    } else {
+      errors.push({ row, reason: `Missing ID in "${columns.id}" (set id_template to generate IDs)` });
+      return;
+    }
+
+    const category = (categoryColumn ? scalar(getPath(record, categoryColumn)).trim() : '') || defaultCategory;
+    const used = new Set([columns.id, ...textCols, columns.page_title, columns.source, columns.license, categoryColumn].filter(Boolean));
+
+    takenIds.add(id);
+    chunks.push({
+      row,
+      category,
+      chunk: {
+        id,
+        text,
+        metadata: {
+          page_title: scalar(metadataSource('page_title')),
+          source: scalar(metadataSource('source')),
+          license: scalar(metadataSource('license')) || defaultLicense,
+        },
+        customFields: customFields(record, mapping, used),
+      },
+    });
+  });
+
+  return { chunks, errors };
+}
+
+// Caps the error list so a badly mapped 50k-row file doesn't flood the response.
+export function reportErrors(errors) {
+  return errors.length > MAX_REPORTED_ERRORS
+    ? { errors: errors.length, details: errors.slice(0, MAX_REPORTED_ERRORS), truncated: true }
+    : { errors: errors.length, details: errors.length ? errors : undefined };
+}
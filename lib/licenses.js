@@ -0,0 +1,217 @@
+// License identification, compatibility and attribution for dataset chunks.
+//
+// Chunk licenses are free text ("CC BY-NC-SA 3.0", "Creative Commons
+// Attribution-ShareAlike 4.0", "MIT"), parsed into
+//   { id, label, family, by, nc, sa, nd, version }
+// where family is 'cc', 'pd' (CC0 / public domain), 'permissive' (MIT, BSD,
+// Apache, ISC), 'gfdl', 'proprietary', 'unknown' or 'missing'.
+//
+// Compatibility answers "may a chunk under this license ship in a dataset
+// distributed under the target license" following the Creative Commons
+// compatibility chart: NonCommercial content needs an NC target, ShareAlike
+// content the same license (same or later version), NoDerivatives content
+// can't be chunked at all, and attribution licenses can't go public domain.
+// It is a screening aid, not legal advice.
+
+const MAX_LISTED = 100;
+
+function ccVersion(text) {
+  const m = /\b([1-4])(\.\d)?\b/.exec(text.replace(/\b(by|nc|sa|nd)\b/g, ''));
+  return m ? `${m[1]}${m[2] || '.0'}` : '';
+}
+
+export function parseLicense(text) {
+  const raw = String(text ?? '').trim();
+  if (!raw) return { id: null, label: '(none)', family: 'missing' };
+  const t = raw.toLowerCase().replace(/creative\s*commons/g, 'cc').replace(/[_/]/g, ' ');
+
+  if (/\bcc0\b|\bcc zero\b/.test(t)) return { id: 'CC0-1.0', label: 'CC0 1.0', family: 'pd' };
+  if (/public domain|\bpd\b|\bunlicense\b/.test(t)) return { id: 'Public-Domain', label: 'Public domain', family: 'pd' };
+  if (/\bg?fdl\b|free documentation license/.test(t)) {
+    const version = /1\.[123]/.exec(t)?.[0] || '';
+    return { id: `GFDL${version ? `-${version}` : ''}`, label: `GNU FDL${version ? ` ${version}` : ''}`, family: 'gfdl', by: true, sa: true, version };
+  }
+  if (/\bmit\b/.test(t)) return { id: 'MIT', label: 'MIT', family: 'permissive', by: true };
+  if (/\bapache\b/.test(t)) return { id: 'Apache-2.0', label: 'Apache 2.0', family: 'permissive', by: true };
+  if (/\bbsd\b/.test(t)) return { id: 'BSD', label: 'BSD', family: 'permissive', by: true };
+  if (/\bisc\b/.test(t)) return { id: 'ISC', label: 'ISC', family: 'permissive', by: true };
+  if (/all rights reserved|\bproprietary\b|\bfair use\b|\bnon-?free\b|©|\(c\)/.test(t)) {
+    return { id: 'Proprietary', label: raw, family: 'proprietary' };
+  }
+  if (/\bcc\b|\battribution\b/.test(t)) {
+    const by = /\bby\b|\battribution\b/.test(t);
+    if (by) {
+      const nc = /\bnc\b|non-?commercial/.test(t);
+      const sa = /\bsa\b|share[\s-]?alike/.test(t);
+      const nd = /\bnd\b|no[\s-]?deriv/.test(t);
+      const version = ccVersion(t);
+      const terms = ['BY', nc && 'NC', sa && 'SA', nd && 'ND'].filter(Boolean).join('-');
+      return { id: `CC-${terms}${version ? `-${version}` : ''}`, label: `CC ${terms}${version ? ` ${version}` : ''}`, family: 'cc', by, nc, sa, nd, version };
+    }
+  }
+  return { id: null, label: raw, family: 'unknown' };
+}
+
+export function licenseUrl(lic) {
+  if (lic.family === 'cc') return `https://creativecommons.org/licenses/${lic.id.slice(3).replace(/-\d\.\d$/, '').toLowerCase()}/${lic.version || '4.0'}/`;
+  if (lic.id === 'CC0-1.0') return 'https://creativecommons.org/publicdomain/zero/1.0/';
+  if (lic.family === 'gfdl') return 'https://www.gnu.org/licenses/fdl-1.3.html';
+  if (lic.id === 'MIT') return 'https://opensource.org/licenses/MIT';
+  if (lic.id === 'Apache-2.0') return 'https://www.apache.org/licenses/LICENSE-2.0';
+  return null;
+}
+
+// Parses the license a dataset is distributed under; throws for ones that
+// can't serve as a target
+export function targetLicense(text) {
+  const target = parseLicense(text);
+  if (['missing', 'unknown', 'proprietary'].includes(target.family)) {
+    throw new Error(`Target license "${text}" is not recognised. Use e.g. "CC BY-SA 4.0", "CC BY-NC-SA 3.0", "CC0" or "MIT".`);
+  }
+  return target;
+}
+
+// null if `src` content may be distributed under `target`, else the reason
+export function incompatibility(src, target) {
+  if (src.family === 'pd') return null;
+  if (src.family === 'proprietary') return 'all rights reserved: no permission to redistribute';
+  if (src.nd) return 'NoDerivatives: chunked or edited text is an adaptation';
+  if (target.family === 'pd') return `${src.label} requires attribution; the dataset is public domain`;
+  if (src.nc && !target.nc) return 'NonCommercial content in a dataset that allows commercial use';
+  if (src.family === 'gfdl' && target.family !== 'gfdl') return 'GFDL content must stay under the GFDL';
+  if (src.sa && src.family === 'cc') {
+    const same = target.family === 'cc' && target.sa && !target.nd && !!target.nc === !!src.nc;
+    if (!same) return `ShareAlike: must be distributed under ${src.label.replace(/ [\d.]+$/, '')} (this or a later version)`;
+    if (src.version && target.version && parseFloat(target.version) < parseFloat(src.version)) {
+      return `ShareAlike: needs version ${src.version} or later, the dataset is ${target.label}`;
+    }
+  }
+  return null;
+}
+
+function domainOf(source) {
+  const s = String(source ?? '').trim();
+  if (!s) return '(no source)';
+  try {
+    if (/^https?:\/\//i.test(s)) return new URL(s).hostname.toLowerCase().replace(/^www\./, '');
+  } catch { /* not a URL: use as is */ }
+  return s;
+}
+
+// Status of every export row ({ category, entry }) against an optional
+// target: 'ok', 'missing', 'unknown' or 'incompatible'
+function classify(rows, target) {
+  const parsed = new Map();
+  return rows.map(({ category, entry }) => {
+    const raw = entry.metadata?.license || '';
+    if (!parsed.has(raw)) parsed.set(raw, parseLicense(raw));
+    const lic = parsed.get(raw);
+    let status = 'ok', reason;
+    if (lic.family === 'missing') { status = 'missing'; reason = 'no license'; }
+    else if (lic.family === 'unknown') { status = 'unknown'; reason = `unrecognised license "${lic.label}"`; }
+    else if (target) {
+      reason = incompatibility(lic, target) || undefined;
+      if (reason) status = 'incompatible';
+    }
+    return { category, entry, lic, status, reason, domain: domainOf(entry.metadata?.source) };
+  });
+}
+
+const isViolation = (c, allowUnknown) => c.status === 'incompatible' || (!allowUnknown && (c.status === 'missing' || c.status === 'unknown'));
+
+// Export rows that break the policy (incompatible with the target, or without
+// a recognised license unless `allowUnknown`), as { id, license, status, reason }
+export function licenseViolations(rows, { target, allowUnknown = false }) {
+  return classify(rows, targetLicense(target))
+    .filter(c => isViolation(c, allowUnknown))
+    .map(c => ({ id: c.entry.id, category: c.category, license: c.entry.metadata?.license || '', status: c.status, reason: c.reason }));
+}
+
+// Chunks grouped by license and by source domain, with the problems found
+export function licenseReport(rows, { target, allowUnknown = false, limit = MAX_LISTED } = {}) {
+  const targetLic = target ? targetLicense(target) : null;
+  const classified = classify(rows, targetLic);
+
+  const byLicense = new Map();
+  const byDomain = new Map();
+  for (const c of classified) {
+    const key = c.lic.id || c.lic.label;
+    if (!byLicense.has(key)) {
+      byLicense.set(key, {
+        license: c.lic.label, id: c.lic.id || undefined, url: licenseUrl(c.lic) || undefined,
+        status: c.status, reason: c.reason, chunks: 0, domains: {}, spellings: new Set(),
+      });
+    }
+    const group = byLicense.get(key);
+    group.chunks++;
+    group.domains[c.domain] = (group.domains[c.domain] || 0) + 1;
+    group.spellings.add(c.entry.metadata?.license || '');
+
+    if (!byDomain.has(c.domain)) byDomain.set(c.domain, { domain: c.domain, chunks: 0, licenses: {} });
+    const dom = byDomain.get(c.domain);
+    dom.chunks++;
+    dom.licenses[c.lic.label] = (dom.licenses[c.lic.label] || 0) + 1;
+  }
+
+  const count = (status) => classified.filter(c => c.status === status).length;
+  const violations = classified.filter(c => c.status !== 'ok');
+  return {
+    target: targetLic ? { license: targetLic.label, url: licenseUrl(targetLic) || undefined } : undefined,
+    chunks: rows.length,
+    missing: count('missing'),
+    unknown: count('unknown'),
+    incompatible: targetLic ? count('incompatible') : undefined,
+    compliant: targetLic ? !classified.some(c => isViolation(c, allowUnknown)) : undefined,
+    licenses: [...byLicense.values()]
+      .sort((a, b) => b.chunks - a.chunks)
+      .map(({ spellings, ...g }) => ({ ...g, spellings: spellings.size > 1 ? [...spellings] : undefined })),
+    domains: [...byDomain.values()].sort((a, b) => b.chunks - a.chunks),
+    problems: violations.slice(0, limit).map(c => ({
+      id: c.entry.id, category: c.category, license: c.entry.metadata?.license || '', source: c.entry.metadata?.source || undefined, status: c.status, reason: c.reason,
+    })),
+    truncated: violations.length > limit || undefined,
+  };
+}
+
+function mdLink(text, url) {
+  const label = text.replace(/([[\]])/g, '\\$1');
+  return url ? `[${label}](${url.replace(/\)/g, '%29')})` : label;
+}
+
+// ATTRIBUTION.md for a set of export rows: every source page, grouped by
+// site and license
+export function attributionText(rows, { project, target } = {}) {
+  const targetLic = target ? targetLicense(target) : null;
+  const groups = new Map();
+  let unsourced = 0;
+  for (const { entry } of rows) {
+    const source = String(entry.metadata?.source || '').trim();
+    const title = String(entry.metadata?.page_title || '').trim();
+    if (!source && !title) { unsourced++; continue; }
+    const lic = parseLicense(entry.metadata?.license);
+    const key = `${domainOf(source)}\u0000${lic.id || lic.label}`;
+    if (!groups.has(key)) groups.set(key, { domain: domainOf(source), lic, pages: new Map() });
+    const isUrl = /^https?:\/\//i.test(source);
+    const pageKey = isUrl ? source.replace(/#.*$/, '') : `${title}\u0000${source}`;
+    if (!groups.get(key).pages.has(pageKey)) {
+      groups.get(key).pages.set(pageKey, isUrl ? mdLink(title || pageKey, pageKey) : [title, source].filter(Boolean).join(' — '));
+    }
+  }
+
+  const lines = [`# Attribution${project ? ` — ${project}` : ''}`, ''];
+  if (targetLic) {
+    const url = licenseUrl(targetLic);
+    lines.push(`This dataset is distributed under ${url ? mdLink(targetLic.label, url) : targetLic.label}.`, '');
+  }
+  lines.push('It contains text from the sources below, used under the licenses shown. The text was extracted from the original pages, split into chunks and may have been edited.', '');
+  const sorted = [...groups.values()].sort((a, b) => a.domain.localeCompare(b.domain) || a.lic.label.localeCompare(b.lic.label));
+  for (const { domain, lic, pages } of sorted) {
+    const url = licenseUrl(lic);
+    lines.push(`## ${domain}`, '');
+    lines.push(lic.family === 'missing' ? 'License: not recorded.' : `License: ${url ? mdLink(lic.label, url) : lic.label}`, '');
+    for (const page of [...pages.values()].sort()) lines.push(`- ${page}`);
+    lines.push('');
+  }
+  if (unsourced) lines.push(`${unsourced} chunk${unsourced === 1 ? ' has' : 's have'} no recorded source or page title.`, '');
+  return lines.join('\n');
+}
@@ -0,0 +1,282 @@
+// Dataset quality checks: per-chunk rules that catch what scraping and
+// hand-editing leave behind (empty or oversized chunks, page chrome, broken
+// encoding, missing sources, infobox dumps) plus project-wide ID style.
+//
+// Rules marked fixable have a safe text rewrite (fixText) that never changes
+// a chunk's meaning: mojibake is re-decoded, unambiguous junk lines and
+// markers dropped (outside code), whitespace normalized.
+
+import { DEFAULT_CHUNK_SIZE } from './chunking.js';
+
+export const SEVERITIES = ['info', 'warning', 'error'];
+export const DEFAULT_MIN_CHARS = 50;
+export const DEFAULT_MAX_CHARS = DEFAULT_CHUNK_SIZE * 2;
+const DEFAULT_LIMIT = 200;
+
+export const LINT_RULES = {
+  empty: { severity: 'error', description: 'Chunk has no text' },
+  too_short: { severity: 'warning', description: `Text shorter than min_chars (default ${DEFAULT_MIN_CHARS})` },
+  too_long: { severity: 'warning', description: `Text longer than max_chars (default ${DEFAULT_MAX_CHARS}); embedding models truncate long inputs` },
+  encoding: { severity: 'error', fixable: true, description: 'Mojibake (Ã©, â€™), replacement characters or control characters' },
+  scrape_junk: { severity: 'warning', fixable: true, description: '[edit] links, citation markers, cookie banners, navigation and footer text' },
+  whitespace: { severity: 'info', fixable: true, description: 'Non-breaking or zero-width spaces, trailing spaces, runs of blank lines' },
+  missing_source: { severity: 'warning', description: 'No source' },
+  missing_title: { severity: 'warning', description: 'No page_title' },
+  infobox_dump: { severity: 'warning', description: 'Text is mostly "Key: value" lines or table cells rather than prose' },
+  id_style: { severity: 'info', description: 'ID doesn\'t follow the naming style most IDs in the project use' },
+};
+export const FIXABLE_RULES = Object.keys(LINT_RULES).filter(r => LINT_RULES[r].fixable);
+
+// ---- ENCODING ----
+
+// Windows-1252 bytes 0x80-0x9F, the usual suspects when UTF-8 was decoded as
+// cp1252 ("â€™" for "’")
+const CP1252 = {
+  0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+  0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+  0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+  0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F,
+};
+const CONT = '[\\u0080-\\u00BF\\u0152\\u0153\\u0160\\u0161\\u0178\\u017D\\u017E\\u0192\\u02C6\\u02DC\\u2013\\u2014\\u2018-\\u201A\\u201C-\\u201E\\u2020-\\u2022\\u2026\\u2030\\u2039\\u203A\\u20AC\\u2122]';
+// A UTF-8 lead byte followed by as many continuation bytes as it announces
+const MOJIBAKE_RE = new RegExp(`[\\u00C2-\\u00DF]${CONT}|[\\u00E0-\\u00EF]${CONT}{2}|[\\u00F0-\\u00F4]${CONT}{3}`, 'g');
+const CONTROL_RE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function redecode(run) {
+  const bytes = Uint8Array.from(run, ch => CP1252[ch.codePointAt(0)] ?? ch.codePointAt(0));
+  try {
+    return utf8.decode(bytes);
+  } catch {
+    return run; // not actually UTF-8: leave it alone
+  }
+}
+
+function repairEncoding(text) {
+  return text.replace(MOJIBAKE_RE, redecode).replace(CONTROL_RE, '');
+}
+
+function encodingProblems(text) {
+  const problems = [];
+  const mojibake = (text.match(MOJIBAKE_RE) || []).filter(run => redecode(run) !== run);
+  if (mojibake.length) problems.push(`mojibake (${[...new Set(mojibake)].slice(0, 3).map(m => `"${m}"`).join(', ')})`);
+  if (text.includes('\uFFFD')) problems.push('replacement characters (U+FFFD)');
+  if (CONTROL_RE.test(text)) problems.push('control characters');
+  CONTROL_RE.lastIndex = 0;
+  return problems;
+}
+
+// ---- SCRAPING JUNK ----
+
+// Whole lines that are page chrome rather than content
+const JUNK_LINES = [
+  /^\[?\s*edit(\s+source)?\s*\]?$/i,
+  /^(jump|skip) to (navigation|search|content|main content)\b/i,
+  /^(navigation menu|main menu|personal tools|namespaces|page tools|site tools|toggle [\w ]{1,30}|back to top)$/i,
+  /^retrieved from\s+["“]?https?:/i,
+  /^this page was last (edited|modified)\b/i,
+  /^(advertisement|sponsored( content)?|share this( page)?|log ?in|sign ?(in|up)|create account|read more)$/i,
+  /^categor(y|ies)\s*:.*\|/i,
+];
+// Single words that are usually chrome but can be content: reported, never
+// removed by fix
+const MAYBE_JUNK_LINE = /^(contents|hide|show|previous|next|print|views|variants|share|subscribe)$/i;
+const COOKIE_RE = /\b(we use cookies|(this|our) (site|website) uses cookies|accept (all )?cookies|cookie (policy|settings|preferences))\b/i;
+// Inline markers: [1], [edit], [citation needed], ... (not Markdown links)
+const MARKER_RE = /\[(\d{1,3}|edit|edit source|citation needed|clarification needed|verify|when\?|who\?|note \d+)\](?!\()/gi;
+
+function isJunkLine(line) {
+  const t = line.trim();
+  if (!t) return false;
+  return JUNK_LINES.some(re => re.test(t)) || (t.length < 300 && COOKIE_RE.test(t));
+}
+
+// Statements outside code blocks: assignments, arrows, lines ending in ; { }
+const CODE_LINE_RE = /[\w\])]\s*[-+*/]?=(?!=)\s*\S|=>|[;{}]\s*$/;
+
+// Lines of the text with `code` set inside fenced (``` / ~~~) and indented
+// code blocks and on statement-like lines, where brackets and short lines
+// are code, not page chrome
+function markLines(text) {
+  let fence = null;
+  return text.split('\n').map(line => {
+    const marker = /^\s{0,3}(`{3,}|~{3,})/.exec(line)?.[1];
+    if (fence) {
+      if (marker && marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+      return { line, code: true };
+    }
+    if (marker) { fence = marker; return { line, code: true }; }
+    return { line, code: /^( {4}|\t)/.test(line) || CODE_LINE_RE.test(line) };
+  });
+}
+
+// Markers in a prose line, outside `inline code`
+function proseMarkers(line) {
+  return line.split(/(`[^`\n]*`)/).flatMap((part, i) => (i % 2 ? [] : part.match(MARKER_RE) || []));
+}
+
+function stripMarkers(line) {
+  return line.split(/(`[^`\n]*`)/).map((part, i) => (i % 2 ? part : part.replace(MARKER_RE, ''))).join('');
+}
+
+function junkProblems(text) {
+  const prose = markLines(text).filter(l => !l.code).map(l => l.line);
+  const lines = prose.filter(l => isJunkLine(l) || MAYBE_JUNK_LINE.test(l.trim()));
+  const markers = prose.flatMap(proseMarkers);
+  const problems = [];
+  if (lines.length) problems.push(`${lines.length} junk line${lines.length === 1 ? '' : 's'} (${lines.slice(0, 2).map(l => `"${l.trim().slice(0, 40)}"`).join(', ')})`);
+  if (markers.length) problems.push(`${markers.length} marker${markers.length === 1 ? '' : 's'} like ${[...new Set(markers)].slice(0, 3).join(' ')}`);
+  return problems;
+}
+
+function removeJunk(text) {
+  return markLines(text)
+    .filter(l => l.code || !isJunkLine(l.line))
+    .map(l => (l.code ? l.line : stripMarkers(l.line)))
+    .join('\n');
+}
+
+// ---- WHITESPACE ----
+
+const ODD_SPACE_RE = /[\u00A0\u2007\u202F\u200B\uFEFF]/;
+
+function whitespaceProblems(text) {
+  const problems = [];
+  if (ODD_SPACE_RE.test(text)) problems.push('non-breaking or zero-width spaces');
+  if (/[ \t]+$/m.test(text)) problems.push('trailing spaces');
+  if (/\n\s*\n\s*\n/.test(text)) problems.push('runs of blank lines');
+  if (text !== text.trim()) problems.push('leading or trailing whitespace');
+  return problems;
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/[\u00A0\u2007\u202F]/g, ' ')
+    .replace(/[\u200B\uFEFF]/g, '')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n\s*\n(\s*\n)+/g, '\n\n')
+    .trim();
+}
+
+// Applies the safe rewrites of the given rules (default: all fixable ones)
+export function fixText(text, rules = FIXABLE_RULES) {
+  let out = text || '';
+  if (rules.includes('encoding')) out = repairEncoding(out);
+  if (rules.includes('scrape_junk')) out = removeJunk(out);
+  if (rules.includes('whitespace') || rules.includes('scrape_junk')) out = normalizeWhitespace(out);
+  return out;
+}
+
+// ---- STRUCTURE ----
+
+const KV_LINE_RE = /^[^:|\n]{1,40}:\s*\S/;
+
+// Share of non-empty lines that are short "Key: value" pairs or table rows;
+// table-row chunks (with a `table` field) are meant to look like that
+function infoboxShare(ch) {
+  if ((ch.customFields || []).some(cf => cf.key === 'table')) return 0;
+  const lines = (ch.text || '').split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.length < 4) return 0;
+  const dump = lines.filter(l => (l.length <= 80 && KV_LINE_RE.test(l)) || (l.match(/\|/g) || []).length >= 2);
+  return dump.length / lines.length;
+}
+
+function idStyle(id) {
+  if (/^[a-z0-9]+$/.test(id)) return 'word';
+  if (/^[a-z0-9]+(_[a-z0-9]+)+$/.test(id)) return 'snake_case';
+  if (/^[a-z0-9]+(-[a-z0-9]+)+$/.test(id)) return 'kebab-case';
+  if (/^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/.test(id)) return 'camelCase';
+  return 'other';
+}
+
+// The style most multi-word IDs use (single lowercase words fit any)
+function dominantIdStyle(ids) {
+  const counts = {};
+  for (const id of ids) {
+    const style = idStyle(id);
+    if (style !== 'word' && style !== 'other') counts[style] = (counts[style] || 0) + 1;
+  }
+  const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : 'snake_case';
+}
+
+// ---- REPORT ----
+
+function chunkIssues(ch, ctx) {
+  const issues = [];
+  const add = (rule, message, fixable = !!LINT_RULES[rule].fixable) => issues.push({ rule, severity: LINT_RULES[rule].severity, message, fixable });
+  const text = ch.text || '';
+  const length = text.trim().length;
+
+  if (!length) add('empty', 'Chunk has no text');
+  else if (length < ctx.minChars) add('too_short', `Only ${length} characters (minimum ${ctx.minChars})`);
+  if (length > ctx.maxChars) add('too_long', `${length} characters (maximum ${ctx.maxChars}); consider rechunk`);
+
+  const encoding = encodingProblems(text);
+  const titleEncoding = encodingProblems(ch.metadata?.page_title || '');
+  if (encoding.length) add('encoding', `Text has ${encoding.join(', ')}`);
+  if (titleEncoding.length) add('encoding', `page_title has ${titleEncoding.join(', ')}`);
+  const junk = junkProblems(text);
+  if (junk.length) add('scrape_junk', `Text has ${junk.join(' and ')}`, removeJunk(text) !== text);
+  const ws = whitespaceProblems(text);
+  if (ws.length) add('whitespace', `Text has ${ws.join(', ')}`);
+
+  if (!(ch.metadata?.source || '').trim()) add('missing_source', 'No source');
+  if (!(ch.metadata?.page_title || '').trim()) add('missing_title', 'No page_title');
+
+  const share = infoboxShare(ch);
+  if (share >= 0.6) add('infobox_dump', `${Math.round(share * 100)}% of lines are key/value pairs or table cells`);
+
+  const style = idStyle(ch.id);
+  if (style === 'other') add('id_style', `ID "${ch.id}" has uppercase letters, spaces or characters outside a-z, 0-9, _ and -`);
+  else if (style !== 'word' && style !== ctx.idStyle) add('id_style', `ID "${ch.id}" is ${style}; most IDs in the project are ${ctx.idStyle}`);
+
+  return issues.filter(i => ctx.rules.includes(i.rule) && SEVERITIES.indexOf(i.severity) >= ctx.minSeverity);
+}
+
+export function lintOptions({ rules, minSeverity = 'info', minChars, maxChars } = {}) {
+  const unknown = (rules || []).filter(r => !LINT_RULES[r]);
+  if (unknown.length) throw new Error(`Unknown lint rule${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Available: ${Object.keys(LINT_RULES).join(', ')}`);
+  if (!SEVERITIES.includes(minSeverity)) throw new Error(`Unknown severity "${minSeverity}". Use ${SEVERITIES.join(', ')}`);
+  return {
+    rules: rules?.length ? rules : Object.keys(LINT_RULES),
+    minSeverity: SEVERITIES.indexOf(minSeverity),
+    minChars: minChars ?? DEFAULT_MIN_CHARS,
+    maxChars: maxChars ?? DEFAULT_MAX_CHARS,
+  };
+}
+
+// Chunks of a project (or one category) and their issues, most severe first
+export function lintProject(project, { category, limit = DEFAULT_LIMIT, ...options } = {}) {
+  const ctx = lintOptions(options);
+  ctx.idStyle = dominantIdStyle(project.categories.flatMap(c => c.chunks.map(ch => ch.id)));
+
+  const details = [];
+  const bySeverity = { error: 0, warning: 0, info: 0 };
+  const byRule = {};
+  let checked = 0, fixable = 0;
+  for (const cat of project.categories) {
+    if (category && cat.name.toLowerCase() !== category.toLowerCase()) continue;
+    for (const ch of cat.chunks) {
+      checked++;
+      const issues = chunkIssues(ch, ctx);
+      for (const issue of issues) {
+        bySeverity[issue.severity]++;
+        byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+        details.push({ id: ch.id, category: cat.name, ...issue });
+      }
+      if (issues.some(i => i.fixable)) fixable++;
+    }
+  }
+  details.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+  return {
+    checked,
+    issues: details.length,
+    bySeverity,
+    byRule,
+    fixableChunks: fixable,
+    idStyle: ctx.rules.includes('id_style') ? ctx.idStyle : undefined,
+    details: details.slice(0, limit),
+    truncated: details.length > limit || undefined,
+  };
+}
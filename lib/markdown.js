@@ -0,0 +1,174 @@
+// HTML to Markdown for extracted page content: headings, lists, GFM tables,
+// code blocks, emphasis and (optionally) links. Works on a cheerio selection.
+
+import { headingMarker } from './chunking.js';
+import { tableGrid, headerRowCount, columnLabels } from './tables.js';
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'aside', 'header', 'footer', 'figure', 'figcaption',
+  'center', 'details', 'summary', 'address', 'form', 'fieldset', 'dl', 'caption',
+]);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'template', 'img', 'svg', 'iframe', 'button', 'input', 'select', 'textarea']);
+
+function block(content) {
+  const text = content.trim();
+  return text ? `\n\n${text}\n\n` : '';
+}
+
+// **x** around the trimmed content, keeping the surrounding spaces outside
+function wrap(content, mark) {
+  const m = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  return m[2] ? `${m[1]}${mark}${m[2]}${mark}${m[3]}` : content;
+}
+
+function inline(content) {
+  return content.replace(/\s+/g, ' ').trim();
+}
+
+function codeSpan(text) {
+  const ticks = text.includes('`') ? '``' : '`';
+  return `${ticks}${ticks.length > 1 ? ' ' : ''}${text}${ticks.length > 1 ? ' ' : ''}${ticks}`;
+}
+
+function language(node) {
+  for (const n of [node, ...(node.children || []).filter(c => c.type === 'tag')]) {
+    const m = /(?:^|\s)(?:language|lang)-([\w+#-]+)/.exec(n.attribs?.class || '');
+    if (m) return m[1];
+  }
+  return '';
+}
+
+export class MarkdownConverter {
+  constructor($, { links = false, baseUrl, headingMarkers = false } = {}) {
+    this.$ = $;
+    this.links = links;
+    this.baseUrl = baseUrl;
+    this.headingMarkers = headingMarkers;
+  }
+
+  convert(selection) {
+    const md = selection.toArray().map(node => this.render(node)).join('');
+    return md
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  children(node) {
+    return (node.children || []).map(child => this.render(child)).join('');
+  }
+
+  render(node) {
+    if (node.type === 'text') return node.data.replace(/\s+/g, ' ');
+    if (node.type !== 'tag') return '';
+    const tag = node.name.toLowerCase();
+    if (SKIP_TAGS.has(tag)) return '';
+
+    switch (tag) {
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+        const level = Number(tag[1]);
+        if (this.headingMarkers && level <= 4) {
+          const plain = inline(this.$(node).text());
+          return plain ? headingMarker(level, plain) : '';
+        }
+        const text = inline(this.children(node));
+        return text ? `\n\n${'#'.repeat(level)} ${text}\n\n` : '';
+      }
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong': case 'b':
+        return wrap(this.children(node), '**');
+      case 'em': case 'i':
+        return wrap(this.children(node), '*');
+      case 's': case 'del': case 'strike':
+        return wrap(this.children(node), '~~');
+      case 'code': case 'kbd': case 'samp': {
+        const text = this.$(node).text();
+        return text.trim() ? codeSpan(text.replace(/\s+/g, ' ')) : '';
+      }
+      case 'pre': {
+        const text = this.$(node).text().replace(/\n+$/, '');
+        if (!text.trim()) return '';
+        const fence = text.includes('```') ? '~~~~' : '```';
+        return `\n\n${fence}${language(node)}\n${text}\n${fence}\n\n`;
+      }
+      case 'a':
+        return this.link(node);
+      case 'ul': case 'ol':
+        return this.list(node, tag === 'ol');
+      case 'table':
+        return this.table(node);
+      case 'blockquote': {
+        const text = this.children(node).trim().replace(/\n{3,}/g, '\n\n');
+        return text ? block(text.split('\n').map(line => line ? `> ${line}` : '>').join('\n')) : '';
+      }
+      case 'dt':
+        return block(wrap(inline(this.children(node)), '**'));
+      case 'dd':
+      case 'li':
+        return block(this.children(node));
+      default:
+        return BLOCK_TAGS.has(tag) ? block(this.children(node)) : this.children(node);
+    }
+  }
+
+  link(node) {
+    const text = this.children(node);
+    const href = node.attribs?.href || '';
+    if (!this.links || !inline(text) || !href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+    let url = href;
+    try { url = new URL(href, this.baseUrl).href; } catch { /* keep as written */ }
+    const m = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    return `${m[1]}[${m[2]}](${url.replace(/\)/g, '%29').replace(/ /g, '%20')})${m[3]}`;
+  }
+
+  list(node, ordered) {
+    let n = Number(node.attribs?.start) || 1;
+    const items = [];
+    for (const li of node.children || []) {
+      if (li.type !== 'tag') continue;
+      const content = this.children(li).trim().replace(/\n{2,}/g, '\n');
+      if (!content) continue;
+      const marker = ordered ? `${n++}. ` : '- ';
+      const pad = ' '.repeat(marker.length);
+      items.push(marker + content.split('\n').map((line, i) => (i && line ? pad + line : line)).join('\n'));
+    }
+    return items.length ? `\n\n${items.join('\n')}\n\n` : '';
+  }
+
+  // Rowspan cells are repeated in every row they cover; colspan copies are left
+  // empty. Stacked header rows merge into one ("Quantity / Normal").
+  table(node) {
+    const grid = tableGrid(node);
+    const rendered = new Map();
+    const render = (n) => {
+      if (!rendered.has(n)) rendered.set(n, inline(this.children(n)).replace(/\|/g, '\\|'));
+      return rendered.get(n);
+    };
+    const rows = grid.rows.map(r => r.cells.map(cell => (cell.node && !cell.spanned ? render(cell.node) : '')));
+    const width = rows[0]?.length || 0;
+    // Layout tables (a single column) read better as plain blocks
+    if (width <= 1) return rows.map(r => block(r[0] || '')).join('');
+
+    const headRows = Math.max(1, Math.min(headerRowCount(grid), rows.length - 1));
+    const head = headRows > 1 ? columnLabels(grid, headRows, render) : rows[0];
+    const body = rows.slice(headRows);
+    const { caption } = grid;
+    const line = (cells) => `| ${cells.join(' | ')} |`;
+    return [
+      caption ? block(wrap(inline(this.children(caption)), '**')) : '',
+      '\n\n',
+      line(head),
+      '\n',
+      `|${' --- |'.repeat(width)}`,
+      ...body.map(r => '\n' + line(r)),
+      '\n\n',
+    ].join('');
+  }
+}
+
+export function htmlToMarkdown($, selection, options) {
+  return new MarkdownConverter($, options).convert(selection);
+}
@@ -0,0 +1,204 @@
+// MediaWiki Action API client (api.php) for page, category and search
+// ingestion, plus infobox-template parsing from wikitext.
+
+import { decodePath } from './crawl.js';
+
+const BATCH = 50;
+const MAX_LIST = 5000;
+
+export class MediaWikiClient {
+  // fetchJson(url) -> parsed JSON body
+  constructor(api, fetchJson) {
+    this.api = api;
+    this.fetchJson = fetchJson;
+    this.site = null;
+  }
+
+  async call(params) {
+    const qs = new URLSearchParams({ format: 'json', formatversion: '2', ...params });
+    const data = await this.fetchJson(`${this.api}?${qs}`);
+    if (data.error) throw new Error(`MediaWiki API error (${data.error.code}): ${data.error.info}`);
+    return data;
+  }
+
+  async siteInfo() {
+    if (!this.site) {
+      const { query } = await this.call({ action: 'query', meta: 'siteinfo', siprop: 'general|rightsinfo|namespaces' });
+      this.site = {
+        name: query.general.sitename,
+        server: new URL(query.general.server, this.api).origin,
+        articlePath: query.general.articlepath,
+        license: query.rightsinfo?.text || '',
+        licenseUrl: query.rightsinfo?.url || '',
+        categoryNs: query.namespaces?.['14']?.name || 'Category',
+      };
+    }
+    return this.site;
+  }
+
+  // "https://wiki/w/Iron_Golem" or "Iron Golem" -> "Iron Golem"
+  async titleFrom(pageOrUrl) {
+    if (!/^https?:\/\//i.test(pageOrUrl)) return pageOrUrl.trim();
+    const u = new URL(pageOrUrl);
+    if (u.searchParams.has('title')) return u.searchParams.get('title').replace(/_/g, ' ');
+    const { articlePath } = await this.siteInfo();
+    const [prefix, suffix] = articlePath.split('$1');
+    let path = u.pathname;
+    if (prefix && path.startsWith(prefix)) path = path.slice(prefix.length);
+    if (suffix && path.endsWith(suffix)) path = path.slice(0, -suffix.length);
+    return decodePath(path).replace(/_/g, ' ');
+  }
+
+  // Titles of pages in a category, descending `depth` levels of subcategories
+  async categoryMembers(category, { depth = 0, limit = MAX_LIST } = {}) {
+    const { categoryNs } = await this.siteInfo();
+    const start = /^[^:]+:/.test(category) ? category : `${categoryNs}:${category}`;
+    const titles = [];
+    const seenCats = new Set([start.toLowerCase()]);
+    let level = [start];
+    for (let d = 0; d <= depth && level.length && titles.length < limit; d++) {
+      const next = [];
+      for (const cat of level) {
+        let cont = {};
+        do {
+          const data = await this.call({ action: 'query', list: 'categorymembers', cmtitle: cat, cmtype: 'page|subcat', cmlimit: 'max', ...cont });
+          for (const m of data.query.categorymembers) {
+            if (m.ns === 14) {
+              if (!seenCats.has(m.title.toLowerCase())) { seenCats.add(m.title.toLowerCase()); next.push(m.title); }
+            } else if (!titles.includes(m.title)) {
+              titles.push(m.title);
+            }
+          }
+          cont = data.continue || null;
+        } while (cont && titles.length < limit);
+      }
+      level = next;
+    }
+    return titles.slice(0, limit);
+  }
+
+  async search(query, { limit = 50 } = {}) {
+    const titles = [];
+    let cont = {};
+    do {
+      const data = await this.call({ action: 'query', list: 'search', srsearch: query, srnamespace: '0', srlimit: String(Math.min(limit, 500)), ...cont });
+      titles.push(...data.query.search.map(r => r.title));
+      cont = data.continue || null;
+    } while (cont && titles.length < limit);
+    return titles.slice(0, limit);
+  }
+
+  // title -> { title, url, revid, timestamp, missing }
+  async pageInfo(titles) {
+    const out = new Map();
+    for (let i = 0; i < titles.length; i += BATCH) {
+      const batch = titles.slice(i, i + BATCH);
+      const data = await this.call({
+        action: 'query', prop: 'info|revisions', inprop: 'url', rvprop: 'ids|timestamp', redirects: '1', titles: batch.join('|'),
+      });
+      const aliases = new Map();
+      for (const r of [...(data.query.normalized || []), ...(data.query.redirects || [])]) aliases.set(r.from, r.to);
+      const pages = new Map((data.query.pages || []).map(pg => [pg.title, pg]));
+      for (const title of batch) {
+        let resolved = title;
+        for (let n = 0; aliases.has(resolved) && n < 5; n++) resolved = aliases.get(resolved);
+        const pg = pages.get(resolved);
+        out.set(title, !pg || pg.missing
+          ? { title, missing: true }
+          : { title: pg.title, url: pg.fullurl, revid: pg.revisions?.[0]?.revid ?? pg.lastrevid, timestamp: pg.revisions?.[0]?.timestamp || pg.touched });
+      }
+    }
+    return out;
+  }
+
+  // Rendered HTML, section list and wikitext of a page
+  async parse(title) {
+    const { parse } = await this.call({ action: 'parse', page: title, prop: 'text|sections|revid|wikitext', redirects: '1', disableeditsection: '1' });
+    return { title: parse.title, revid: parse.revid, html: parse.text, sections: parse.sections || [], wikitext: parse.wikitext || '' };
+  }
+}
+
+// Finds api.php for a wiki given api.php itself or any URL on the wiki
+export async function resolveApi(url, fetchJson) {
+  const u = new URL(url);
+  const candidates = /api\.php$/.test(u.pathname)
+    ? [u.origin + u.pathname]
+    : [`${u.origin}/w/api.php`, `${u.origin}/api.php`, `${u.origin}/wiki/api.php`];
+  for (const api of candidates) {
+    try {
+      const data = await fetchJson(`${api}?action=query&meta=siteinfo&format=json`);
+      if (data?.query?.general) return api;
+    } catch { /* try the next one */ }
+  }
+  throw new Error(`No MediaWiki API found for ${url}. Pass the api.php URL directly.`);
+}
+
+// ---- WIKITEXT ----
+
+// Splits on `sep` outside of {{ }} and [[ ]]
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth = 0, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const two = text.slice(i, i + 2);
+    if (two === '{{' || two === '[[') { depth++; i++; continue; }
+    if ((two === '}}' || two === ']]') && depth) { depth--; i++; continue; }
+    if (!depth && text[i] === sep) { parts.push(text.slice(start, i)); start = i + 1; }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+// Top-level {{...}} templates as their inner text
+function templates(wikitext) {
+  const out = [];
+  let depth = 0, start = -1;
+  for (let i = 0; i < wikitext.length - 1; i++) {
+    const two = wikitext.slice(i, i + 2);
+    if (two === '{{') {
+      if (!depth) start = i + 2;
+      depth++; i++;
+    } else if (two === '}}' && depth) {
+      depth--; i++;
+      if (!depth) out.push(wikitext.slice(start, i - 1));
+    }
+  }
+  return out;
+}
+
+export function wikitextToPlain(value) {
+  let text = value
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<ref[^>]*\/>|<ref[^>]*>[\s\S]*?<\/ref>/gi, '')
+    .replace(/<br\s*\/?>/gi, ', ');
+  // Nested templates: keep their unnamed arguments ({{hp|20}} -> 20)
+  for (let n = 0; n < 5 && /\{\{/.test(text); n++) {
+    text = text.replace(/\{\{([^{}]*)\}\}/g, (_, inner) => splitTopLevel(inner, '|').slice(1).filter(a => !a.includes('=')).join(' '));
+  }
+  return text
+    .replace(/\[\[(?:File|Image):[^\]]*\]\]/gi, '')
+    .replace(/\[\[(?:[^|\]]*\|)?([^\]]*)\]\]/g, '$1')
+    .replace(/\[https?:\/\/\S+\s+([^\]]*)\]/g, '$1')
+    .replace(/'{2,}/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[,\s]+|[,\s]+$/g, '');
+}
+
+// Named parameters of the page's infobox templates (templates whose name
+// matches `isInfobox`) as plain-text fields
+export function infoboxFields(wikitext, isInfobox) {
+  const fields = Object.create(null);
+  for (const tpl of templates(wikitext)) {
+    const [name, ...params] = splitTopLevel(tpl, '|');
+    if (!isInfobox(name.trim())) continue;
+    for (const param of params) {
+      const eq = param.indexOf('=');
+      if (eq < 0) continue;
+      const key = param.slice(0, eq).trim();
+      const value = wikitextToPlain(param.slice(eq + 1));
+      if (key && value && !Object.hasOwn(fields, key)) fields[key] = value;
+    }
+  }
+  return fields;
+}
@@ -0,0 +1,119 @@
+// Compact structural patches between two JSON values.
+//
+// A patch node is one of:
+//   { s: value }                          replace the value outright
+//   { o: { key: node }, d: [keys] }       patch an object's keys (d = deleted keys)
+//   { a: { k, order, add, mod } }         patch an array of objects by identity key k
+//                                         (order is only present when membership/order changed)
+//
+// Arrays of categories/chunks are matched by `_uid`/`id`, so inserting or removing a
+// chunk stores only that chunk instead of shifting every element after it.
+
+const IDENTITY_KEYS = ['_uid', 'id'];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+function identityKey(arr) {
+  for (const k of IDENTITY_KEYS) {
+    const seen = new Set();
+    let ok = true;
+    for (const item of arr) {
+      if (!isPlainObject(item) || typeof item[k] !== 'string' || seen.has(item[k])) { ok = false; break; }
+      seen.add(item[k]);
+    }
+    if (ok) return k;
+  }
+  return null;
+}
+
+function sameOrder(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+export function diff(before, after) {
+  if (before === after) return undefined;
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const o = Object.create(null);
+    const d = [];
+    for (const key of Object.keys(after)) {
+      if (!Object.hasOwn(before, key)) { o[key] = { s: clone(after[key]) }; continue; }
+      const node = diff(before[key], after[key]);
+      if (node) o[key] = node;
+    }
+    for (const key of Object.keys(before)) {
+      if (!Object.hasOwn(after, key)) d.push(key);
+    }
+    if (!Object.keys(o).length && !d.length) return undefined;
+    const node = { o };
+    if (d.length) node.d = d;
+    return node;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const kb = before.length ? identityKey(before) : null;
+    const ka = after.length ? identityKey(after) : null;
+    const key = before.length && after.length ? (kb === ka ? kb : null) : (kb || ka);
+    if (key) {
+      const prev = new Map(before.map(item => [item[key], item]));
+      const add = Object.create(null);
+      const mod = Object.create(null);
+      for (const item of after) {
+        const old = prev.get(item[key]);
+        if (!old) { add[item[key]] = clone(item); continue; }
+        const node = diff(old, item);
+        if (node) mod[item[key]] = node;
+      }
+      const beforeOrder = before.map(item => item[key]);
+      const afterOrder = after.map(item => item[key]);
+      const orderChanged = !sameOrder(beforeOrder, afterOrder);
+      if (!orderChanged && !Object.keys(mod).length) return undefined;
+      const a = { k: key };
+      if (orderChanged) a.order = afterOrder;
+      if (Object.keys(add).length) a.add = add;
+      if (Object.keys(mod).length) a.mod = mod;
+      return { a };
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) return undefined;
+    return { s: clone(after) };
+  }
+
+  return { s: clone(after) };
+}
+
+export function apply(value, node) {
+  if (!node) return value;
+  if ('s' in node) return clone(node.s);
+
+  if (node.o) {
+    const out = isPlainObject(value) ? value : {};
+    for (const [key, child] of Object.entries(node.o)) {
+      out[key] = apply(out[key], child);
+    }
+    for (const key of node.d || []) delete out[key];
+    return out;
+  }
+
+  if (node.a) {
+    const { k, order, add = {}, mod = {} } = node.a;
+    const current = Array.isArray(value) ? value : [];
+    const byKey = new Map(current.map(item => [item[k], item]));
+    const ids = order || current.map(item => item[k]);
+    return ids.map(id => {
+      if (Object.hasOwn(add, id)) return clone(add[id]);
+      const item = byKey.get(id);
+      if (item === undefined) throw new Error(`Corrupt history patch: missing element "${id}"`);
+      return Object.hasOwn(mod, id) ? apply(item, mod[id]) : item;
+    });
+  }
+
+  throw new Error('Corrupt history patch: unknown node');
+}
@@ -0,0 +1,178 @@
+// Extraction profiles: which parts of a page parse_url keeps. A profile names
+// the content root, the elements to strip, where the title is, which
+// key/value rows become custom fields and how their keys are renamed.
+//
+// Saved profiles live in $DATA_DIR/extraction-profiles, one JSON file each,
+// and take precedence over the built-in ones. Keys a profile leaves out fall
+// back to the `default` profile.
+//
+//   name      [a-z0-9_-]+
+//   domains   hostname patterns ('*' wildcards or /regex/) it applies to
+//   content   content root selectors; the first element matching any of them
+//   remove    selectors of elements to strip before extracting text
+//   title     selectors tried in order; the first non-empty text wins
+//   fields    key/value rows: [{ rows, key, value }] — for each element matching
+//             `rows`, the first `key` and `value` descendants' text
+//   rename    { "Health points": "health" }; an empty name drops the field
+
+import { readFileSync, readdirSync, mkdirSync, unlinkSync, existsSync } from 'fs';
+import { join } from 'path';
+import { writeFileAtomic } from './storage/json.js';
+import { matchPattern } from './crawl.js';
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+const LIST_KEYS = ['domains', 'content', 'remove', 'title'];
+
+export const BUILTIN_PROFILES = [
+  {
+    name: 'default',
+    description: 'Generic pages: article/main content, wiki infobox tables',
+    domains: [],
+    content: ['article', 'main', '#mw-content-text', '#content', '.mw-parser-output', '#bodyContent', '.entry-content', '.post-content'],
+    remove: ['script', 'style', 'nav', 'footer', 'header', '.sidebar', '.infobox', '.navbox', '.mw-editsection', '.reference', '.reflist', '#mw-navigation', '.noprint', '.toc'],
+    title: ['title', 'h1'],
+    fields: [{ rows: '.infobox tr, .sidebar tr, .wikitable.infobox tr, table.infobox tr', key: 'th', value: 'td' }],
+    rename: {},
+  },
+  {
+    name: 'mediawiki',
+    description: 'MediaWiki sites (Wikipedia, minecraft.wiki, wiki.gg): article body without navboxes, hatnotes or edit links',
+    domains: ['*.wikipedia.org', 'minecraft.wiki', '*.wiki.gg', '*.wikimedia.org', '*.wiktionary.org'],
+    content: ['#mw-content-text .mw-parser-output', '#mw-content-text'],
+    remove: ['script', 'style', '.infobox', '.navbox', '.vertical-navbox', '.sidebar', '.mw-editsection', '.reference', '.reflist', '.references', '.noprint', '.toc', '#toc', '.hatnote', '.mw-empty-elt', '.metadata', '.ambox', '.mbox-small', '.thumbcaption .magnify'],
+    title: ['#firstHeading', 'h1', 'title'],
+    fields: [{ rows: 'table.infobox tr, .infobox tr, .notaninfobox tr', key: 'th', value: 'td' }],
+  },
+  {
+    name: 'fandom',
+    description: 'Fandom wikis: portable infoboxes, no ads or page chrome',
+    domains: ['*.fandom.com', '*.wikia.com', '*.wikia.org'],
+    content: ['#mw-content-text .mw-parser-output', '#mw-content-text'],
+    remove: ['script', 'style', 'aside.portable-infobox', '.portable-infobox', '.infobox', '.navbox', '.mw-editsection', '.reference', '.references', '.toc', '#toc', '.noprint', '.wikia-gallery', '.article-media-thumbnail', '[class*="ad-slot"]', '.gallery'],
+    title: ['h1.page-header__title', '#firstHeading', 'h1', 'title'],
+    fields: [
+      { rows: '.portable-infobox .pi-item.pi-data', key: '.pi-data-label', value: '.pi-data-value' },
+      { rows: 'table.infobox tr', key: 'th', value: 'td' },
+    ],
+  },
+];
+
+function stringList(value, key) {
+  if (value === undefined) return undefined;
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || list.some(v => typeof v !== 'string' || !v.trim())) {
+    throw new Error(`Profile "${key}" must be a list of non-empty strings`);
+  }
+  return list.map(v => v.trim());
+}
+
+// Checks and tidies a profile as given by a user; `checkSelector(sel)` throws
+// for invalid CSS
+export function normalizeProfile(input, checkSelector = () => {}) {
+  if (!input || typeof input !== 'object') throw new Error('Profile must be an object');
+  const name = String(input.name || '').trim().toLowerCase();
+  if (!NAME_RE.test(name)) throw new Error('Profile name must be lowercase letters, digits, "-" or "_"');
+
+  const profile = { name };
+  if (input.description) profile.description = String(input.description);
+  for (const key of LIST_KEYS) {
+    const list = stringList(input[key], key);
+    if (list) profile[key] = list;
+  }
+  if (input.fields !== undefined) {
+    if (!Array.isArray(input.fields)) throw new Error('Profile "fields" must be a list of { rows, key, value } selectors');
+    profile.fields = input.fields.map((f, idx) => {
+      if (!f || typeof f.rows !== 'string' || !f.rows.trim()) throw new Error(`Profile fields[${idx}] needs a "rows" selector`);
+      return { rows: f.rows.trim(), key: (f.key || 'th').trim(), value: (f.value || 'td').trim() };
+    });
+  }
+  if (input.rename !== undefined) {
+    if (!input.rename || typeof input.rename !== 'object' || Array.isArray(input.rename)) {
+      throw new Error('Profile "rename" must be an object of { "Original key": "new_key" }');
+    }
+    profile.rename = Object.fromEntries(Object.entries(input.rename).map(([from, to]) => [from, String(to ?? '')]));
+  }
+
+  for (const sel of [...(profile.content || []), ...(profile.remove || []), ...(profile.title || []),
+    ...(profile.fields || []).flatMap(f => [f.rows, f.key, f.value])]) {
+    try {
+      checkSelector(sel);
+    } catch (err) {
+      throw new Error(`Invalid selector "${sel}": ${err.message}`);
+    }
+  }
+  return profile;
+}
+
+export class ProfileStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  _path(name) {
+    return join(this.dir, `${name}.json`);
+  }
+
+  _saved() {
+    if (!existsSync(this.dir)) return [];
+    const out = [];
+    for (const file of readdirSync(this.dir).sort()) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        out.push(JSON.parse(readFileSync(join(this.dir, file), 'utf-8')));
+      } catch { /* half-written or foreign file */ }
+    }
+    return out;
+  }
+
+  list() {
+    const saved = this._saved();
+    const names = new Set(saved.map(p => p.name));
+    return [
+      ...saved.map(p => ({ ...p, origin: BUILTIN_PROFILES.some(b => b.name === p.name) ? 'saved (overrides built-in)' : 'saved' })),
+      ...BUILTIN_PROFILES.filter(p => !names.has(p.name)).map(p => ({ ...p, origin: 'built-in' })),
+    ];
+  }
+
+  get(name) {
+    const key = String(name).trim().toLowerCase();
+    const saved = this._saved().find(p => p.name === key);
+    return saved || BUILTIN_PROFILES.find(p => p.name === key) || null;
+  }
+
+  save(profile) {
+    if (!existsSync(this.dir)) mkdirSync(this.dir, { recursive: true });
+    const existed = existsSync(this._path(profile.name));
+    writeFileAtomic(this._path(profile.name), JSON.stringify(profile, null, 2));
+    return { saved: profile.name, replaced: existed };
+  }
+
+  delete(name) {
+    const key = String(name).trim().toLowerCase();
+    if (!NAME_RE.test(key) || !existsSync(this._path(key))) {
+      throw new Error(BUILTIN_PROFILES.some(b => b.name === key)
+        ? `"${key}" is a built-in profile and can't be deleted (save a profile with the same name to override it)`
+        : `Extraction profile "${key}" not found`);
+    }
+    unlinkSync(this._path(key));
+    return { deleted: key };
+  }
+
+  // The profile to use for `url`: the one named (an error if unknown), else
+  // the first saved, then built-in profile whose domains match the host, else
+  // the default. Missing keys are filled in from the default profile.
+  resolve(url, name) {
+    let profile;
+    if (name) {
+      profile = this.get(name);
+      if (!profile) throw new Error(`Extraction profile "${name}" not found. Use list_extraction_profiles to see the available ones.`);
+    } else {
+      let host = '';
+      try { host = new URL(url).hostname.toLowerCase(); } catch { /* not a URL: default profile */ }
+      const matches = (p) => host && (p.domains || []).some(d => matchPattern(d, host));
+      profile = this._saved().find(matches) || BUILTIN_PROFILES.find(matches) || BUILTIN_PROFILES[0];
+    }
+    const base = this.get('default') || BUILTIN_PROFILES[0];
+    return { ...BUILTIN_PROFILES[0], ...base, ...profile, rename: { ...base.rename, ...profile.rename } };
+  }
+}
@@ -0,0 +1,101 @@
+// Find-and-replace across chunks: plans the edit of one field (text, id, a
+// standard metadata field or a custom field) on every chunk in scope without
+// touching the project, so a dry run and the real run see the same changes.
+
+import { matchPattern } from './crawl.js';
+import { fieldValue, setField, selectChunks } from './select.js';
+
+const CONTEXT = 40;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// { find, replace, regex, caseSensitive, wholeWord } -> (value) => { value, count }
+export function compileReplace({ find, replace = '', regex = false, caseSensitive = true, wholeWord = false }) {
+  if (typeof find !== 'string' || !find) throw new Error('"find" must be a non-empty string');
+  let source = regex ? find : escapeRegExp(find);
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+  let re;
+  try {
+    re = new RegExp(source, `g${caseSensitive ? '' : 'i'}`);
+  } catch (err) {
+    throw new Error(err.message); // "Invalid regular expression: /(/g: Unterminated group"
+  }
+  // Regex replacements expand $1, $<name> and $& like String.prototype.replace
+  const replacement = String(replace ?? '');
+  const replacer = regex ? replacement : () => replacement;
+  return (value) => {
+    const count = (value.match(re) || []).length;
+    return { value: count ? value.replace(re, replacer) : value, count };
+  };
+}
+
+// The first change in a long value, with some context either side
+function snippet(before, after) {
+  if (before.length <= CONTEXT * 4 && after.length <= CONTEXT * 4) return { before, after };
+  let start = 0;
+  while (start < before.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start && before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  const from = Math.max(0, start - CONTEXT);
+  const cut = (s, stop) => `${from ? '…' : ''}${s.slice(from, stop)}${stop < s.length ? '…' : ''}`;
+  return {
+    before: cut(before, Math.min(before.length, before.length - end + CONTEXT)),
+    after: cut(after, Math.min(after.length, after.length - end + CONTEXT)),
+  };
+}
+
+// Changes find/replace would make in `project`, scoped by category, ID
+// patterns ('*' wildcards or /regex/) and a chunk filter (see select.js). Returns { changes, errors, checked }
+// where each change is { id, category, chunk, field, before, after, count }.
+// Nothing in the project is modified.
+export function planReplace(project, { field = 'text', category, ids, filter, ...options }) {
+  const apply = compileReplace(options);
+  const selected = filter ? new Set(selectChunks(project, filter).map(m => m.chunk)) : null;
+  const cats = category
+    ? project.categories.filter(c => c.name.toLowerCase() === category.toLowerCase())
+    : project.categories;
+  if (category && !cats.length) throw new Error(`Category "${category}" not found`);
+
+  const changes = [];
+  const errors = [];
+  let checked = 0;
+  const newIds = new Set();
+  const allIds = new Set(project.categories.flatMap(c => c.chunks.map(ch => ch.id)));
+  for (const cat of cats) {
+    for (const ch of cat.chunks) {
+      if (ids?.length && !ids.some(p => matchPattern(p, ch.id))) continue;
+      if (selected && !selected.has(ch)) continue;
+      checked++;
+      const before = fieldValue(ch, field);
+      if (before === undefined) continue;
+      let { value: after, count } = apply(String(before));
+      if (!count || after === before) continue;
+
+      if (field === 'id') {
+        after = after.trim();
+        if (!after) { errors.push({ id: ch.id, reason: 'Replacement leaves an empty ID' }); continue; }
+        if ((allIds.has(after) && after !== ch.id) || newIds.has(after)) { errors.push({ id: ch.id, reason: `ID "${after}" already exists` }); continue; }
+        newIds.add(after);
+      }
+      changes.push({ id: ch.id, category: cat.name, chunk: ch, field, before, after, count });
+    }
+  }
+  return { changes, errors, checked };
+}
+
+// Tool-facing summary of a plan: totals plus a per-chunk preview
+export function describeReplace({ changes, errors, checked }, { limit = 50 } = {}) {
+  return {
+    checked,
+    matched: changes.length,
+    replacements: changes.reduce((sum, c) => sum + c.count, 0),
+    errors: errors.length || undefined,
+    errorDetails: errors.length ? errors.slice(0, 100) : undefined,
+    preview: changes.slice(0, limit).map(c => ({
+      id: c.id, category: c.category, replacements: c.count, ...snippet(c.before, c.after),
+    })),
+    truncated: changes.length > limit || undefined,
+  };
+}
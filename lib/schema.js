@@ -0,0 +1,198 @@
+// Project metadata schemas: the metadata fields a project's chunks carry, with
+// a type, allowed values and defaults, checked (with zod) whenever chunks are
+// written and project-wide by validate_project.
+//
+//   {
+//     fields: {
+//       health:   { type: 'number', required: true, min: 0 },
+//       behavior: { type: 'enum', values: ['hostile', 'neutral', 'passive'] },
+//       wiki:     { type: 'url' },
+//       added:    { type: 'date', default: '2024-01-01' },
+//     },
+//     strict: false,   // true: custom fields the schema doesn't declare are rejected
+//   }
+//
+// Metadata values are stored as strings, so a type says what the string must
+// hold. Standard fields (page_title, source, license) can be declared too.
+
+import { z } from 'zod';
+import { STANDARD_META } from './select.js';
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'enum', 'url', 'date'];
+
+const NUMBER_RE = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const INTEGER_RE = /^[+-]?\d+$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const FieldSpec = z.preprocess(
+  // { values: [...] } without a type is an enum
+  (v) => (v && typeof v === 'object' && v.type === undefined && v.values ? { ...v, type: 'enum' } : v),
+  z.object({
+    type: z.enum(FIELD_TYPES).default('string'),
+    required: z.boolean().default(false),
+    values: z.array(z.string().min(1)).min(1).optional(),
+    min: z.number().optional(),
+    max: z.number().optional(),
+    pattern: z.string().optional(),
+    default: z.union([z.string(), z.number(), z.boolean()]).transform(String).optional(),
+    description: z.string().optional(),
+  }).strict(),
+);
+
+const SchemaDef = z.object({
+  fields: z.record(z.string().regex(/^\S(.*\S)?$/, 'field names must not be blank or padded'), FieldSpec),
+  strict: z.boolean().default(false),
+}).strict();
+
+// zod validator for one field's stored (string) value
+function valueValidator(spec) {
+  const str = z.string().trim();
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      let num = z.number();
+      if (spec.min !== undefined) num = num.min(spec.min, `must be at least ${spec.min}`);
+      if (spec.max !== undefined) num = num.max(spec.max, `must be at most ${spec.max}`);
+      const re = spec.type === 'integer' ? INTEGER_RE : NUMBER_RE;
+      return str.regex(re, `expected ${spec.type === 'integer' ? 'an integer' : 'a number'}`).transform(Number).pipe(num);
+    }
+    case 'boolean':
+      return str.regex(/^(true|false)$/i, 'expected true or false');
+    case 'enum':
+      return str.refine(v => spec.values.includes(v), `must be one of: ${spec.values.join(', ')}`);
+    case 'url':
+      return str.url('expected a URL');
+    case 'date':
+      return str.refine(v => DATE_RE.test(v) && !Number.isNaN(Date.parse(v)), 'expected a date (YYYY-MM-DD or ISO 8601)');
+    default: {
+      let s = str;
+      if (spec.min !== undefined) s = s.min(spec.min, `must be at least ${spec.min} characters`);
+      if (spec.max !== undefined) s = s.max(spec.max, `must be at most ${spec.max} characters`);
+      return spec.pattern ? s.regex(new RegExp(spec.pattern), `must match /${spec.pattern}/`) : s;
+    }
+  }
+}
+
+function firstIssue(result) {
+  return result.error.issues[0]?.message || 'invalid value';
+}
+
+// Checks and tidies a schema as given by a user; null for an empty one (no
+// fields), which removes the project's schema
+export function normalizeSchema(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('Metadata schema must be an object of { fields, strict }');
+  const parsed = SchemaDef.safeParse(input);
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid metadata schema at "${issue.path.join('.') || '(root)'}": ${issue.message}`);
+  }
+  const schema = parsed.data;
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    if (spec.type === 'enum' && !spec.values) throw new Error(`Metadata schema field "${name}": enum fields need "values"`);
+    if (spec.type !== 'enum' && spec.values) throw new Error(`Metadata schema field "${name}": "values" only applies to enum fields`);
+    if (spec.pattern !== undefined) {
+      try { new RegExp(spec.pattern); } catch (err) { throw new Error(`Metadata schema field "${name}": invalid pattern (${err.message})`); }
+    }
+    if (spec.default !== undefined) {
+      const res = valueValidator(spec).safeParse(spec.default);
+      if (!res.success) throw new Error(`Metadata schema field "${name}": default "${spec.default}" ${firstIssue(res)}`);
+    }
+  }
+  return Object.keys(schema.fields).length ? schema : null;
+}
+
+const fold = (key) => key.toLowerCase().replace(/[\s_-]+/g, '');
+
+// Compiled validators are cached per schema object (one per loaded project)
+const compiled = new WeakMap();
+
+function validators(schema) {
+  if (!compiled.has(schema)) {
+    const fields = Object.entries(schema.fields).map(([name, spec]) => ({ name, spec, check: valueValidator(spec) }));
+    compiled.set(schema, { fields, byFold: new Map(fields.map(f => [fold(f.name), f.name])) });
+  }
+  return compiled.get(schema);
+}
+
+// Problems with one value of `field`, or null. Unknown fields pass unless
+// they look like a misspelt declared one ("Health" for "health") or the
+// schema is strict.
+export function checkValue(schema, field, value) {
+  const { fields, byFold } = validators(schema);
+  const declared = fields.find(f => f.name === field);
+  if (!declared) {
+    const near = byFold.get(fold(field));
+    if (near) return `${field}: not in the metadata schema — did you mean "${near}"?`;
+    return schema.strict && !STANDARD_META.includes(field) ? `${field}: not in the metadata schema` : null;
+  }
+  const v = String(value ?? '');
+  if (!v.trim()) return declared.spec.required && declared.spec.default === undefined ? `${field}: required` : null;
+  const res = declared.check.safeParse(v);
+  return res.success ? null : `${field}: ${firstIssue(res)} (got "${v.length > 60 ? `${v.slice(0, 57)}...` : v}")`;
+}
+
+// Checks a stored chunk ({ metadata, customFields }) against the schema and
+// fills in defaults for empty fields (only when `applyDefaults`). Returns the
+// list of problems, empty when the chunk is valid.
+export function checkChunk(schema, ch, { applyDefaults = true } = {}) {
+  if (!schema) return [];
+  const errors = [];
+  const custom = ch.customFields || [];
+  for (const { name, spec } of validators(schema).fields) {
+    const standard = STANDARD_META.includes(name);
+    const entry = standard ? null : custom.find(cf => cf.key === name);
+    const value = standard ? ch.metadata?.[name] : entry?.value;
+    if (!applyDefaults || spec.default === undefined || String(value ?? '').trim()) continue;
+    if (standard) ch.metadata[name] = spec.default;
+    else if (entry) entry.value = spec.default;
+    else {
+      if (!ch.customFields) ch.customFields = [];
+      ch.customFields.push({ key: name, value: spec.default });
+    }
+  }
+  for (const name of STANDARD_META) {
+    if (schema.fields[name]) {
+      const problem = checkValue(schema, name, ch.metadata?.[name]);
+      if (problem) errors.push(problem);
+    }
+  }
+  const seen = new Set();
+  for (const { key, value } of ch.customFields || []) {
+    seen.add(key);
+    const problem = checkValue(schema, key, value);
+    if (problem) errors.push(problem);
+  }
+  for (const { name, spec } of validators(schema).fields) {
+    if (!STANDARD_META.includes(name) && !seen.has(name) && spec.required && spec.default === undefined) {
+      errors.push(`${name}: required`);
+    }
+  }
+  return errors;
+}
+
+// Every chunk of a project (or one category) that doesn't match the project's
+// schema. Fields left empty that have a default are not violations: the
+// default is filled in on the chunk's next write.
+export function validateProject(project, { category, limit = 100 } = {}) {
+  const schema = project.metadataSchema;
+  const invalid = [];
+  const byField = {};
+  let checked = 0;
+  for (const cat of project.categories) {
+    if (category && cat.name.toLowerCase() !== category.toLowerCase()) continue;
+    for (const ch of cat.chunks) {
+      checked++;
+      const problems = checkChunk(schema, ch, { applyDefaults: false });
+      if (!problems.length) continue;
+      invalid.push({ id: ch.id, category: cat.name, problems });
+      for (const problem of problems) {
+        const field = problem.slice(0, problem.indexOf(':'));
+        byField[field] = (byField[field] || 0) + 1;
+      }
+    }
+  }
+  return {
+    valid: !invalid.length, checked, invalid: invalid.length, byField,
+    violations: invalid.slice(0, limit), truncated: invalid.length > limit || undefined,
+  };
+}
@@ -0,0 +1,339 @@
+// Ranked full-text search over a project's chunks.
+//
+// Query syntax:
+//   creeper explode            both terms (implicit AND), ranked with BM25
+//   creeper OR zombie          either term
+//   creeper -nether / NOT ...  exclude
+//   "silently approaches"      phrase
+//   (a OR b) c                 grouping
+//   expl*                      prefix
+//   category:Mobs  source:*minecraft.wiki*  health:20
+//                              fielded filters (case-insensitive, * and ? wildcards);
+//                              `text:` matches a substring of the chunk text. Only
+//                              id, category, text, the standard metadata fields and
+//                              custom fields some chunk has are fields: any other
+//                              `word:` prefix (https://..., 12:30) is searched as text
+
+import { STANDARD_META } from './select.js';
+
+const K1 = 1.2;
+const B = 0.75;
+const FIELD_BOOST = 2; // id and page_title tokens count double
+const SNIPPET_LENGTH = 160;
+const DEFAULT_LIMIT = 20;
+const BUILTIN_FIELDS = ['id', 'category', 'text', ...STANDARD_META];
+
+export function tokenize(text) {
+  return (String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu)) || [];
+}
+
+function globToRegex(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// ---- QUERY PARSER ----
+
+function lex(query, isField) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|(-)?(?:([\p{L}\p{N}_.-]+):)?(?:"([^"]*)"|([^\s()"]+)))/uy;
+  let m;
+  while (re.lastIndex < query.length) {
+    const start = re.lastIndex;
+    m = re.exec(query);
+    if (!m) {
+      if (/^\s*$/.test(query.slice(start))) break;
+      throw new Error(`Cannot parse search query near "${query.slice(start, start + 20)}"`);
+    }
+    if (m[1]) { tokens.push({ type: '(' }); continue; }
+    if (m[2]) { tokens.push({ type: ')' }); continue; }
+    const negate = !!m[3];
+    const known = m[4] && isField(m[4].toLowerCase());
+    const field = known ? m[4] : undefined;
+    const phrase = m[5] !== undefined;
+    const value = (m[4] && !known ? `${m[4]}:` : '') + (phrase ? m[5] : m[6]);
+    if (!field && !phrase && !negate && (value === 'AND' || value === 'OR' || value === 'NOT')) {
+      tokens.push({ type: value });
+      continue;
+    }
+    tokens.push({ type: 'atom', negate, field: field?.toLowerCase(), phrase, value });
+  }
+  return tokens;
+}
+
+function atomNode(tok) {
+  let node;
+  if (tok.field) {
+    node = { type: 'field', field: tok.field, value: tok.value };
+  } else if (tok.phrase) {
+    const terms = tokenize(tok.value);
+    node = terms.length ? { type: 'phrase', terms } : null;
+  } else if (tok.value.endsWith('*') && tok.value.length > 1) {
+    const [prefix] = tokenize(tok.value.slice(0, -1));
+    node = prefix ? { type: 'prefix', prefix } : null;
+  } else {
+    const terms = tokenize(tok.value);
+    if (terms.length === 1) node = { type: 'term', term: terms[0] };
+    else if (terms.length > 1) node = { type: 'phrase', terms };
+    else node = null;
+  }
+  if (!node) return null;
+  return tok.negate ? { type: 'not', node } : node;
+}
+
+// or := and ('OR' and)* ; and := unary (['AND'] unary)* ; unary := 'NOT' unary | '(' or ')' | atom
+// isField(name) says which `name:` prefixes are field filters
+export function parseQuery(query, isField = (name) => BUILTIN_FIELDS.includes(name)) {
+  const tokens = lex(query, isField);
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (peek()?.type === 'OR') { pos++; nodes.push(parseAnd()); }
+    const kept = nodes.filter(Boolean);
+    return kept.length > 1 ? { type: 'or', nodes: kept } : kept[0] || null;
+  }
+  function parseAnd() {
+    const nodes = [];
+    while (pos < tokens.length && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') { pos++; continue; }
+      nodes.push(parseUnary());
+    }
+    const kept = nodes.filter(Boolean);
+    return kept.length > 1 ? { type: 'and', nodes: kept } : kept[0] || null;
+  }
+  function parseUnary() {
+    const tok = tokens[pos++];
+    if (tok.type === 'NOT') {
+      const inner = pos < tokens.length ? parseUnary() : null;
+      return inner ? { type: 'not', node: inner } : null;
+    }
+    if (tok.type === '(') {
+      const inner = parseOr();
+      if (peek()?.type !== ')') throw new Error('Unbalanced parentheses in search query');
+      pos++;
+      return inner;
+    }
+    if (tok.type === ')') throw new Error('Unbalanced parentheses in search query');
+    return atomNode(tok);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error('Unbalanced parentheses in search query');
+  return ast;
+}
+
+// ---- INDEX ----
+
+function chunkFields(ch, category) {
+  const fields = {
+    id: ch.id,
+    category: category.name,
+    text: ch.text || '',
+  };
+  for (const key of STANDARD_META) fields[key] = ch.metadata?.[key] ?? '';
+  for (const cf of ch.customFields || []) {
+    const key = (cf.key || '').trim().toLowerCase();
+    if (key && !Object.hasOwn(fields, key)) fields[key] = String(cf.value ?? '');
+  }
+  return fields;
+}
+
+// Keeps per-chunk token statistics for one project. `sync` re-tokenises only
+// chunks whose content changed since the previous sync, so keeping the index
+// current after a mutation costs a pass of string comparisons, not a rebuild.
+export class SearchIndex {
+  constructor() {
+    this.revision = null;
+    this.docs = new Map();     // uid -> doc
+    this.df = new Map();       // term -> number of docs containing it
+    this.fieldDocs = new Map(); // custom field -> number of docs having it
+    this.totalLength = 0;
+  }
+
+  sync(project) {
+    const seen = new Set();
+    for (const cat of project.categories) {
+      for (const ch of cat.chunks) {
+        const uid = ch._uid || `id:${ch.id}`;
+        seen.add(uid);
+        const fields = chunkFields(ch, cat);
+        const key = JSON.stringify(fields);
+        const existing = this.docs.get(uid);
+        if (existing && existing.key === key) continue;
+        if (existing) this._remove(uid);
+        this._add(uid, fields, key);
+      }
+    }
+    for (const uid of [...this.docs.keys()]) {
+      if (!seen.has(uid)) this._remove(uid);
+    }
+    this.revision = project.revision ?? null;
+  }
+
+  _add(uid, fields, key) {
+    const tokens = tokenize(fields.text);
+    const boosted = [...tokenize(fields.id), ...tokenize(fields.page_title)];
+    const tf = new Map();
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const t of boosted) tf.set(t, (tf.get(t) || 0) + FIELD_BOOST);
+    const length = tokens.length + boosted.length * FIELD_BOOST;
+    for (const t of tf.keys()) this.df.set(t, (this.df.get(t) || 0) + 1);
+    for (const f of Object.keys(fields)) {
+      if (!BUILTIN_FIELDS.includes(f)) this.fieldDocs.set(f, (this.fieldDocs.get(f) || 0) + 1);
+    }
+    this.totalLength += length;
+    this.docs.set(uid, { uid, key, fields, tokens, tf, length });
+  }
+
+  _remove(uid) {
+    const doc = this.docs.get(uid);
+    for (const t of doc.tf.keys()) {
+      const n = this.df.get(t) - 1;
+      if (n) this.df.set(t, n); else this.df.delete(t);
+    }
+    for (const f of Object.keys(doc.fields)) {
+      if (BUILTIN_FIELDS.includes(f)) continue;
+      const n = this.fieldDocs.get(f) - 1;
+      if (n) this.fieldDocs.set(f, n); else this.fieldDocs.delete(f);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(uid);
+  }
+
+  _idf(term) {
+    const n = this.df.get(term) || 0;
+    return Math.log(1 + (this.docs.size - n + 0.5) / (n + 0.5));
+  }
+
+  _bm25(doc, term, avgdl) {
+    const f = doc.tf.get(term) || 0;
+    if (!f) return 0;
+    return this._idf(term) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * doc.length / avgdl));
+  }
+
+  // Returns { match, score, terms } for a doc against an AST node.
+  _eval(node, doc, avgdl) {
+    switch (node.type) {
+      case 'term': {
+        const score = this._bm25(doc, node.term, avgdl);
+        return { match: score > 0, score, terms: score > 0 ? [node.term] : [] };
+      }
+      case 'prefix': {
+        let score = 0;
+        const terms = [];
+        for (const t of doc.tf.keys()) {
+          if (t.startsWith(node.prefix)) { score += this._bm25(doc, t, avgdl); terms.push(t); }
+        }
+        return { match: terms.length > 0, score, terms };
+      }
+      case 'phrase': {
+        const { terms } = node;
+        if (!terms.every(t => doc.tf.has(t))) return { match: false, score: 0, terms: [] };
+        const found = doc.tokens.some((_, i) => terms.every((t, j) => doc.tokens[i + j] === t));
+        if (!found) return { match: false, score: 0, terms: [] };
+        const score = terms.reduce((sum, t) => sum + this._bm25(doc, t, avgdl), 0) * 1.5;
+        return { match: true, score, terms };
+      }
+      case 'field': {
+        const value = doc.fields[node.field];
+        if (value === undefined) return { match: false, score: 0, terms: [] };
+        let match;
+        if (/[*?]/.test(node.value)) match = globToRegex(node.value).test(value);
+        else if (node.field === 'text') match = value.toLowerCase().includes(node.value.toLowerCase());
+        else match = value.toLowerCase() === node.value.toLowerCase();
+        return { match, score: 0, terms: [] };
+      }
+      case 'not': {
+        const inner = this._eval(node.node, doc, avgdl);
+        return { match: !inner.match, score: 0, terms: [] };
+      }
+      case 'and': {
+        let score = 0;
+        const terms = [];
+        for (const child of node.nodes) {
+          const r = this._eval(child, doc, avgdl);
+          if (!r.match) return { match: false, score: 0, terms: [] };
+          score += r.score;
+          terms.push(...r.terms);
+        }
+        return { match: true, score, terms };
+      }
+      case 'or': {
+        let score = 0, match = false;
+        const terms = [];
+        for (const child of node.nodes) {
+          const r = this._eval(child, doc, avgdl);
+          if (r.match) { match = true; score += r.score; terms.push(...r.terms); }
+        }
+        return { match, score, terms };
+      }
+      default:
+        throw new Error(`Unknown query node "${node.type}"`);
+    }
+  }
+
+  search(query, { limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    limit = Math.max(1, Math.floor(limit));
+    offset = Math.max(0, Math.floor(offset));
+    const ast = parseQuery(query, (name) => BUILTIN_FIELDS.includes(name) || this.fieldDocs.has(name));
+    if (!ast) return { query, found: 0, offset, limit, results: [] };
+    const avgdl = this.docs.size ? this.totalLength / this.docs.size : 1;
+
+    const hits = [];
+    for (const doc of this.docs.values()) {
+      const r = this._eval(ast, doc, avgdl);
+      if (r.match) hits.push({ doc, score: r.score, terms: r.terms });
+    }
+    hits.sort((a, b) => b.score - a.score);
+
+    const page = hits.slice(offset, offset + limit).map(({ doc, score, terms }) => ({
+      id: doc.fields.id,
+      category: doc.fields.category,
+      score: Math.round(score * 1000) / 1000,
+      snippet: snippet(doc.fields.text, new Set(terms)),
+    }));
+    return { query, found: hits.length, offset, limit, results: page };
+  }
+}
+
+// Picks the window of the text with the most query-term hits and wraps the
+// hits in **bold**.
+export function snippet(text, terms, length = SNIPPET_LENGTH) {
+  const words = [];
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(text))) {
+    const [norm] = tokenize(m[0]);
+    if (terms.has(norm)) words.push({ start: m.index, end: m.index + m[0].length });
+  }
+  if (!words.length) return text.length > length ? text.substring(0, length) + '...' : text;
+
+  let bestStart = words[0].start, bestCount = 0;
+  for (let i = 0, j = 0; i < words.length; i++) {
+    while (j < words.length && words[j].end - words[i].start <= length) j++;
+    if (j - i > bestCount) { bestCount = j - i; bestStart = words[i].start; }
+  }
+  let start = Math.max(0, Math.min(bestStart - Math.floor(length / 4), text.length - length));
+  const space = text.lastIndexOf(' ', start);
+  if (start > 0 && space !== -1 && start - space < 20) start = space + 1;
+  const end = Math.min(text.length, start + length);
+
+  let out = '';
+  let cursor = start;
+  for (const w of words) {
+    if (w.start < start || w.end > end) continue;
+    out += text.slice(cursor, w.start) + '**' + text.slice(w.start, w.end) + '**';
+    cursor = w.end;
+  }
+  out += text.slice(cursor, end);
+  out = out.replace(/\s+/g, ' ').trim();
+  return (start > 0 ? '...' : '') + out + (end < text.length ? '...' : '');
+}
+
+export function searchProject(project, query, options) {
+  const index = new SearchIndex();
+  index.sync(project);
+  return index.search(query, options);
+}
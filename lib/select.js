@@ -0,0 +1,162 @@
+// Chunk selectors: the filter bulk operations use to pick the chunks they act on.
+//
+//   {
+//     category: 'Mobs',                        // or ['Mobs', 'Animals']
+//     ids: ['creeper*', '/^zombie_\\d+$/'],     // '*' wildcards or /regex/
+//     text: 'spawns in',                       // substring (any case) or '/regex/flags'
+//     metadata: { source: '/wiki/Category:Biomes', behavior: 'hostile' },
+//     min_length: 50, max_length: 4000,        // characters of text
+//     missing: ['source', 'license'],          // fields that are absent or empty
+//   }
+//
+// Every condition given must hold. A list matches if any of its entries does
+// (a chunk in either category, with any of the ID patterns, missing any of
+// the fields); every metadata pattern must match.
+
+import { matchPattern } from './crawl.js';
+
+export const STANDARD_META = ['page_title', 'source', 'license'];
+const KEYS = ['category', 'ids', 'text', 'metadata', 'min_length', 'max_length', 'missing'];
+const REGEX_RE = /^\/(.+)\/([gimsuy]*)$/;
+
+function list(value, key) {
+  const items = Array.isArray(value) ? value : [value];
+  if (!items.length || items.some(v => typeof v !== 'string' || !v.trim())) {
+    throw new Error(`Filter "${key}" must be a non-empty string or list of strings`);
+  }
+  return items.map(v => v.trim());
+}
+
+function length(value, key) {
+  if (typeof value !== 'number' || !(value >= 0)) throw new Error(`Filter "${key}" must be a number of characters`);
+  return value;
+}
+
+// 'spawn' -> case-insensitive substring test, '/^Spawn/i' -> regex test
+function textMatcher(pattern, key) {
+  if (typeof pattern !== 'string' || !pattern) throw new Error(`Filter "${key}" must be a non-empty string`);
+  const m = REGEX_RE.exec(pattern);
+  if (m) {
+    let re;
+    try {
+      re = new RegExp(m[1], m[2].replace('g', ''));
+    } catch (err) {
+      throw new Error(`Filter "${key}": ${err.message}`);
+    }
+    return (value) => re.test(value);
+  }
+  const needle = pattern.toLowerCase();
+  return (value) => value.toLowerCase().includes(needle);
+}
+
+// A chunk field by name: 'id', 'text', a standard metadata field or a custom
+// field (undefined when the chunk doesn't have it)
+export function fieldValue(ch, field) {
+  if (field === 'id') return ch.id;
+  if (field === 'text') return ch.text ?? '';
+  if (STANDARD_META.includes(field)) return ch.metadata?.[field] ?? '';
+  return (ch.customFields || []).find(cf => cf.key === field)?.value;
+}
+
+// Sets a field named as for fieldValue, adding a missing custom field
+export function setField(ch, field, value) {
+  if (field === 'text') ch.text = value;
+  else if (field === 'id') ch.id = value;
+  else if (STANDARD_META.includes(field)) ch.metadata[field] = value;
+  else {
+    if (!ch.customFields) ch.customFields = [];
+    const existing = ch.customFields.find(cf => cf.key === field);
+    if (existing) existing.value = value;
+    else ch.customFields.push({ key: field, value });
+  }
+}
+
+// Checks a filter and turns it into { categories, test(ch) }; null for an
+// empty (or missing) filter, which matches every chunk
+export function compileSelector(filter) {
+  if (filter === undefined || filter === null) return null;
+  if (typeof filter !== 'object' || Array.isArray(filter)) throw new Error('Filter must be an object');
+  const unknown = Object.keys(filter).find(k => !KEYS.includes(k));
+  if (unknown) throw new Error(`Unknown filter key "${unknown}". Use: ${KEYS.join(', ')}`);
+
+  const tests = [];
+  const categories = filter.category !== undefined ? list(filter.category, 'category') : null;
+  if (filter.ids !== undefined) {
+    const ids = list(filter.ids, 'ids');
+    tests.push(ch => ids.some(p => matchPattern(p, ch.id)));
+  }
+  if (filter.text !== undefined) {
+    const match = textMatcher(filter.text, 'text');
+    tests.push(ch => match(ch.text ?? ''));
+  }
+  if (filter.metadata !== undefined) {
+    if (!filter.metadata || typeof filter.metadata !== 'object' || Array.isArray(filter.metadata)) {
+      throw new Error('Filter "metadata" must be an object of { field: pattern }');
+    }
+    for (const [field, pattern] of Object.entries(filter.metadata)) {
+      const match = textMatcher(pattern, `metadata.${field}`);
+      tests.push(ch => {
+        const value = fieldValue(ch, field);
+        return value !== undefined && match(String(value));
+      });
+    }
+  }
+  if (filter.min_length !== undefined) {
+    const min = length(filter.min_length, 'min_length');
+    tests.push(ch => (ch.text ?? '').trim().length >= min);
+  }
+  if (filter.max_length !== undefined) {
+    const max = length(filter.max_length, 'max_length');
+    tests.push(ch => (ch.text ?? '').trim().length <= max);
+  }
+  if (filter.missing !== undefined) {
+    const fields = list(filter.missing, 'missing');
+    tests.push(ch => fields.some(f => !String(fieldValue(ch, f) ?? '').trim()));
+  }
+
+  if (!categories && !tests.length) return null;
+  return { categories, test: (ch) => tests.every(t => t(ch)) };
+}
+
+// { chunk, category } for every chunk of the project matching `filter`,
+// in project order. Throws for a category that doesn't exist.
+export function selectChunks(project, filter) {
+  const selector = compileSelector(filter);
+  let cats = project.categories;
+  if (selector?.categories) {
+    const wanted = selector.categories.map(name => {
+      const cat = cats.find(c => c.name.toLowerCase() === name.toLowerCase());
+      if (!cat) throw new Error(`Category "${name}" not found`);
+      return cat;
+    });
+    cats = cats.filter(c => wanted.includes(c));
+  }
+  const matches = [];
+  for (const cat of cats) {
+    for (const ch of cat.chunks) {
+      if (!selector || selector.test(ch)) matches.push({ chunk: ch, category: cat });
+    }
+  }
+  return matches;
+}
+
+// Short description of a filter for history summaries:
+// "category Mobs, text ~ 'spawn', at most 50 chars"
+export function describeSelector(filter) {
+  if (!filter || !Object.keys(filter).length) return 'all chunks';
+  const parts = [];
+  const join = (v) => [].concat(v).join(' | ');
+  if (filter.category !== undefined) parts.push(`category ${join(filter.category)}`);
+  if (filter.ids !== undefined) parts.push(`id ${join(filter.ids)}`);
+  if (filter.text !== undefined) parts.push(`text ~ ${filter.text}`);
+  for (const [field, pattern] of Object.entries(filter.metadata || {})) parts.push(`${field} ~ ${pattern}`);
+  if (filter.min_length !== undefined) parts.push(`at least ${filter.min_length} chars`);
+  if (filter.max_length !== undefined) parts.push(`at most ${filter.max_length} chars`);
+  if (filter.missing !== undefined) parts.push(`missing ${join(filter.missing)}`);
+  return parts.join(', ');
+}
+
+// Tags are kept as a comma-separated custom field ("hostile, nether")
+export function parseTags(value) {
+  return [...new Set(String(value ?? '').split(',').map(t => t.trim()).filter(Boolean))];
+}
@@ -0,0 +1,22 @@
+import { join } from 'path';
+import { JsonFileStorage } from './json.js';
+import { SqliteStorage } from './sqlite.js';
+
+export const BACKENDS = ['json', 'sqlite'];
+
+// Storage adapters implement:
+//   listProjects() → names          exists(name) → bool
+//   read(name) → project | null     revision(name) → number | null
+//   write(name, project)            remove(name)
+//   readHistory(name) → history | null
+//   writeHistory(name, history)     close()
+export function createStorage(backend, dataDir) {
+  switch ((backend || 'json').toLowerCase()) {
+    case 'json':
+      return new JsonFileStorage(dataDir);
+    case 'sqlite':
+      return new SqliteStorage(process.env.SQLITE_PATH || join(dataDir, 'datasets.sqlite'));
+    default:
+      throw new Error(`Unknown storage backend "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+  }
+}
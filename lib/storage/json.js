@@ -0,0 +1,117 @@
+import {
+  readFileSync, readdirSync, mkdirSync, unlinkSync, existsSync, renameSync,
+  openSync, writeSync, fsyncSync, closeSync, statSync,
+} from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+
+// Write to a temp file in the same directory, then rename over the target, so a
+// crash mid-write leaves either the old file or the new one — never a truncated one.
+export function writeFileAtomic(fp, content) {
+  const tmp = `${fp}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  const fd = openSync(tmp, 'w');
+  try {
+    writeSync(fd, content, null, 'utf-8');
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  try {
+    renameSync(tmp, fp);
+  } catch (err) {
+    try { unlinkSync(tmp); } catch { /* ignore */ }
+    throw err;
+  }
+}
+
+// Identifies one version of a file: every write renames a new file into
+// place, so another writer always changes it
+function fileStamp(fp) {
+  try {
+    const st = statSync(fp, { bigint: true });
+    return `${st.ino}:${st.size}:${st.mtimeNs}`;
+  } catch {
+    return null;
+  }
+}
+
+// Default backend: one pretty-printed `<name>.json` per project plus a
+// `<name>.history.json` next to it.
+export class JsonFileStorage {
+  constructor(dataDir) {
+    this.name = 'json';
+    this.dataDir = dataDir;
+    this._revisions = new Map(); // name -> { stamp, revision } of the last read or write
+  }
+
+  _ensureDir() {
+    if (!existsSync(this.dataDir)) {
+      mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  _filePath(name) {
+    return join(this.dataDir, `${name}.json`);
+  }
+
+  _historyFilePath(name) {
+    return join(this.dataDir, `${name}.history.json`);
+  }
+
+  listProjects() {
+    this._ensureDir();
+    return readdirSync(this.dataDir)
+      .filter(f => f.endsWith('.json') && !f.endsWith('.history.json') && !/\.export(\.[\w-]+)?\.json$/.test(f))
+      .map(f => f.replace(/\.json$/, ''));
+  }
+
+  exists(name) {
+    return existsSync(this._filePath(name));
+  }
+
+  read(name) {
+    const fp = this._filePath(name);
+    if (!existsSync(fp)) return null;
+    const stamp = fileStamp(fp);
+    const data = JSON.parse(readFileSync(fp, 'utf-8'));
+    // Only trust the stamp if the file wasn't replaced while we read it
+    if (stamp && stamp === fileStamp(fp)) this._revisions.set(name, { stamp, revision: data.revision || 0 });
+    return data;
+  }
+
+  // Answered from the last read or write while the file is unchanged, so
+  // Store._save's check doesn't parse the whole project again
+  revision(name) {
+    const stamp = fileStamp(this._filePath(name));
+    if (!stamp) return null;
+    const known = this._revisions.get(name);
+    if (known?.stamp === stamp) return known.revision;
+    const data = this.read(name);
+    return data ? (data.revision || 0) : null;
+  }
+
+  write(name, data) {
+    this._ensureDir();
+    const fp = this._filePath(name);
+    writeFileAtomic(fp, JSON.stringify(data, null, 2));
+    this._revisions.set(name, { stamp: fileStamp(fp), revision: data.revision || 0 });
+  }
+
+  remove(name) {
+    unlinkSync(this._filePath(name));
+    this._revisions.delete(name);
+  }
+
+  readHistory(name) {
+    const fp = this._historyFilePath(name);
+    if (!existsSync(fp)) return null;
+    return JSON.parse(readFileSync(fp, 'utf-8'));
+  }
+
+  writeHistory(name, history) {
+    this._ensureDir();
+    writeFileAtomic(this._historyFilePath(name), JSON.stringify(history));
+  }
+
+  close() {}
+}
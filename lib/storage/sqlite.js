@@ -0,0 +1,318 @@
+import { createRequire } from 'module';
+import { mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+import { randomUUID } from 'crypto';
+import { STANDARD_META } from '../select.js';
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS projects (
+    name        TEXT PRIMARY KEY,
+    created_at  TEXT,
+    revision    INTEGER NOT NULL DEFAULT 0,
+    extra       TEXT
+  );
+  CREATE TABLE IF NOT EXISTS categories (
+    project     TEXT NOT NULL REFERENCES projects(name) ON DELETE CASCADE,
+    id          TEXT NOT NULL,
+    position    INTEGER NOT NULL,
+    name        TEXT NOT NULL,
+    extra       TEXT,
+    PRIMARY KEY (project, id)
+  );
+  CREATE TABLE IF NOT EXISTS chunks (
+    project     TEXT NOT NULL,
+    uid         TEXT NOT NULL,
+    category_id TEXT NOT NULL,
+    position    INTEGER NOT NULL,
+    id          TEXT NOT NULL,
+    text        TEXT NOT NULL DEFAULT '',
+    page_title  TEXT,
+    source      TEXT,
+    license     TEXT,
+    extra       TEXT,
+    PRIMARY KEY (project, uid),
+    FOREIGN KEY (project, category_id) REFERENCES categories(project, id) ON DELETE CASCADE
+  );
+  CREATE INDEX IF NOT EXISTS chunks_by_id ON chunks(project, id);
+  CREATE TABLE IF NOT EXISTS custom_fields (
+    project     TEXT NOT NULL,
+    chunk_uid   TEXT NOT NULL,
+    position    INTEGER NOT NULL,
+    key         TEXT,
+    value       TEXT,
+    PRIMARY KEY (project, chunk_uid, position),
+    FOREIGN KEY (project, chunk_uid) REFERENCES chunks(project, uid) ON DELETE CASCADE
+  );
+  CREATE TABLE IF NOT EXISTS history (
+    project     TEXT NOT NULL,
+    seq         INTEGER NOT NULL,
+    id          TEXT NOT NULL,
+    timestamp   TEXT,
+    source      TEXT,
+    action      TEXT,
+    summary     TEXT,
+    stats       TEXT,
+    snapshot    TEXT,
+    patch       TEXT,
+    PRIMARY KEY (project, id)
+  );
+  CREATE INDEX IF NOT EXISTS history_by_seq ON history(project, seq);
+`;
+
+function extraFields(obj, known) {
+  const extra = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (!known.includes(k)) extra[k] = v;
+  }
+  return extra;
+}
+
+// Anything not covered by a column is kept as JSON so that round trips are lossless.
+function extraJson(obj, known) {
+  const extra = extraFields(obj, known);
+  return Object.keys(extra).length ? JSON.stringify(extra) : null;
+}
+
+function chunkRow(ch, categoryId, position) {
+  const meta = ch.metadata || {};
+  const extra = extraFields(ch, ['_uid', 'id', 'text', 'metadata', 'customFields']);
+  const extraMeta = extraFields(meta, STANDARD_META);
+  if (Object.keys(extraMeta).length) extra.$metadata = extraMeta;
+  return {
+    uid: ch._uid,
+    category_id: categoryId,
+    position,
+    id: ch.id,
+    text: ch.text || '',
+    page_title: meta.page_title ?? null,
+    source: meta.source ?? null,
+    license: meta.license ?? null,
+    extra: Object.keys(extra).length ? JSON.stringify(extra) : null,
+  };
+}
+
+function rowKey(row, customFields) {
+  return JSON.stringify([row.category_id, row.position, row.id, row.text, row.page_title, row.source, row.license, row.extra, customFields || []]);
+}
+
+// SQLite backend (STORAGE_BACKEND=sqlite). Projects, categories, chunks, custom
+// fields and history commits live in tables of a single database file. Writes
+// only touch rows that changed since this process last read the project, so an
+// edit to one chunk in a 50k-chunk project is a handful of row updates.
+export class SqliteStorage {
+  constructor(dbPath) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch {
+      throw new Error('The SQLite backend needs the optional "better-sqlite3" package. Install it with: npm install better-sqlite3');
+    }
+    this.name = 'sqlite';
+    this.dbPath = dbPath;
+    if (!existsSync(dirname(dbPath))) mkdirSync(dirname(dbPath), { recursive: true });
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma('busy_timeout = 10000');
+    this.db.exec(SCHEMA);
+    // name -> { revision, data, cats: Map(id -> key), chunks: Map(uid -> key) }
+    this._cache = new Map();
+    this._prepare();
+  }
+
+  _prepare() {
+    const q = (sql) => this.db.prepare(sql);
+    this.sql = {
+      list: q('SELECT name FROM projects ORDER BY name'),
+      project: q('SELECT * FROM projects WHERE name = ?'),
+      revision: q('SELECT revision FROM projects WHERE name = ?'),
+      categories: q('SELECT * FROM categories WHERE project = ? ORDER BY position'),
+      chunks: q('SELECT * FROM chunks WHERE project = ? ORDER BY category_id, position'),
+      customFields: q('SELECT chunk_uid, key, value FROM custom_fields WHERE project = ? ORDER BY chunk_uid, position'),
+      upsertProject: q(`INSERT INTO projects (name, created_at, revision, extra) VALUES (@name, @created_at, @revision, @extra)
+        ON CONFLICT(name) DO UPDATE SET created_at = excluded.created_at, revision = excluded.revision, extra = excluded.extra`),
+      deleteProject: q('DELETE FROM projects WHERE name = ?'),
+      clearCategories: q('DELETE FROM categories WHERE project = ?'),
+      upsertCategory: q(`INSERT INTO categories (project, id, position, name, extra) VALUES (@project, @id, @position, @name, @extra)
+        ON CONFLICT(project, id) DO UPDATE SET position = excluded.position, name = excluded.name, extra = excluded.extra`),
+      deleteCategory: q('DELETE FROM categories WHERE project = ? AND id = ?'),
+      upsertChunk: q(`INSERT INTO chunks (project, uid, category_id, position, id, text, page_title, source, license, extra)
+        VALUES (@project, @uid, @category_id, @position, @id, @text, @page_title, @source, @license, @extra)
+        ON CONFLICT(project, uid) DO UPDATE SET category_id = excluded.category_id, position = excluded.position, id = excluded.id,
+          text = excluded.text, page_title = excluded.page_title, source = excluded.source, license = excluded.license, extra = excluded.extra`),
+      deleteChunk: q('DELETE FROM chunks WHERE project = ? AND uid = ?'),
+      clearCustomFields: q('DELETE FROM custom_fields WHERE project = ? AND chunk_uid = ?'),
+      insertCustomField: q('INSERT INTO custom_fields (project, chunk_uid, position, key, value) VALUES (?, ?, ?, ?, ?)'),
+      history: q('SELECT * FROM history WHERE project = ? ORDER BY seq DESC'),
+      historyIds: q('SELECT id, snapshot IS NOT NULL AS checkpoint FROM history WHERE project = ?'),
+      historyMaxSeq: q('SELECT COALESCE(MAX(seq), 0) AS seq FROM history WHERE project = ?'),
+      insertCommit: q(`INSERT INTO history (project, seq, id, timestamp, source, action, summary, stats, snapshot, patch)
+        VALUES (@project, @seq, @id, @timestamp, @source, @action, @summary, @stats, @snapshot, @patch)`),
+      updateCommitBody: q('UPDATE history SET snapshot = ?, patch = ? WHERE project = ? AND id = ?'),
+      deleteCommit: q('DELETE FROM history WHERE project = ? AND id = ?'),
+    };
+  }
+
+  listProjects() {
+    return this.sql.list.all().map(r => r.name);
+  }
+
+  exists(name) {
+    return !!this.sql.revision.get(name);
+  }
+
+  revision(name) {
+    const row = this.sql.revision.get(name);
+    return row ? row.revision : null;
+  }
+
+  read(name) {
+    const row = this.sql.project.get(name);
+    if (!row) return null;
+    const cached = this._cache.get(name);
+    if (cached && cached.revision === row.revision) return structuredClone(cached.data);
+
+    const customFields = new Map();
+    for (const cf of this.sql.customFields.all(name)) {
+      if (!customFields.has(cf.chunk_uid)) customFields.set(cf.chunk_uid, []);
+      customFields.get(cf.chunk_uid).push({ key: cf.key, value: cf.value });
+    }
+    const chunksByCat = new Map();
+    const chunkKeys = new Map();
+    for (const r of this.sql.chunks.all(name)) {
+      const extra = r.extra ? JSON.parse(r.extra) : {};
+      const { $metadata, ...rest } = extra;
+      const chunk = {
+        _uid: r.uid,
+        id: r.id,
+        text: r.text,
+        metadata: { page_title: r.page_title ?? '', source: r.source ?? '', license: r.license ?? '', ...$metadata },
+        customFields: customFields.get(r.uid) || [],
+        ...rest,
+      };
+      if (!chunksByCat.has(r.category_id)) chunksByCat.set(r.category_id, []);
+      chunksByCat.get(r.category_id).push(chunk);
+      chunkKeys.set(r.uid, rowKey(chunkRow(chunk, r.category_id, r.position), chunk.customFields));
+    }
+    const catKeys = new Map();
+    const categories = this.sql.categories.all(name).map(c => {
+      catKeys.set(c.id, JSON.stringify([c.position, c.name, c.extra]));
+      return { id: c.id, name: c.name, ...(c.extra ? JSON.parse(c.extra) : {}), chunks: chunksByCat.get(c.id) || [] };
+    });
+
+    const data = {
+      name: row.name,
+      createdAt: row.created_at,
+      ...(row.extra ? JSON.parse(row.extra) : {}),
+      revision: row.revision,
+      categories,
+    };
+    this._cache.set(name, { revision: row.revision, data: structuredClone(data), cats: catKeys, chunks: chunkKeys });
+    return data;
+  }
+
+  write(name, data) {
+    const cached = this._cache.get(name);
+    const fresh = !cached || cached.revision !== this.revision(name);
+    const prevCats = fresh ? new Map() : cached.cats;
+    const prevChunks = fresh ? new Map() : cached.chunks;
+    const catKeys = new Map();
+    const chunkKeys = new Map();
+
+    this.db.transaction(() => {
+      this.sql.upsertProject.run({
+        name,
+        created_at: data.createdAt ?? null,
+        revision: data.revision || 0,
+        extra: extraJson(data, ['name', 'createdAt', 'revision', 'categories']),
+      });
+      if (fresh) this.sql.clearCategories.run(name);
+
+      data.categories.forEach((cat, catPos) => {
+        if (!cat.id) cat.id = randomUUID();
+        const catRow = { project: name, id: cat.id, position: catPos, name: cat.name, extra: extraJson(cat, ['id', 'name', 'chunks']) };
+        const catKey = JSON.stringify([catRow.position, catRow.name, catRow.extra]);
+        catKeys.set(cat.id, catKey);
+        if (prevCats.get(cat.id) !== catKey) this.sql.upsertCategory.run(catRow);
+
+        cat.chunks.forEach((ch, pos) => {
+          if (!ch._uid) ch._uid = randomUUID();
+          const row = chunkRow(ch, cat.id, pos);
+          const key = rowKey(row, ch.customFields);
+          chunkKeys.set(ch._uid, key);
+          if (prevChunks.get(ch._uid) === key) return;
+          this.sql.upsertChunk.run({ project: name, ...row });
+          this.sql.clearCustomFields.run(name, ch._uid);
+          (ch.customFields || []).forEach((cf, i) => {
+            this.sql.insertCustomField.run(name, ch._uid, i, cf.key ?? null, cf.value == null ? null : String(cf.value));
+          });
+        });
+      });
+
+      for (const uid of prevChunks.keys()) {
+        if (!chunkKeys.has(uid)) this.sql.deleteChunk.run(name, uid);
+      }
+      for (const id of prevCats.keys()) {
+        if (!catKeys.has(id)) this.sql.deleteCategory.run(name, id);
+      }
+    })();
+
+    this._cache.set(name, { revision: data.revision || 0, data: structuredClone(data), cats: catKeys, chunks: chunkKeys });
+  }
+
+  remove(name) {
+    this.sql.deleteProject.run(name);
+    this._cache.delete(name);
+  }
+
+  readHistory(name) {
+    const rows = this.sql.history.all(name);
+    if (!rows.length) return null;
+    return {
+      project: name,
+      format: 2,
+      commits: rows.map(r => {
+        const commit = {
+          id: r.id, timestamp: r.timestamp, source: r.source,
+          action: r.action, summary: r.summary, stats: r.stats ? JSON.parse(r.stats) : undefined,
+        };
+        if (r.snapshot) commit.snapshot = JSON.parse(r.snapshot);
+        else if (r.patch) commit.patch = JSON.parse(r.patch);
+        return commit;
+      }),
+    };
+  }
+
+  // Commits are append-only apart from retention, which deletes the oldest ones
+  // and may turn the new oldest commit into a checkpoint.
+  writeHistory(name, history) {
+    this.db.transaction(() => {
+      const existing = new Map(this.sql.historyIds.all(name).map(r => [r.id, !!r.checkpoint]));
+      const keep = new Set(history.commits.map(c => c.id));
+      for (const id of existing.keys()) {
+        if (!keep.has(id)) this.sql.deleteCommit.run(name, id);
+      }
+      let seq = this.sql.historyMaxSeq.get(name).seq;
+      for (let i = history.commits.length - 1; i >= 0; i--) {
+        const c = history.commits[i];
+        const snapshot = c.snapshot ? JSON.stringify(c.snapshot) : null;
+        const patch = !c.snapshot && c.patch ? JSON.stringify(c.patch) : null;
+        if (!existing.has(c.id)) {
+          this.sql.insertCommit.run({
+            project: name, seq: ++seq, id: c.id, timestamp: c.timestamp ?? null, source: c.source ?? null,
+            action: c.action ?? null, summary: c.summary ?? null, stats: c.stats ? JSON.stringify(c.stats) : null,
+            snapshot, patch,
+          });
+        } else if (existing.get(c.id) !== !!c.snapshot) {
+          this.sql.updateCommitBody.run(snapshot, patch, name, c.id);
+        }
+      }
+    })();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
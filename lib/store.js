@@ -1,14 +1,143 @@
-import { readFileSync, writeFileSync, readdirSync, mkdirSync, unlinkSync, existsSync } from 'fs';
+import {
+  readFileSync, mkdirSync, unlinkSync, existsSync, statSync, openSync, writeSync, closeSync,
+} from 'fs';
 import { join } from 'path';
-import { randomUUID } from 'crypto';
+import { hostname } from 'os';
+import { randomUUID, createHash } from 'crypto';
+import { diff as diffValue, apply as applyPatch } from './patch.js';
+import { compareProjects, chunkChanges } from './compare.js';
+import { createStorage, BACKENDS } from './storage/index.js';
+import { SearchIndex } from './search.js';
+import { exportRows } from './export.js';
+import { mapRecords, reportErrors } from './import.js';
+import { chunkText, joinParts, normalizeChunkOptions, slugify } from './chunking.js';
+import { findClusters, describeClusters, DEFAULT_THRESHOLD as DEFAULT_DUPLICATE_THRESHOLD } from './dedupe.js';
+import { normalizeSchema, checkChunk, checkValue, validateProject } from './schema.js';
+import { lintProject, lintOptions, fixText, FIXABLE_RULES } from './lint.js';
+import { licenseReport, targetLicense } from './licenses.js';
+import { planReplace, describeReplace } from './replace.js';
+import { STANDARD_META, fieldValue, setField, selectChunks, describeSelector, parseTags } from './select.js';
+import { checkStrategy, mergeMissingMetadata, fieldTime, renamedId, DEFAULT_RENAME_SUFFIX } from './conflicts.js';
 
 const DEFAULT_LICENSE = 'CC BY-NC-SA 3.0';
-const STANDARD_META = ['page_title', 'source', 'license'];
 const MAX_HISTORY = 50;
+const CHECKPOINT_INTERVAL = 20;
+const HISTORY_FORMAT = 2;
+const LOCK_TIMEOUT_MS = 10_000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 60_000;
+
+function numberOption(value, envValue, fallback) {
+  const raw = value ?? envValue;
+  if (raw === undefined || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// A lock is stale if its owner process on this host is gone, or it is older than
+// LOCK_STALE_MS (no single operation holds the lock anywhere near that long).
+function isStaleLock(fp) {
+  try {
+    const info = JSON.parse(readFileSync(fp, 'utf-8'));
+    if (info.host === hostname() && info.pid !== process.pid) {
+      try { process.kill(info.pid, 0); } catch (err) { if (err.code === 'ESRCH') return true; }
+    }
+  } catch { /* unreadable or half-written lock: fall back to its age */ }
+  try {
+    return Date.now() - statSync(fp).mtimeMs > LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? '' : 's'}`;
+}
+
+// " (3 skipped, 2 overwritten)" for merge and import history summaries
+function mergeNote({ skipped, overwritten, renamed, merged, invalid }) {
+  const parts = [
+    skipped && `${skipped} skipped`,
+    overwritten && `${overwritten} overwritten`,
+    renamed && `${renamed} renamed`,
+    merged && `${merged} with metadata merged`,
+    invalid.length && `${invalid.length} rejected by the metadata schema`,
+  ].filter(Boolean);
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
+
+function contentHash(value) {
+  return createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex').slice(0, 16);
+}
+
+// Source URL a chunk was parsed from, without its #fragment (section chunks
+// point at anchors of the same page); '' for non-URL sources
+function sourceUrl(source) {
+  if (!/^https?:\/\//i.test(source || '')) return '';
+  return source.replace(/#.*$/, '');
+}
+
+// Chunks flagged with a truthy `manual_edit` field are never touched by refresh
+function isFlaggedManual(ch) {
+  return /^(true|yes|1)$/i.test(String(fieldValue(ch, 'manual_edit') ?? '').trim());
+}
+
+// The ID parse_url was given for a page, recovered from its chunk IDs:
+// creeper + creeper_drops, creeper_1 + creeper_2 -> creeper
+function guessBaseId(chunks) {
+  for (const ch of chunks) {
+    const section = fieldValue(ch, 'section');
+    const slug = section && section !== 'Introduction' ? slugify(section) : '';
+    const m = slug ? new RegExp(`^(.+)_${slug}(?:_\\d+)?$`).exec(ch.id) : null;
+    if (m) return m[1];
+  }
+  const split = chunks.map(ch => ch.id.split('_'));
+  let n = 0;
+  while (split.every(parts => n < parts.length && parts[n] === split[0][n])) n++;
+  const prefix = split[0].slice(0, n).join('_');
+  return chunks.length > 1 && prefix ? prefix : chunks[0].id;
+}
+
+// Groups consecutive <base>_1, <base>_2, ... chunks from the same source (the
+// parts of one split text); every other chunk is a group of its own.
+function partGroups(chunks, join) {
+  const groups = [];
+  let i = 0;
+  while (i < chunks.length) {
+    const first = chunks[i++];
+    const m = join ? /^(.+)_1$/.exec(first.id) : null;
+    const group = { base: first.id, chunks: [first] };
+    if (m) {
+      const source = first.metadata?.source || '';
+      while (i < chunks.length && chunks[i].id === `${m[1]}_${group.chunks.length + 1}` && (chunks[i].metadata?.source || '') === source) {
+        group.chunks.push(chunks[i++]);
+      }
+      if (group.chunks.length > 1) group.base = m[1];
+    }
+    groups.push(group);
+  }
+  return groups;
+}
 
 export class Store {
-  constructor(dataDir) {
+  constructor(dataDir, options = {}) {
     this.dataDir = dataDir || process.env.DATA_DIR || './datasets';
+    this.storage = options.storage || createStorage(options.backend || process.env.STORAGE_BACKEND, this.dataDir);
+    this._locks = new Map();
+    this._batches = new Map();
+    this._searchIndexes = new Map();
+    const history = options.history || {};
+    // 0 disables a limit (except checkpointInterval, where it means "always checkpoint")
+    this.historyOptions = {
+      maxCommits: numberOption(history.maxCommits, process.env.HISTORY_MAX_COMMITS, MAX_HISTORY),
+      maxAgeDays: numberOption(history.maxAgeDays, process.env.HISTORY_MAX_AGE_DAYS, 0),
+      maxBytes: numberOption(history.maxBytes, process.env.HISTORY_MAX_BYTES, 0),
+      checkpointInterval: numberOption(history.checkpointInterval, process.env.HISTORY_CHECKPOINT_INTERVAL, CHECKPOINT_INTERVAL),
+    };
     this._ensureDir();
   }
 
@@ -25,10 +154,7 @@ export class Store {
   // ---- PROJECT ----
 
   listProjects() {
-    this._ensureDir();
-    const files = readdirSync(this.dataDir).filter(f => f.endsWith('.json') && !f.endsWith('.history.json'));
-    return files.map(f => {
-      const name = f.replace(/\.json$/, '');
+    return this.storage.listProjects().map(name => {
       try {
         const data = this._load(name);
         const totalChunks = data.categories.reduce((sum, c) => sum + c.chunks.length, 0);
@@ -42,17 +168,22 @@ export class Store {
   createProject(name) {
     const safeName = name.replace(/[^a-zA-Z0-9_\-. ]/g, '').trim();
     if (!safeName) throw new Error('Invalid project name');
-    if (existsSync(this._filePath(safeName))) throw new Error(`Project "${safeName}" already exists`);
-    const project = { name: safeName, createdAt: new Date().toISOString(), categories: [] };
-    this._save(safeName, project);
-    return project;
+    return this._withLock(safeName, () => {
+      if (this.storage.exists(safeName)) throw new Error(`Project "${safeName}" already exists`);
+      const project = { name: safeName, createdAt: new Date().toISOString(), categories: [] };
+      this._save(safeName, project);
+      this._commit(safeName, 'createProject', `Created project '${safeName}'`);
+      return project;
+    });
   }
 
   deleteProject(name) {
-    const fp = this._filePath(name);
-    if (!existsSync(fp)) throw new Error(`Project "${name}" not found`);
-    unlinkSync(fp);
-    return { deleted: name };
+    return this._withLock(name, () => {
+      if (!this.storage.exists(name)) throw new Error(`Project "${name}" not found`);
+      this.storage.remove(name);
+      this._searchIndexes.delete(name);
+      return { deleted: name };
+    });
   }
 
   getStats(name) {
@@ -90,77 +221,61 @@ export class Store {
   }
 
   createCategory(projectName, categoryName) {
-    const data = this._load(projectName);
-    const trimmed = categoryName.trim();
-    if (!trimmed) throw new Error('Category name cannot be empty');
-    if (data.categories.some(c => c.name.toLowerCase() === trimmed.toLowerCase())) {
-      throw new Error(`Category "${trimmed}" already exists in project "${projectName}"`);
-    }
-    const cat = { id: randomUUID(), name: trimmed, chunks: [] };
-    data.categories.push(cat);
-    this._save(projectName, data);
-    return cat;
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const trimmed = categoryName.trim();
+      if (!trimmed) throw new Error('Category name cannot be empty');
+      if (data.categories.some(c => c.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error(`Category "${trimmed}" already exists in project "${projectName}"`);
+      }
+      const cat = { id: randomUUID(), name: trimmed, chunks: [] };
+      data.categories.push(cat);
+      this._save(projectName, data);
+      this._commit(projectName, 'createCategory', `Created category '${trimmed}'`);
+      return cat;
+    });
   }
 
   renameCategory(projectName, oldName, newName) {
-    const data = this._load(projectName);
-    const cat = this._findCategory(data, oldName);
-    const trimmed = newName.trim();
-    if (!trimmed) throw new Error('New name cannot be empty');
-    if (data.categories.some(c => c.name.toLowerCase() === trimmed.toLowerCase() && c.id !== cat.id)) {
-      throw new Error(`Category "${trimmed}" already exists`);
-    }
-    cat.name = trimmed;
-    this._save(projectName, data);
-    return { old: oldName, new: trimmed };
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const cat = this._findCategory(data, oldName);
+      const trimmed = newName.trim();
+      if (!trimmed) throw new Error('New name cannot be empty');
+      if (data.categories.some(c => c.name.toLowerCase() === trimmed.toLowerCase() && c.id !== cat.id)) {
+        throw new Error(`Category "${trimmed}" already exists`);
+      }
+      const previous = cat.name;
+      cat.name = trimmed;
+      this._save(projectName, data);
+      this._commit(projectName, 'renameCategory', `Renamed category '${previous}' to '${trimmed}'`);
+      return { old: oldName, new: trimmed };
+    });
   }
 
   deleteCategory(projectName, categoryName) {
-    const data = this._load(projectName);
-    const idx = data.categories.findIndex(c => c.name.toLowerCase() === categoryName.toLowerCase());
-    if (idx === -1) throw new Error(`Category "${categoryName}" not found`);
-    const removed = data.categories.splice(idx, 1)[0];
-    this._save(projectName, data);
-    return { deleted: removed.name, chunksRemoved: removed.chunks.length };
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const idx = data.categories.findIndex(c => c.name.toLowerCase() === categoryName.toLowerCase());
+      if (idx === -1) throw new Error(`Category "${categoryName}" not found`);
+      const removed = data.categories.splice(idx, 1)[0];
+      this._save(projectName, data);
+      this._commit(projectName, 'deleteCategory', `Deleted category '${removed.name}' with ${plural(removed.chunks.length, 'chunk')}`);
+      return { deleted: removed.name, chunksRemoved: removed.chunks.length };
+    });
   }
 
   // ---- CHUNK ----
 
   addChunk(projectName, categoryName, chunk) {
-    const data = this._load(projectName);
-    const cat = this._findCategory(data, categoryName);
-    const id = (chunk.id || '').trim();
-    if (!id) throw new Error('Chunk ID is required');
-    if (this._isIdTaken(data, id)) throw new Error(`Chunk ID "${id}" already exists in this project. Try adding _1, _2 suffix.`);
-
-    const newChunk = {
-      _uid: randomUUID(),
-      id,
-      text: chunk.text || '',
-      metadata: {
-        page_title: chunk.page_title || chunk.metadata?.page_title || '',
-        source: chunk.source || chunk.metadata?.source || '',
-        license: chunk.license || chunk.metadata?.license || DEFAULT_LICENSE,
-      },
-      customFields: this._parseCustomFields(chunk.metadata),
-    };
-    cat.chunks.push(newChunk);
-    this._save(projectName, data);
-    return { id: newChunk.id, category: cat.name };
-  }
-
-  bulkAddChunks(projectName, categoryName, chunks) {
-    const data = this._load(projectName);
-    const cat = this._findCategory(data, categoryName);
-    const added = [];
-    const errors = [];
-
-    for (const chunk of chunks) {
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const cat = this._findCategory(data, categoryName);
       const id = (chunk.id || '').trim();
-      if (!id) { errors.push({ id: '(empty)', reason: 'ID is required' }); continue; }
-      if (this._isIdTaken(data, id)) { errors.push({ id, reason: 'Duplicate ID' }); continue; }
+      if (!id) throw new Error('Chunk ID is required');
+      if (this._isIdTaken(data, id)) throw new Error(`Chunk ID "${id}" already exists in this project. Try adding _1, _2 suffix.`);
 
-      cat.chunks.push({
+      const newChunk = {
         _uid: randomUUID(),
         id,
         text: chunk.text || '',
@@ -170,12 +285,57 @@ export class Store {
           license: chunk.license || chunk.metadata?.license || DEFAULT_LICENSE,
         },
         customFields: this._parseCustomFields(chunk.metadata),
-      });
-      added.push(id);
-    }
+      };
+      this._enforceSchema(data, newChunk);
+      cat.chunks.push(newChunk);
+      this._save(projectName, data);
+      this._commit(projectName, 'addChunk', `Added chunk '${id}' to '${cat.name}'`);
+      return { id: newChunk.id, category: cat.name };
+    });
+  }
+
+  // `source` ({ url, baseId, options }) records how a parsed page's chunks
+  // were made, for refreshSources to repeat
+  bulkAddChunks(projectName, categoryName, chunks, { source } = {}) {
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const cat = this._findCategory(data, categoryName);
+      const added = [];
+      const errors = [];
 
-    this._save(projectName, data);
-    return { added: added.length, errors: errors.length, details: errors.length ? errors : undefined, ids: added };
+      for (const chunk of chunks) {
+        const id = (chunk.id || '').trim();
+        if (!id) { errors.push({ id: '(empty)', reason: 'ID is required' }); continue; }
+        if (this._isIdTaken(data, id)) { errors.push({ id, reason: 'Duplicate ID' }); continue; }
+
+        const newChunk = {
+          _uid: randomUUID(),
+          id,
+          text: chunk.text || '',
+          metadata: {
+            page_title: chunk.page_title || chunk.metadata?.page_title || '',
+            source: chunk.source || chunk.metadata?.source || '',
+            license: chunk.license || chunk.metadata?.license || DEFAULT_LICENSE,
+          },
+          customFields: this._parseCustomFields(chunk.metadata),
+        };
+        const problems = checkChunk(data.metadataSchema, newChunk);
+        if (problems.length) { errors.push({ id, reason: `Metadata schema: ${problems.join('; ')}` }); continue; }
+        cat.chunks.push(newChunk);
+        added.push(id);
+      }
+
+      const url = sourceUrl(source?.url);
+      if (url && added.length) {
+        if (!data.sources) data.sources = {};
+        data.sources[url] = { ...data.sources[url], baseId: source.baseId, options: source.options };
+      }
+      this._save(projectName, data);
+      if (added.length) {
+        this._commit(projectName, 'bulkAddChunks', `Added ${plural(added.length, 'chunk')} to '${cat.name}'`);
+      }
+      return { added: added.length, errors: errors.length, details: errors.length ? errors : undefined, ids: added };
+    });
   }
 
   getChunk(projectName, chunkId) {
@@ -188,241 +348,1086 @@ export class Store {
   }
 
   updateChunk(projectName, chunkId, updates) {
-    const data = this._load(projectName);
-    for (const cat of data.categories) {
-      const ch = cat.chunks.find(c => c.id === chunkId);
-      if (!ch) continue;
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      for (const cat of data.categories) {
+        const ch = cat.chunks.find(c => c.id === chunkId);
+        if (!ch) continue;
 
-      if (updates.newId && updates.newId !== chunkId) {
-        if (this._isIdTaken(data, updates.newId, ch._uid)) {
-          throw new Error(`Chunk ID "${updates.newId}" already exists`);
+        if (updates.newId && updates.newId !== chunkId) {
+          if (this._isIdTaken(data, updates.newId, ch._uid)) {
+            throw new Error(`Chunk ID "${updates.newId}" already exists`);
+          }
+          ch.id = updates.newId.trim();
         }
-        ch.id = updates.newId.trim();
-      }
-      if (updates.text !== undefined) ch.text = updates.text;
-      if (updates.page_title !== undefined) ch.metadata.page_title = updates.page_title;
-      if (updates.source !== undefined) ch.metadata.source = updates.source;
-      if (updates.license !== undefined) ch.metadata.license = updates.license;
-      if (updates.metadata) {
-        const custom = this._parseCustomFields(updates.metadata);
-        if (custom.length) ch.customFields = custom;
-      }
+        if (updates.text !== undefined) ch.text = updates.text;
+        if (updates.page_title !== undefined) ch.metadata.page_title = updates.page_title;
+        if (updates.source !== undefined) ch.metadata.source = updates.source;
+        if (updates.license !== undefined) ch.metadata.license = updates.license;
+        if (updates.metadata) {
+          const custom = this._parseCustomFields(updates.metadata);
+          if (custom.length) ch.customFields = custom;
+        }
+        this._enforceSchema(data, ch);
 
-      this._save(projectName, data);
-      return { updated: ch.id, category: cat.name };
-    }
-    throw new Error(`Chunk "${chunkId}" not found`);
+        this._save(projectName, data);
+        this._commit(projectName, 'updateChunk', ch.id === chunkId
+          ? `Updated chunk '${chunkId}' in '${cat.name}'`
+          : `Updated chunk '${chunkId}' (renamed to '${ch.id}') in '${cat.name}'`);
+        return { updated: ch.id, category: cat.name };
+      }
+      throw new Error(`Chunk "${chunkId}" not found`);
+    });
   }
 
   deleteChunk(projectName, chunkId) {
-    const data = this._load(projectName);
-    for (const cat of data.categories) {
-      const idx = cat.chunks.findIndex(c => c.id === chunkId);
-      if (idx === -1) continue;
-      cat.chunks.splice(idx, 1);
-      this._save(projectName, data);
-      return { deleted: chunkId, category: cat.name };
-    }
-    throw new Error(`Chunk "${chunkId}" not found`);
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      for (const cat of data.categories) {
+        const idx = cat.chunks.findIndex(c => c.id === chunkId);
+        if (idx === -1) continue;
+        cat.chunks.splice(idx, 1);
+        this._save(projectName, data);
+        this._commit(projectName, 'deleteChunk', `Deleted chunk '${chunkId}' from '${cat.name}'`);
+        return { deleted: chunkId, category: cat.name };
+      }
+      throw new Error(`Chunk "${chunkId}" not found`);
+    });
   }
 
   duplicateChunk(projectName, chunkId) {
-    const data = this._load(projectName);
-    for (const cat of data.categories) {
-      const ch = cat.chunks.find(c => c.id === chunkId);
-      if (!ch) continue;
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      for (const cat of data.categories) {
+        const ch = cat.chunks.find(c => c.id === chunkId);
+        if (!ch) continue;
 
-      let newId = chunkId + '_copy';
-      let n = 1;
-      while (this._isIdTaken(data, newId)) { newId = `${chunkId}_copy_${n++}`; }
+        let newId = chunkId + '_copy';
+        let n = 1;
+        while (this._isIdTaken(data, newId)) { newId = `${chunkId}_copy_${n++}`; }
 
-      const clone = { ...JSON.parse(JSON.stringify(ch)), _uid: randomUUID(), id: newId };
-      cat.chunks.push(clone);
-      this._save(projectName, data);
-      return { original: chunkId, duplicate: newId, category: cat.name };
-    }
-    throw new Error(`Chunk "${chunkId}" not found`);
+        const clone = { ...JSON.parse(JSON.stringify(ch)), _uid: randomUUID(), id: newId };
+        cat.chunks.push(clone);
+        this._save(projectName, data);
+        this._commit(projectName, 'duplicateChunk', `Duplicated chunk '${chunkId}' as '${newId}' in '${cat.name}'`);
+        return { original: chunkId, duplicate: newId, category: cat.name };
+      }
+      throw new Error(`Chunk "${chunkId}" not found`);
+    });
   }
 
   moveChunk(projectName, chunkId, targetCategory) {
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const targetCat = this._findCategory(data, targetCategory);
+      for (const cat of data.categories) {
+        const idx = cat.chunks.findIndex(c => c.id === chunkId);
+        if (idx === -1) continue;
+        if (cat.id === targetCat.id) throw new Error('Chunk is already in that category');
+        const [chunk] = cat.chunks.splice(idx, 1);
+        targetCat.chunks.push(chunk);
+        this._save(projectName, data);
+        this._commit(projectName, 'moveChunk', `Moved chunk '${chunkId}' from '${cat.name}' to '${targetCat.name}'`);
+        return { moved: chunkId, from: cat.name, to: targetCat.name };
+      }
+      throw new Error(`Chunk "${chunkId}" not found`);
+    });
+  }
+
+  // ---- SEARCH ----
+
+  searchChunks(projectName, query, options = {}) {
     const data = this._load(projectName);
-    const targetCat = this._findCategory(data, targetCategory);
-    for (const cat of data.categories) {
-      const idx = cat.chunks.findIndex(c => c.id === chunkId);
-      if (idx === -1) continue;
-      if (cat.id === targetCat.id) throw new Error('Chunk is already in that category');
-      const [chunk] = cat.chunks.splice(idx, 1);
-      targetCat.chunks.push(chunk);
-      this._save(projectName, data);
-      return { moved: chunkId, from: cat.name, to: targetCat.name };
+    let index = this._searchIndexes.get(projectName);
+    if (!index) {
+      index = new SearchIndex();
+      this._searchIndexes.set(projectName, index);
     }
-    throw new Error(`Chunk "${chunkId}" not found`);
+    if (index.revision !== (data.revision ?? null)) index.sync(data);
+    return index.search(query, options);
   }
 
-  // ---- SEARCH ----
+  // ---- DUPLICATES ----
 
-  searchChunks(projectName, query) {
+  findDuplicates(projectName, { category, threshold = DEFAULT_DUPLICATE_THRESHOLD } = {}) {
     const data = this._load(projectName);
-    const q = query.toLowerCase();
-    const results = [];
-    for (const cat of data.categories) {
-      for (const ch of cat.chunks) {
-        if (ch.id.toLowerCase().includes(q) || (ch.text || '').toLowerCase().includes(q)) {
-          results.push({ id: ch.id, category: cat.name, preview: ch.text.substring(0, 120) + (ch.text.length > 120 ? '...' : '') });
+    if (category) this._findCategory(data, category);
+    const clusters = describeClusters(findClusters(data, { category, threshold }));
+    return {
+      project: projectName,
+      threshold,
+      clusters: clusters.length,
+      redundantChunks: clusters.reduce((sum, c) => sum + c.members.length - 1, 0),
+      details: clusters,
+    };
+  }
+
+  // Keeps the best-sourced member of each cluster (or the one named in `keep`)
+  // and deletes the rest. In 'merge' mode the keeper first inherits any
+  // metadata fields it is missing from the members being removed; a cluster
+  // whose merged keeper wouldn't match the metadata schema is left alone.
+  resolveDuplicates(projectName, { category, threshold = DEFAULT_DUPLICATE_THRESHOLD, mode = 'delete', keep = [], clusters: only } = {}) {
+    if (!['delete', 'merge'].includes(mode)) throw new Error(`Unknown mode "${mode}". Use "delete" or "merge"`);
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      if (category) this._findCategory(data, category);
+      let clusters = findClusters(data, { category, threshold });
+      if (only?.length) clusters = clusters.filter(c => c.some(m => only.includes(m.chunk.id)));
+
+      const report = [];
+      const errors = [];
+      const doomed = new Set();
+      for (const members of clusters) {
+        const pinned = members.findIndex(m => keep.includes(m.chunk.id));
+        if (pinned > 0) members.unshift(...members.splice(pinned, 1));
+        const [keeper, ...rest] = members;
+        const mergedFields = [];
+
+        if (mode === 'merge') {
+          const edited = JSON.parse(JSON.stringify(keeper.chunk));
+          for (const { chunk } of rest) mergedFields.push(...mergeMissingMetadata(edited, chunk));
+          const problems = checkChunk(data.metadataSchema, edited);
+          if (problems.length) {
+            errors.push({ kept: keeper.chunk.id, reason: `Metadata schema: ${problems.join('; ')}` });
+            continue;
+          }
+          Object.assign(keeper.chunk, edited);
         }
+
+        for (const { chunk } of rest) doomed.add(chunk._uid);
+        report.push({ kept: keeper.chunk.id, removed: rest.map(m => m.chunk.id), mergedFields: mode === 'merge' ? mergedFields : undefined });
       }
-    }
-    return { query, found: results.length, results };
+
+      for (const cat of data.categories) {
+        cat.chunks = cat.chunks.filter(ch => !doomed.has(ch._uid));
+      }
+      if (doomed.size) {
+        this._save(projectName, data);
+        this._commit(projectName, 'resolveDuplicates', `Removed ${plural(doomed.size, 'duplicate chunk')} from ${plural(report.length, 'cluster')}${mode === 'merge' ? ' (metadata merged)' : ''}`);
+      }
+      return {
+        project: projectName, mode, clusters: report.length, removed: doomed.size, details: report,
+        errors: errors.length ? errors : undefined,
+      };
+    });
   }
 
   // ---- EXPORT / IMPORT ----
 
-  exportProject(projectName) {
+  exportProject(projectName, options = {}) {
+    return this.exportRows(projectName, options).map(r => r.entry);
+  }
+
+  // Flat export entries paired with their category name, for the formatters in export.js
+  exportRows(projectName, { category, includeCategory } = {}) {
     const data = this._load(projectName);
-    const flat = [];
-    for (const cat of data.categories) {
+    if (category) this._findCategory(data, category);
+    return exportRows(data, { category, includeCategory });
+  }
+
+  // Entries whose ID is already in the project are resolved with `strategy`
+  // (see conflicts.js). For keep_newer an entry's time is its `timestampField`
+  // date, else `fileTime` (when the import file was written); inline data
+  // without either has no time, and its conflicts are skipped.
+  importJSON(projectName, jsonArray, categoryName, options = {}) {
+    if (!Array.isArray(jsonArray)) throw new Error('Import data must be a JSON array');
+    const { strategy = 'skip', suffix, dryRun = false, timestampField, fileTime, limit } = options;
+    checkStrategy(strategy);
+    return this._withLock(projectName, () => {
+
+      let data;
+      try {
+        data = this._load(projectName);
+      } catch {
+        data = dryRun ? { name: projectName, categories: [] } : this.createProject(projectName);
+      }
+      if (dryRun) data = JSON.parse(JSON.stringify(data));
+
+      const catName = categoryName || 'Imported';
+      let cat = data.categories.find(c => c.name.toLowerCase() === catName.toLowerCase());
+      if (!cat) {
+        cat = { id: randomUUID(), name: catName, chunks: [] };
+        data.categories.push(cat);
+      }
+
+      let missingIds = 0;
+      const incoming = [];
+      for (const entry of jsonArray) {
+        const id = (entry.id || '').trim();
+        if (!id) { missingIds++; continue; }
+
+        const meta = entry.metadata || {};
+        const chunk = {
+          _uid: randomUUID(),
+          id,
+          text: entry.text || '',
+          metadata: {
+            page_title: meta.page_title || '',
+            source: meta.source || '',
+            license: meta.license || DEFAULT_LICENSE,
+          },
+          customFields: Object.entries(meta)
+            .filter(([k]) => !STANDARD_META.includes(k))
+            .map(([key, value]) => ({ key, value: String(value ?? '') })),
+        };
+        incoming.push({ chunk, category: cat });
+      }
+
+      const merge = this._mergeChunks(projectName, data, incoming, {
+        strategy, suffix, limit,
+        incomingTime: (ch) => fieldTime(ch, timestampField) || fileTime || null,
+        timestampField,
+      });
+      const skipped = merge.skipped + missingIds;
+      const imported = merge.added + merge.renamed;
+      if (!dryRun) {
+        this._save(projectName, data);
+        this._commit(projectName, 'importJSON', `Imported ${plural(imported, 'chunk')} into '${cat.name}'${mergeNote({ ...merge, skipped })}`);
+      }
+      return {
+        project: projectName, category: catName, strategy, dryRun: dryRun || undefined, imported, skipped,
+        overwritten: merge.overwritten || undefined, renamed: merge.renamed || undefined, merged: merge.merged || undefined,
+        invalid: merge.invalid.length || undefined, invalidDetails: merge.invalid.length ? merge.invalid.slice(0, 100) : undefined,
+        conflicts: merge.conflicts.length, conflictDetails: merge.conflicts.length ? merge.conflictDetails : undefined,
+      };
+    });
+  }
+
+  // Imports parsed records (see lib/import.js) with a field mapping, routing
+  // rows to categories and reporting per-row errors.
+  importRecords(projectName, records, options = {}) {
+    return this._withLock(projectName, () => {
+      let data;
+      try {
+        data = this._load(projectName);
+      } catch {
+        data = options.dryRun ? { categories: [] } : this.createProject(projectName);
+      }
+
+      const taken = new Set(data.categories.flatMap(c => c.chunks.map(ch => ch.id)));
+      const mapped = mapRecords(records, options, taken);
+      const errors = [...mapped.errors];
+      const chunks = mapped.chunks.filter(({ row, chunk }) => {
+        const problems = checkChunk(data.metadataSchema, chunk);
+        if (problems.length) errors.push({ row, id: chunk.id, reason: `Metadata schema: ${problems.join('; ')}` });
+        return !problems.length;
+      });
+      errors.sort((a, b) => a.row - b.row);
+      const errorReport = reportErrors([...(options.parseErrors || []), ...errors]);
+
+      const perCategory = {};
+      for (const { category, chunk } of chunks) {
+        perCategory[category] = (perCategory[category] || 0) + 1;
+      }
+      if (options.dryRun) {
+        return {
+          project: projectName, dryRun: true, imported: chunks.length, categories: perCategory,
+          ...errorReport, preview: chunks.slice(0, 3).map(({ row, category, chunk }) => ({ row, category, ...this._formatChunk(chunk) })),
+        };
+      }
+
+      for (const { category, chunk } of chunks) {
+        let cat = data.categories.find(c => c.name.toLowerCase() === category.toLowerCase());
+        if (!cat) {
+          cat = { id: randomUUID(), name: category, chunks: [] };
+          data.categories.push(cat);
+        }
+        cat.chunks.push({ _uid: randomUUID(), ...chunk });
+      }
+
+      this._save(projectName, data);
+      if (chunks.length) {
+        const names = Object.keys(perCategory);
+        const where = names.length === 1 ? `'${names[0]}'` : `${names.length} categories`;
+        this._commit(projectName, 'importRecords', `Imported ${plural(chunks.length, 'chunk')} into ${where}${errorReport.errors ? ` (${errorReport.errors} rejected)` : ''}`);
+      }
+      return { project: projectName, imported: chunks.length, categories: perCategory, ...errorReport };
+    });
+  }
+
+  // ---- RECHUNK ----
+
+  rechunk(projectName, options = {}) {
+    const chunkOptions = normalizeChunkOptions(options);
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const cats = options.category ? [this._findCategory(data, options.category)] : data.categories;
+      const wanted = options.ids?.length ? new Set(options.ids) : null;
+      const owners = new Map(data.categories.flatMap(c => c.chunks.map(ch => [ch.id, ch._uid])));
+      const changes = [];
+      const errors = [];
+      let before = 0, after = 0;
+
+      for (const cat of cats) {
+        const out = [];
+        for (const group of partGroups(cat.chunks, options.joinParts !== false)) {
+          if (wanted && !wanted.has(group.base) && !group.chunks.some(ch => wanted.has(ch.id))) {
+            out.push(...group.chunks);
+            continue;
+          }
+          const parts = chunkText(joinParts(group.chunks.map(ch => ch.text || '')), group.base, chunkOptions);
+          const unchanged = parts.length === group.chunks.length
+            && parts.every((part, k) => part.id === group.chunks[k].id && part.text === group.chunks[k].text);
+          const uids = new Set(group.chunks.map(ch => ch._uid));
+          const clash = parts.find(part => owners.has(part.id) && !uids.has(owners.get(part.id)));
+          if (unchanged || clash) {
+            if (clash) errors.push({ id: group.base, reason: `Chunk ID "${clash.id}" is already used by another chunk` });
+            out.push(...group.chunks);
+            continue;
+          }
+
+          const [first] = group.chunks;
+          const replacement = parts.map((part, k) => ({
+            _uid: group.chunks[k]?._uid || randomUUID(),
+            id: part.id,
+            text: part.text,
+            metadata: { ...first.metadata },
+            customFields: (first.customFields || []).map(cf => ({ ...cf })),
+          }));
+          for (const ch of group.chunks) owners.delete(ch.id);
+          for (const ch of replacement) owners.set(ch.id, ch._uid);
+          out.push(...replacement);
+          changes.push({ category: cat.name, from: group.chunks.map(ch => ch.id), to: parts.map(part => part.id) });
+          before += group.chunks.length;
+          after += parts.length;
+        }
+        cat.chunks = out;
+      }
+
+      if (changes.length) {
+        this._save(projectName, data);
+        this._commit(projectName, 'rechunk', `Rechunked ${plural(before, 'chunk')} into ${after}${options.category ? ` in '${cats[0].name}'` : ''}`);
+      }
+      return {
+        project: projectName, rechunked: changes.length, chunksBefore: before, chunksAfter: after,
+        changes, errors: errors.length ? errors : undefined,
+      };
+    });
+  }
+
+  // ---- SOURCE REFRESH ----
+
+  // Chunks grouped by source URL, with what was recorded about each source
+  // (validators and hashes of the last refresh, the parse options and base
+  // chunk ID it was imported with); options are guessed from the chunks for
+  // sources imported before they were recorded
+  listSources(projectName, { category, sources } = {}) {
+    const data = this._load(projectName);
+    const cats = category ? [this._findCategory(data, category)] : data.categories;
+    const wanted = sources?.length ? new Set(sources.map(sourceUrl)) : null;
+    const groups = new Map();
+    for (const cat of cats) {
       for (const ch of cat.chunks) {
-        const entry = {
-          id: ch.id,
-          text: ch.text,
-          metadata: { ...ch.metadata },
+        const url = sourceUrl(ch.metadata?.source);
+        if (!url || (wanted && !wanted.has(url))) continue;
+        if (!groups.has(url)) groups.set(url, { url, category: cat.name, chunks: [] });
+        groups.get(url).chunks.push(ch);
+      }
+    }
+    return [...groups.values()].map(({ url, category: cat, chunks }) => {
+      const record = data.sources?.[url] || {};
+      return {
+        url,
+        category: cat,
+        chunks: chunks.length,
+        baseId: record.baseId || guessBaseId(chunks),
+        options: record.options || {
+          chunk_by: record.chunkBy || (chunks.some(ch => fieldValue(ch, 'section') !== undefined) ? 'sections' : 'size'),
+          tables: record.tables || (chunks.some(ch => fieldValue(ch, 'table') !== undefined) ? 'rows' : undefined),
+        },
+        license: chunks[0].metadata?.license || DEFAULT_LICENSE,
+        etag: record.etag,
+        lastModified: record.lastModified,
+        checkedAt: record.checkedAt,
+      };
+    });
+  }
+
+  // Applies re-fetched sources. Each result is { url, error } | { url,
+  // notModified } | { url, etag, lastModified, baseId, options, chunks } with
+  // chunks as produced by the parser. Chunks are matched by ID: changed ones
+  // are updated in place, new ones added next to the source's other chunks,
+  // vanished ones removed. Chunks flagged `manual_edit`, or whose text differs
+  // from what the last refresh wrote, are preserved as they are.
+  refreshSources(projectName, results, { category, dryRun = false, force = false } = {}) {
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const cats = category ? [this._findCategory(data, category)] : data.categories;
+      const records = data.sources || {};
+      const now = new Date().toISOString();
+      const report = [];
+      const totals = { added: 0, updated: 0, removed: 0, preserved: 0 };
+      let changed = false;
+
+      for (const result of results) {
+        const record = records[result.url];
+        if (result.error) { report.push({ url: result.url, status: 'failed', error: result.error }); continue; }
+        if (result.notModified) {
+          report.push({ url: result.url, status: 'not_modified' });
+          continue;
+        }
+        const hash = contentHash(result.chunks.map(ch => [ch.id, ch.text, ch.metadata]));
+        const next = {
+          baseId: result.baseId, options: result.options, etag: result.etag || undefined,
+          lastModified: result.lastModified || undefined, hash, checkedAt: now, chunks: { ...record?.chunks },
         };
-        if (ch.customFields) {
-          for (const cf of ch.customFields) {
-            if (cf.key && cf.key.trim()) {
-              entry.metadata[cf.key.trim()] = String(cf.value ?? '');
+        if (!force && record?.hash === hash) {
+          report.push({ url: result.url, status: 'unchanged' });
+          if (record.etag !== next.etag || record.lastModified !== next.lastModified) {
+            records[result.url] = { ...next, chunks: record.chunks };
+            changed = true;
+          }
+          continue;
+        }
+
+        const existing = new Map();
+        for (const cat of cats) {
+          for (const ch of cat.chunks) {
+            if (sourceUrl(ch.metadata?.source) === result.url) existing.set(ch.id, { ch, cat });
+          }
+        }
+        // Its chunks were deleted or moved out of the category since the fetch
+        if (!existing.size) { report.push({ url: result.url, status: 'failed', error: 'No chunks from this source are left' }); continue; }
+        const isManual = (ch) => isFlaggedManual(ch) || (record?.chunks?.[ch.id] !== undefined && record.chunks[ch.id] !== contentHash(ch.text || ''));
+        const entry = { url: result.url, status: 'unchanged', added: [], updated: [], removed: [], preserved: [], errors: [] };
+        const [home] = existing.values();
+        let prev = null; // new chunks go after the previous chunk of the page
+
+        for (const derived of result.chunks) {
+          const custom = this._parseCustomFields(derived.metadata);
+          const found = existing.get(derived.id);
+          if (found) {
+            existing.delete(derived.id);
+            const { ch } = found;
+            const same = ch.text === derived.text
+              && ch.metadata.page_title === derived.metadata.page_title
+              && custom.every(cf => fieldValue(ch, cf.key) === cf.value);
+            if (found.cat === home.cat) prev = ch;
+            if (same) { next.chunks[ch.id] = contentHash(ch.text || ''); continue; }
+            if (isManual(ch)) { entry.preserved.push(ch.id); continue; }
+            const edited = JSON.parse(JSON.stringify(ch));
+            edited.text = derived.text;
+            edited.metadata.page_title = derived.metadata.page_title;
+            const fields = (edited.customFields || []).filter(cf => !custom.some(c => c.key === cf.key));
+            edited.customFields = [...fields, ...custom];
+            const problems = checkChunk(data.metadataSchema, edited);
+            if (problems.length) { entry.errors.push({ id: ch.id, reason: `Metadata schema: ${problems.join('; ')}` }); continue; }
+            if (!dryRun) Object.assign(ch, edited);
+            next.chunks[ch.id] = contentHash(derived.text);
+            entry.updated.push(ch.id);
+          } else if (this._isIdTaken(data, derived.id)) {
+            entry.errors.push({ id: derived.id, reason: 'Chunk ID is already used by another chunk' });
+          } else {
+            const chunk = {
+              _uid: randomUUID(),
+              id: derived.id,
+              text: derived.text,
+              metadata: {
+                page_title: derived.metadata.page_title || '',
+                source: derived.metadata.source || result.url,
+                license: derived.metadata.license || DEFAULT_LICENSE,
+              },
+              customFields: custom,
+            };
+            const problems = checkChunk(data.metadataSchema, chunk);
+            if (problems.length) { entry.errors.push({ id: derived.id, reason: `Metadata schema: ${problems.join('; ')}` }); continue; }
+            if (!dryRun) {
+              const chunks = home.cat.chunks;
+              chunks.splice(prev ? chunks.indexOf(prev) + 1 : chunks.indexOf(home.ch), 0, chunk);
+              prev = chunk;
             }
+            next.chunks[derived.id] = contentHash(derived.text);
+            entry.added.push(derived.id);
           }
         }
-        flat.push(entry);
+        for (const { ch, cat } of existing.values()) {
+          if (isManual(ch)) { entry.preserved.push(ch.id); continue; }
+          if (!dryRun) cat.chunks.splice(cat.chunks.indexOf(ch), 1);
+          delete next.chunks[ch.id];
+          entry.removed.push(ch.id);
+        }
+
+        if (entry.added.length || entry.updated.length || entry.removed.length) entry.status = 'changed';
+        for (const key of Object.keys(totals)) totals[key] += entry[key].length;
+        for (const key of ['added', 'updated', 'removed', 'preserved', 'errors']) if (!entry[key].length) delete entry[key];
+        report.push(entry);
+        records[result.url] = next;
+        changed = true;
       }
+
+      const sourcesChanged = report.filter(r => r.status === 'changed').length;
+      if (changed && !dryRun) {
+        data.sources = records;
+        this._save(projectName, data);
+        this._commit(projectName, 'refreshSources', sourcesChanged
+          ? `Refreshed ${plural(sourcesChanged, 'source')}: ${totals.added} added, ${totals.updated} updated, ${totals.removed} removed`
+          : `Checked ${plural(results.length, 'source')} (no changes)`);
+      }
+      return {
+        project: projectName, dryRun: dryRun || undefined, sources: results.length, changed: sourcesChanged,
+        ...totals, failed: report.filter(r => r.status === 'failed').length, report,
+      };
+    });
+  }
+
+  // ---- METADATA SCHEMA ----
+
+  getMetadataSchema(projectName) {
+    const data = this._load(projectName);
+    return { project: projectName, schema: data.metadataSchema || null };
+  }
+
+  // Replaces the project's schema (an empty `fields` removes it). Existing
+  // chunks are not rewritten; the result counts the ones that now violate it.
+  setMetadataSchema(projectName, input) {
+    const schema = normalizeSchema(input);
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      if (schema) data.metadataSchema = schema;
+      else delete data.metadataSchema;
+      this._save(projectName, data);
+      this._commit(projectName, 'setMetadataSchema', schema
+        ? `Set metadata schema (${plural(Object.keys(schema.fields).length, 'field')}${schema.strict ? ', strict' : ''})`
+        : 'Removed metadata schema');
+      return { project: projectName, schema, invalidChunks: schema ? validateProject(data).invalid : 0 };
+    });
+  }
+
+  validateProject(projectName, { category, limit } = {}) {
+    const data = this._load(projectName);
+    if (category) this._findCategory(data, category);
+    if (!data.metadataSchema) {
+      return { project: projectName, valid: true, checked: 0, message: 'Project has no metadata schema. Set one with set_metadata_schema.' };
     }
-    return flat;
+    return { project: projectName, ...validateProject(data, { category, limit }) };
   }
 
-  importJSON(projectName, jsonArray, categoryName) {
-    if (!Array.isArray(jsonArray)) throw new Error('Import data must be a JSON array');
+  // ---- LINT ----
 
-    let data;
-    try {
-      data = this._load(projectName);
-    } catch {
-      data = this.createProject(projectName);
+  // Quality report; with `fix`, first applies the safe rewrites of the
+  // fixable rules selected (a fix that would leave a chunk empty is skipped)
+  lintProject(projectName, { fix = false, category, ...options } = {}) {
+    if (!fix) {
+      const data = this._load(projectName);
+      if (category) this._findCategory(data, category);
+      return { project: projectName, ...lintProject(data, { category, ...options }) };
     }
+    const { rules } = lintOptions(options);
+    const fixRules = rules.filter(r => FIXABLE_RULES.includes(r));
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const cats = category ? [this._findCategory(data, category)] : data.categories;
+      const fixed = [];
+      for (const cat of cats) {
+        for (const ch of cat.chunks) {
+          const text = fixText(ch.text, fixRules);
+          const title = ch.metadata?.page_title || '';
+          const newTitle = fixRules.includes('encoding') ? fixText(title, ['encoding']) : title;
+          const textChanged = text !== ch.text && text.trim();
+          if (!textChanged && newTitle === title) continue;
+          if (textChanged) ch.text = text;
+          if (newTitle !== title) ch.metadata.page_title = newTitle;
+          fixed.push(ch.id);
+        }
+      }
+      if (fixed.length) {
+        this._save(projectName, data);
+        this._commit(projectName, 'lintProject', `Fixed ${fixRules.join(', ')} issues in ${plural(fixed.length, 'chunk')}`);
+      }
+      return { project: projectName, fixed: fixed.length, fixedIds: fixed.slice(0, 100), ...lintProject(data, { category, ...options }) };
+    });
+  }
 
-    const catName = categoryName || 'Imported';
-    let cat = data.categories.find(c => c.name.toLowerCase() === catName.toLowerCase());
-    if (!cat) {
-      cat = { id: randomUUID(), name: catName, chunks: [] };
-      data.categories.push(cat);
+  // ---- LICENSES ----
+
+  getLicensePolicy(projectName) {
+    return this._load(projectName).licensePolicy || null;
+  }
+
+  // Declares the license the dataset is distributed under; chunks whose
+  // license isn't compatible with it (or isn't known, unless `allowUnknown`)
+  // are policy violations. An empty target removes the policy.
+  setLicensePolicy(projectName, { target, allowUnknown = false } = {}) {
+    const policy = target?.trim() ? { target: target.trim(), allowUnknown: !!allowUnknown } : null;
+    const label = policy && targetLicense(policy.target).label;
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      if (policy) data.licensePolicy = policy;
+      else delete data.licensePolicy;
+      this._save(projectName, data);
+      this._commit(projectName, 'setLicensePolicy', policy
+        ? `Set target license to '${label}'${policy.allowUnknown ? ' (unknown licenses allowed)' : ''}`
+        : 'Removed license policy');
+      const report = policy ? licenseReport(exportRows(data), policy) : null;
+      return {
+        project: projectName, policy,
+        violations: report ? report.incompatible + (policy.allowUnknown ? 0 : report.missing + report.unknown) : 0,
+      };
+    });
+  }
+
+  // ---- FIND / REPLACE ----
+
+  // Replaces `find` in one field of every chunk in scope (see replace.js),
+  // all in a single save. Changes that would break the metadata schema are
+  // reported as errors and left out.
+  findReplace(projectName, { dryRun = false, limit, ...options } = {}) {
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const plan = planReplace(data, options);
+      const accepted = [];
+      for (const change of plan.changes) {
+        const edited = JSON.parse(JSON.stringify(change.chunk));
+        setField(edited, change.field, change.after);
+        const problems = checkChunk(data.metadataSchema, edited);
+        if (problems.length) {
+          plan.errors.push({ id: change.chunk.id, reason: `Metadata schema: ${problems.join('; ')}` });
+          continue;
+        }
+        accepted.push(change);
+        if (!dryRun) Object.assign(change.chunk, edited);
+      }
+      plan.changes = accepted;
+
+      if (!dryRun && accepted.length) {
+        this._save(projectName, data);
+        this._commit(projectName, 'findReplace', `Replaced '${options.find}' with '${options.replace ?? ''}' in ${options.field || 'text'} of ${plural(accepted.length, 'chunk')}`);
+      }
+      return { project: projectName, field: options.field || 'text', dryRun: dryRun || undefined, ...describeReplace(plan, { limit }) };
+    });
+  }
+
+  // ---- FILTERED BULK OPERATIONS ----
+
+  // Runs `apply(matches, data)` on the chunks matching `filter` (see
+  // select.js) under the project lock. `apply` edits `data` and returns
+  // { ids, summary, errors, ...extra } for the chunks it changed; the result is
+  // saved in one commit unless this is a dry run or nothing changed.
+  _bulkSelect(projectName, filter, { dryRun = false, action }, apply) {
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const matches = selectChunks(data, filter);
+      const { ids, summary, errors = [], ...extra } = apply(matches, data);
+      if (!dryRun && ids.length) {
+        this._save(projectName, data);
+        this._commit(projectName, action, `${summary} (${describeSelector(filter)})`);
+      }
+      return {
+        project: projectName, dryRun: dryRun || undefined, matched: matches.length, ...extra,
+        errors: errors.length || undefined, errorDetails: errors.length ? errors.slice(0, 100) : undefined, ids,
+      };
+    });
+  }
+
+  // Checks each edited clone against the metadata schema; the ones that pass
+  // replace their chunk (unless dry run), the others become errors
+  _applyEdits(data, edits, dryRun) {
+    const ids = [];
+    const errors = [];
+    for (const { chunk, edited } of edits) {
+      const problems = checkChunk(data.metadataSchema, edited);
+      if (problems.length) { errors.push({ id: chunk.id, reason: `Metadata schema: ${problems.join('; ')}` }); continue; }
+      if (!dryRun) Object.assign(chunk, edited);
+      ids.push(chunk.id);
     }
+    return { ids, errors };
+  }
 
-    let imported = 0, skipped = 0;
-    for (const entry of jsonArray) {
-      const id = (entry.id || '').trim();
-      if (!id) { skipped++; continue; }
-      if (this._isIdTaken(data, id)) { skipped++; continue; }
+  bulkDelete(projectName, filter, { dryRun = false } = {}) {
+    if (!filter || !Object.keys(filter).length) throw new Error('A filter is required to delete chunks (an empty filter matches every chunk)');
+    return this._bulkSelect(projectName, filter, { dryRun, action: 'bulkDelete' }, (matches) => {
+      if (!dryRun) {
+        const doomed = new Set(matches.map(m => m.chunk));
+        for (const cat of new Set(matches.map(m => m.category))) {
+          cat.chunks = cat.chunks.filter(ch => !doomed.has(ch));
+        }
+      }
+      return { ids: matches.map(m => m.chunk.id), summary: `Deleted ${plural(matches.length, 'chunk')}` };
+    });
+  }
 
-      const meta = entry.metadata || {};
-      cat.chunks.push({
-        _uid: randomUUID(),
-        id,
-        text: entry.text || '',
-        metadata: {
-          page_title: meta.page_title || '',
-          source: meta.source || '',
-          license: meta.license || DEFAULT_LICENSE,
-        },
-        customFields: Object.entries(meta)
-          .filter(([k]) => !STANDARD_META.includes(k))
-          .map(([key, value]) => ({ key, value: String(value ?? '') })),
-      });
-      imported++;
+  bulkMove(projectName, filter, targetCategory, { dryRun = false } = {}) {
+    return this._bulkSelect(projectName, filter, { dryRun, action: 'bulkMove' }, (matches, data) => {
+      const target = this._findCategory(data, targetCategory);
+      const moving = matches.filter(m => m.category !== target);
+      if (!dryRun) {
+        for (const { chunk, category } of moving) {
+          category.chunks.splice(category.chunks.indexOf(chunk), 1);
+          target.chunks.push(chunk);
+        }
+      }
+      return {
+        to: target.name, alreadyThere: matches.length - moving.length || undefined,
+        ids: moving.map(m => m.chunk.id), summary: `Moved ${plural(moving.length, 'chunk')} to '${target.name}'`,
+      };
+    });
+  }
+
+  // Sets fields to the given values and clears the `unset` ones (custom
+  // fields are removed, standard ones emptied) on every matching chunk
+  bulkSetMetadata(projectName, filter, { set = {}, unset = [] } = {}, { dryRun = false } = {}) {
+    const fields = Object.keys(set);
+    if (!fields.length && !unset.length) throw new Error('Nothing to change: give fields to set and/or unset');
+    const both = fields.find(f => unset.includes(f));
+    if (both) throw new Error(`Field "${both}" is both set and unset`);
+    if ([...fields, ...unset].some(f => !f.trim() || f === 'id' || f === 'text')) {
+      throw new Error('Metadata field names must be non-empty and can\'t be "id" or "text"');
     }
+    return this._bulkSelect(projectName, filter, { dryRun, action: 'bulkSetMetadata' }, (matches, data) => {
+      const edits = [];
+      for (const { chunk } of matches) {
+        const before = JSON.stringify([chunk.metadata, chunk.customFields || []]);
+        const edited = JSON.parse(JSON.stringify(chunk));
+        if (!edited.customFields) edited.customFields = [];
+        for (const [field, value] of Object.entries(set)) setField(edited, field, String(value ?? ''));
+        for (const field of unset) {
+          if (STANDARD_META.includes(field)) edited.metadata[field] = '';
+          else edited.customFields = edited.customFields.filter(cf => cf.key !== field);
+        }
+        if (JSON.stringify([edited.metadata, edited.customFields]) !== before) edits.push({ chunk, edited });
+      }
+      const changes = [
+        fields.length && `set ${fields.map(f => `'${f}'`).join(', ')}`,
+        unset.length && `unset ${unset.map(f => `'${f}'`).join(', ')}`,
+      ].filter(Boolean).join('; ');
+      return { ...this._applyEdits(data, edits, dryRun), summary: `Updated metadata of ${plural(edits.length, 'chunk')}: ${changes}` };
+    });
+  }
 
-    this._save(projectName, data);
-    return { project: projectName, category: catName, imported, skipped };
+  // Adds and removes tags in a comma-separated tag field ('tags' unless
+  // given); the field is dropped when its last tag goes
+  bulkRetag(projectName, filter, { add = [], remove = [], field = 'tags' } = {}, { dryRun = false } = {}) {
+    const adding = parseTags(add.join(','));
+    const removing = parseTags(remove.join(','));
+    if (!adding.length && !removing.length) throw new Error('Nothing to change: give tags to add and/or remove');
+    if (STANDARD_META.includes(field) || field === 'id' || field === 'text') throw new Error(`"${field}" can't hold tags; use a custom field`);
+    return this._bulkSelect(projectName, filter, { dryRun, action: 'bulkRetag' }, (matches, data) => {
+      const edits = [];
+      for (const { chunk } of matches) {
+        const current = parseTags(fieldValue(chunk, field));
+        const tags = [...current.filter(t => !removing.includes(t)), ...adding.filter(t => !current.includes(t) && !removing.includes(t))];
+        if (tags.join(',') === current.join(',')) continue;
+        const edited = JSON.parse(JSON.stringify(chunk));
+        const others = (edited.customFields || []).filter(cf => cf.key !== field);
+        const existing = (edited.customFields || []).find(cf => cf.key === field);
+        if (!tags.length) edited.customFields = others;
+        else if (existing) existing.value = tags.join(', ');
+        else edited.customFields = [...others, { key: field, value: tags.join(', ') }];
+        edits.push({ chunk, edited });
+      }
+      const changes = [
+        adding.length && `added ${adding.join(', ')}`,
+        removing.length && `removed ${removing.join(', ')}`,
+      ].filter(Boolean).join(' and ');
+      return { field, ...this._applyEdits(data, edits, dryRun), summary: `Retagged ${plural(edits.length, 'chunk')}: ${changes}` };
+    });
   }
 
   // ---- BULK UPDATE METADATA ----
 
   bulkUpdateMetadata(projectName, field, value, categoryName) {
-    const data = this._load(projectName);
-    let updated = 0;
-    const cats = categoryName
-      ? [this._findCategory(data, categoryName)]
-      : data.categories;
-    for (const cat of cats) {
-      for (const ch of cat.chunks) {
-        if (STANDARD_META.includes(field)) {
-          ch.metadata[field] = value;
-        } else {
-          if (!ch.customFields) ch.customFields = [];
-          const existing = ch.customFields.find(cf => cf.key === field);
-          if (existing) { existing.value = value; }
-          else { ch.customFields.push({ key: field, value }); }
+    return this._withLock(projectName, () => {
+      const data = this._load(projectName);
+      const problem = data.metadataSchema && checkValue(data.metadataSchema, field, value);
+      if (problem) throw new Error(`Rejected by the metadata schema: ${problem}`);
+      let updated = 0;
+      const cats = categoryName
+        ? [this._findCategory(data, categoryName)]
+        : data.categories;
+      for (const cat of cats) {
+        for (const ch of cat.chunks) {
+          setField(ch, field, value);
+          updated++;
         }
-        updated++;
       }
-    }
-    this._save(projectName, data);
-    return { project: projectName, field, value, updated };
+      this._save(projectName, data);
+      this._commit(projectName, 'bulkUpdateMetadata', `Set '${field}' to '${value}' on ${plural(updated, 'chunk')}${categoryName ? ` in '${cats[0].name}'` : ''}`);
+      return { project: projectName, field, value, updated };
+    });
   }
 
   // ---- MERGE PROJECTS ----
 
-  mergeProjects(sourceName, targetName) {
-    const source = this._load(sourceName);
-    const target = this._load(targetName);
-    let categoriesMerged = 0, chunksAdded = 0, chunksSkipped = 0;
+  // Copies the source's categories (or only `categories`) into the target;
+  // chunks whose ID the target already has are resolved with `strategy`
+  // (see conflicts.js). keep_newer compares when each version last changed,
+  // from the `timestampField` date or else each project's history.
+  mergeProjects(sourceName, targetName, options = {}) {
+    const { strategy = 'skip', suffix, categories, dryRun = false, timestampField, limit } = options;
+    checkStrategy(strategy);
+    return this._withLock(targetName, () => {
+      const source = this._load(sourceName);
+      const target = dryRun ? JSON.parse(JSON.stringify(this._load(targetName))) : this._load(targetName);
+      let srcCats = source.categories;
+      if (categories?.length) {
+        srcCats = categories.map(name => {
+          const cat = source.categories.find(c => c.name.toLowerCase() === name.toLowerCase());
+          if (!cat) throw new Error(`Category "${name}" not found in project "${sourceName}"`);
+          return cat;
+        });
+      }
 
-    for (const srcCat of source.categories) {
-      let tgtCat = target.categories.find(c => c.name.toLowerCase() === srcCat.name.toLowerCase());
-      if (!tgtCat) {
-        tgtCat = { id: randomUUID(), name: srcCat.name, expanded: true, chunks: [] };
-        target.categories.push(tgtCat);
-        categoriesMerged++;
+      let categoriesMerged = 0;
+      const incoming = [];
+      for (const srcCat of srcCats) {
+        let tgtCat = target.categories.find(c => c.name.toLowerCase() === srcCat.name.toLowerCase());
+        if (!tgtCat) {
+          tgtCat = { id: randomUUID(), name: srcCat.name, expanded: true, chunks: [] };
+          target.categories.push(tgtCat);
+          categoriesMerged++;
+        }
+        for (const ch of srcCat.chunks) {
+          incoming.push({ chunk: { ...JSON.parse(JSON.stringify(ch)), _uid: randomUUID() }, category: tgtCat });
+        }
       }
-      for (const ch of srcCat.chunks) {
-        if (this._isIdTaken(target, ch.id)) { chunksSkipped++; continue; }
-        tgtCat.chunks.push({ ...JSON.parse(JSON.stringify(ch)), _uid: randomUUID() });
-        chunksAdded++;
+
+      const sourceTimes = strategy === 'keep_newer' ? this._chunkTimes(sourceName) : null;
+      const merge = this._mergeChunks(targetName, target, incoming, {
+        strategy, suffix, limit, timestampField,
+        incomingTime: (ch) => fieldTime(ch, timestampField) || sourceTimes?.get(ch.id) || null,
+      });
+      if (!dryRun) {
+        this._save(targetName, target);
+        this._commit(targetName, 'mergeProjects', `Merged ${plural(merge.added + merge.renamed, 'chunk')} from project '${sourceName}'${mergeNote(merge)}`);
       }
-    }
+      return {
+        source: sourceName, target: targetName, strategy, dryRun: dryRun || undefined,
+        categories: categories?.length ? srcCats.map(c => c.name) : undefined,
+        categoriesMerged, chunksAdded: merge.added + merge.renamed, chunksSkipped: merge.skipped,
+        chunksOverwritten: merge.overwritten || undefined, chunksRenamed: merge.renamed || undefined, chunksMerged: merge.merged || undefined,
+        invalid: merge.invalid.length || undefined, invalidDetails: merge.invalid.length ? merge.invalid.slice(0, 100) : undefined,
+        conflicts: merge.conflicts.length, conflictDetails: merge.conflicts.length ? merge.conflictDetails : undefined,
+      };
+    });
+  }
 
-    this._save(targetName, target);
-    return { source: sourceName, target: targetName, categoriesMerged, chunksAdded, chunksSkipped };
+  // Adds `incoming` ({ chunk, category } with fresh chunks) to `data`.
+  // New IDs are added to their category; an ID the project already has is a
+  // conflict, resolved with `strategy` and reported with both versions'
+  // differences (from = existing, to = incoming). An overwritten chunk moves
+  // to the incoming chunk's category. Every chunk written is checked against
+  // the metadata schema. Returns counts, `invalid` and
+  // `conflicts` (with the first `limit` as `conflictDetails`).
+  _mergeChunks(projectName, data, incoming, { strategy, suffix = DEFAULT_RENAME_SUFFIX, limit = 100, timestampField, incomingTime }) {
+    const counts = { added: 0, overwritten: 0, renamed: 0, merged: 0, skipped: 0 };
+    const invalid = [];
+    const conflicts = [];
+    const existing = new Map();
+    for (const cat of data.categories) for (const ch of cat.chunks) existing.set(ch.id, { ch, cat });
+    const times = strategy === 'keep_newer' ? this._chunkTimes(projectName) : null;
+
+    const write = (ch, apply) => {
+      const problems = checkChunk(data.metadataSchema, ch);
+      if (problems.length) { invalid.push({ id: ch.id, reason: problems.join('; ') }); return false; }
+      apply();
+      return true;
+    };
+
+    for (const { chunk, category } of incoming) {
+      const found = existing.get(chunk.id);
+      if (!found) {
+        if (write(chunk, () => category.chunks.push(chunk))) {
+          existing.set(chunk.id, { ch: chunk, cat: category });
+          counts.added++;
+        }
+        continue;
+      }
+
+      const differences = chunkChanges(found.ch, chunk);
+      const conflict = { id: chunk.id, category: found.cat.name, action: 'skipped' };
+      conflicts.push(conflict);
+      if (!Object.keys(differences).length) { conflict.reason = 'identical'; counts.skipped++; continue; }
+      conflict.differences = differences;
+      const rejected = () => { conflict.action = 'invalid'; };
+
+      let action = strategy === 'skip' ? 'skipped' : strategy;
+      if (strategy === 'keep_newer') {
+        conflict.existingTime = fieldTime(found.ch, timestampField) || times.get(chunk.id) || null;
+        conflict.incomingTime = incomingTime(chunk);
+        const newer = conflict.existingTime && conflict.incomingTime && Date.parse(conflict.incomingTime) > Date.parse(conflict.existingTime);
+        action = newer ? 'overwrite' : 'skipped';
+        if (!newer) conflict.reason = conflict.existingTime && conflict.incomingTime ? 'incoming version is not newer' : 'no time to compare';
+      }
+
+      if (action === 'overwrite') {
+        const replacement = { ...chunk, _uid: found.ch._uid };
+        const moved = found.cat !== category;
+        if (write(replacement, () => {
+          Object.assign(found.ch, replacement);
+          if (moved) {
+            found.cat.chunks.splice(found.cat.chunks.indexOf(found.ch), 1);
+            category.chunks.push(found.ch);
+            found.cat = category;
+          }
+        })) {
+          Object.assign(conflict, { action: 'overwritten', movedTo: moved ? category.name : undefined });
+          counts.overwritten++;
+        } else rejected();
+      } else if (action === 'rename') {
+        const renamed = { ...chunk, id: renamedId(chunk.id, suffix, (id) => existing.has(id)) };
+        if (write(renamed, () => category.chunks.push(renamed))) {
+          existing.set(renamed.id, { ch: renamed, cat: category });
+          Object.assign(conflict, { action: 'renamed', renamedTo: renamed.id });
+          counts.renamed++;
+        } else rejected();
+      } else if (action === 'merge_metadata') {
+        const edited = JSON.parse(JSON.stringify(found.ch));
+        const fields = mergeMissingMetadata(edited, chunk);
+        if (!fields.length) conflict.reason = 'no metadata to add';
+        else if (write(edited, () => Object.assign(found.ch, edited))) {
+          Object.assign(conflict, { action: 'merged', mergedFields: fields });
+          counts.merged++;
+        } else rejected();
+      }
+      if (conflict.action === 'skipped') counts.skipped++;
+    }
+    return { ...counts, invalid, conflicts, conflictDetails: conflicts.slice(0, limit) };
   }
 
   // ---- EXPORT CATEGORY ----
 
-  exportCategory(projectName, categoryName) {
-    const data = this._load(projectName);
-    const cat = this._findCategory(data, categoryName);
-    const flat = [];
-    for (const ch of cat.chunks) {
-      const entry = { id: ch.id, text: ch.text, metadata: { ...ch.metadata } };
-      if (ch.customFields) {
-        for (const cf of ch.customFields) {
-          if (cf.key && cf.key.trim()) entry.metadata[cf.key.trim()] = String(cf.value ?? '');
+  exportCategory(projectName, categoryName, options = {}) {
+    return this.exportRows(projectName, { ...options, category: categoryName }).map(r => r.entry);
+  }
+
+  // ---- BATCH ----
+
+  // Runs fn() with the project's writes going to one in-memory copy: the
+  // store methods it calls all load that copy, and their saves and history
+  // commits are held back. When fn returns the copy is saved once, with a
+  // single commit listing what was done; if it throws nothing is written.
+  // Returns { result, changes } where changes are the held-back summaries.
+  batch(projectName, fn) {
+    return this._withLock(projectName, () => {
+      if (this._batches.has(projectName)) throw new Error('Batches can\'t be nested');
+      const batch = { data: this._load(projectName), changes: [], dirty: false };
+      this._batches.set(projectName, batch);
+      let result;
+      try {
+        result = fn();
+      } finally {
+        this._batches.delete(projectName);
+      }
+      if (batch.dirty) this._save(projectName, batch.data);
+      if (batch.changes.length) {
+        const shown = batch.changes.slice(0, 3).join('; ');
+        const more = batch.changes.length > 3 ? `; and ${batch.changes.length - 3} more` : '';
+        this._commit(projectName, 'applyBatch', `Batch of ${plural(batch.changes.length, 'change')}: ${shown}${more}`);
+      }
+      return { result, changes: batch.changes };
+    });
+  }
+
+  // ---- STORAGE MIGRATION ----
+
+  // Copies every project and its history from one backend to another in the same
+  // DATA_DIR. The running server keeps using its configured backend; switch
+  // STORAGE_BACKEND afterwards to start using the migrated copy.
+  migrateStorage(to, { from, overwrite = false } = {}) {
+    const fromName = (from || this.storage.name).toLowerCase();
+    const toName = (to || '').toLowerCase();
+    if (!BACKENDS.includes(toName)) throw new Error(`Unknown storage backend "${to}". Use one of: ${BACKENDS.join(', ')}`);
+    if (fromName === toName) throw new Error(`Source and target backend are both "${toName}"`);
+
+    const source = fromName === this.storage.name ? this.storage : createStorage(fromName, this.dataDir);
+    const target = toName === this.storage.name ? this.storage : createStorage(toName, this.dataDir);
+    const migrated = [], skipped = [], failed = [];
+    try {
+      for (const name of source.listProjects()) {
+        try {
+          this._withLock(name, () => {
+            if (target.exists(name) && !overwrite) { skipped.push(name); return; }
+            const data = source.read(name);
+            if (!data) return;
+            target.write(name, data);
+            const history = source.readHistory(name);
+            if (history) target.writeHistory(name, history.format === HISTORY_FORMAT ? history : this._reencodeHistory(history));
+            migrated.push(name);
+          });
+        } catch (err) {
+          failed.push({ project: name, error: err.message });
         }
       }
-      flat.push(entry);
+    } finally {
+      if (source !== this.storage) source.close();
+      if (target !== this.storage) target.close();
     }
-    return flat;
+    return { from: fromName, to: toName, migrated, skipped, failed };
   }
 
   // ---- INTERNAL ----
 
   _load(name) {
-    const fp = this._filePath(name);
-    if (!existsSync(fp)) throw new Error(`Project "${name}" not found`);
-    return JSON.parse(readFileSync(fp, 'utf-8'));
+    const batch = this._batches.get(name);
+    if (batch) return batch.data;
+    const data = this.storage.read(name);
+    if (!data) throw new Error(`Project "${name}" not found`);
+    return data;
   }
 
+  // Must be called while holding the project lock. `data.revision` is the revision
+  // the caller loaded; if the file on disk has moved past it, someone else wrote
+  // the project in between and we refuse to overwrite their changes.
   _save(name, data) {
+    const batch = this._batches.get(name);
+    if (batch) { batch.dirty = true; return; }
+    const expected = data.revision || 0;
+    const stored = this.storage.revision(name) || 0;
+    if (stored !== expected) {
+      throw new Error(`Project "${name}" was modified by another process (revision ${stored}, expected ${expected}). Retry the operation.`);
+    }
+    data.revision = expected + 1;
+    this.storage.write(name, data);
+    // Keep an already-built search index current instead of rebuilding it on the next search
+    this._searchIndexes.get(name)?.sync(data);
+  }
+
+  // ---- LOCKING ----
+
+  _lockPath(name) {
+    return join(this.dataDir, `${name}.lock`);
+  }
+
+  // Runs fn while holding an exclusive cross-process lock on the project.
+  // Re-entrant within this Store, so e.g. importJSON may call createProject.
+  _withLock(name, fn) {
+    const held = this._locks.get(name) || 0;
+    if (!held) this._acquireLock(name);
+    this._locks.set(name, held + 1);
+    try {
+      return fn();
+    } finally {
+      if (held) {
+        this._locks.set(name, held);
+      } else {
+        this._locks.delete(name);
+        try { unlinkSync(this._lockPath(name)); } catch { /* already gone */ }
+      }
+    }
+  }
+
+  _acquireLock(name) {
     this._ensureDir();
-    writeFileSync(this._filePath(name), JSON.stringify(data, null, 2), 'utf-8');
+    const fp = this._lockPath(name);
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const fd = openSync(fp, 'wx');
+        writeSync(fd, JSON.stringify({ pid: process.pid, host: hostname(), acquiredAt: new Date().toISOString() }));
+        closeSync(fd);
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      if (isStaleLock(fp)) {
+        try { unlinkSync(fp); } catch { /* another process cleaned it up */ }
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Project "${name}" is locked by another process. If no other server is using ${this.dataDir}, delete ${fp}.`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
   }
 
   _findCategory(data, name) {
@@ -441,41 +1446,134 @@ export class Store {
   }
 
   // ---- HISTORY ----
-
-  _historyFilePath(name) {
-    return join(this.dataDir, `${name}.history.json`);
-  }
+  //
+  // Commits are stored newest-first. A commit either carries a full `snapshot`
+  // (a checkpoint) or a `patch` that turns the next-older commit's state into its
+  // own. Every chain ends in a checkpoint, and retention re-anchors the oldest
+  // kept commit as a checkpoint before dropping anything older.
 
   _loadHistory(name) {
-    const fp = this._historyFilePath(name);
-    if (!existsSync(fp)) return { project: name, commits: [] };
-    return JSON.parse(readFileSync(fp, 'utf-8'));
+    const history = this.storage.readHistory(name);
+    if (!history) return { project: name, format: HISTORY_FORMAT, commits: [] };
+    if (history.format !== HISTORY_FORMAT) return this._reencodeHistory(history);
+    return history;
   }
 
   _saveHistory(name, history) {
-    this._ensureDir();
-    writeFileSync(this._historyFilePath(name), JSON.stringify(history, null, 2), 'utf-8');
+    this.storage.writeHistory(name, history);
+  }
+
+  _snapshotAt(commits, idx) {
+    let j = idx;
+    while (j < commits.length && !commits[j].snapshot) j++;
+    if (j === commits.length) throw new Error('History is corrupt: no checkpoint found');
+    let state = JSON.parse(JSON.stringify(commits[j].snapshot));
+    for (let k = j - 1; k >= idx; k--) state = applyPatch(state, commits[k].patch);
+    return state;
+  }
+
+  // Chunk ID -> time of the last commit that changed its text or metadata,
+  // replaying the history oldest first. Chunks unchanged since the oldest
+  // retained commit get that commit's time.
+  _chunkTimes(name) {
+    const commits = this._loadHistory(name).commits;
+    const times = new Map();
+    const hashes = new Map();
+    let state = null;
+    for (let k = commits.length - 1; k >= 0; k--) {
+      const commit = commits[k];
+      if (commit.snapshot) state = JSON.parse(JSON.stringify(commit.snapshot));
+      else if (commit.patch) state = applyPatch(state, commit.patch);
+      for (const cat of state?.categories || []) {
+        for (const ch of cat.chunks) {
+          const hash = contentHash([ch.text, ch.metadata, ch.customFields || []]);
+          if (hashes.get(ch.id) === hash) continue;
+          hashes.set(ch.id, hash);
+          times.set(ch.id, commit.timestamp);
+        }
+      }
+    }
+    return times;
+  }
+
+  // `older` is the newest-first list of commits that precede this one.
+  _encodeCommit(meta, data, prevSnapshot, older) {
+    const commit = { ...meta };
+    const patch = prevSnapshot ? diffValue(prevSnapshot, data) : undefined;
+    const sinceCheckpoint = older.findIndex(c => c.snapshot);
+    const checkpoint = !prevSnapshot
+      || sinceCheckpoint === -1
+      || sinceCheckpoint + 1 >= this.historyOptions.checkpointInterval
+      || JSON.stringify(patch ?? null).length * 2 > JSON.stringify(data).length;
+    if (checkpoint) commit.snapshot = data;
+    else if (patch) commit.patch = patch;
+    return commit;
+  }
+
+  // Converts a legacy history file (a full snapshot in every commit) to the delta format.
+  _reencodeHistory(history) {
+    const old = history.commits || [];
+    const snapshots = old.map((_, i) => this._snapshotAt(old, i));
+    const commits = [];
+    for (let i = old.length - 1; i >= 0; i--) {
+      const { snapshot, patch, ...meta } = old[i];
+      const prev = i + 1 < old.length ? snapshots[i + 1] : null;
+      commits.unshift(this._encodeCommit(meta, snapshots[i], prev, commits));
+    }
+    return { project: history.project, format: HISTORY_FORMAT, commits };
+  }
+
+  _truncateHistory(commits, keep) {
+    if (keep >= commits.length) return;
+    const oldest = commits[keep - 1];
+    if (!oldest.snapshot) {
+      oldest.snapshot = this._snapshotAt(commits, keep - 1);
+      delete oldest.patch;
+    }
+    commits.length = keep;
+  }
+
+  _applyRetention(history) {
+    const { maxCommits, maxAgeDays, maxBytes } = this.historyOptions;
+    const commits = history.commits;
+    let keep = commits.length;
+    if (maxCommits > 0) keep = Math.min(keep, maxCommits);
+    if (maxAgeDays > 0) {
+      const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+      while (keep > 1 && Date.parse(commits[keep - 1].timestamp) < cutoff) keep--;
+    }
+    this._truncateHistory(commits, keep);
+
+    if (maxBytes > 0) {
+      const sizes = commits.map(c => JSON.stringify(c).length);
+      while (commits.length > 1 && sizes.reduce((a, b) => a + b, 0) > maxBytes) {
+        this._truncateHistory(commits, commits.length - 1);
+        sizes.pop();
+        sizes[sizes.length - 1] = JSON.stringify(commits[commits.length - 1]).length;
+      }
+    }
   }
 
   _commit(projectName, action, summary, source) {
+    const batch = this._batches.get(projectName);
+    if (batch) { batch.changes.push(summary); return; }
     try {
-      const data = this._load(projectName);
+      // The revision counter changes on every save; it is not part of the project state.
+      const { revision, ...data } = this._load(projectName);
       const history = this._loadHistory(projectName);
-      const newSnapshot = JSON.stringify(data);
-      // Skip if snapshot is identical to the last commit (no actual change)
-      if (history.commits.length > 0 && JSON.stringify(history.commits[0].snapshot) === newSnapshot) {
-        return;
-      }
+      const head = history.commits.length ? this._snapshotAt(history.commits, 0) : null;
+      // Skip if the project is identical to the last commit (no actual change)
+      if (head && !diffValue(head, data)) return;
       const totalChunks = data.categories.reduce((sum, c) => sum + c.chunks.length, 0);
-      history.commits.unshift({
+      const meta = {
         id: randomUUID(),
         timestamp: new Date().toISOString(),
         source: source || 'mcp',
         action, summary,
         stats: { categories: data.categories.length, chunks: totalChunks },
-        snapshot: JSON.parse(newSnapshot),
-      });
-      if (history.commits.length > MAX_HISTORY) history.commits.length = MAX_HISTORY;
+      };
+      history.commits.unshift(this._encodeCommit(meta, data, head, history.commits));
+      this._applyRetention(history);
       this._saveHistory(projectName, history);
     } catch { /* history logging should never break mutations */ }
   }
@@ -489,21 +1587,51 @@ export class Store {
   }
 
   getCommit(name, commitId) {
-    const history = this._loadHistory(name);
-    const idx = history.commits.findIndex(c => c.id === commitId);
+    const { commits } = this._loadHistory(name);
+    const idx = commits.findIndex(c => c.id === commitId);
     if (idx === -1) throw new Error('Commit not found');
-    const commit = history.commits[idx];
-    const prev = idx + 1 < history.commits.length ? history.commits[idx + 1].snapshot : null;
-    return { ...commit, prevSnapshot: prev };
+    const { snapshot, patch, ...meta } = commits[idx];
+    const prev = idx + 1 < commits.length ? this._snapshotAt(commits, idx + 1) : null;
+    const current = snapshot || applyPatch(JSON.parse(JSON.stringify(prev)), patch);
+    return { ...meta, snapshot: current, prevSnapshot: prev };
+  }
+
+  // Compares two commits, or a commit against the current project when `toId`
+  // is omitted or 'current'.
+  diffCommits(name, fromId, toId) {
+    const { commits } = this._loadHistory(name);
+    const resolve = (ref) => {
+      if (!ref || ref === 'current') return { ref: { commit: 'current' }, data: this._load(name) };
+      const idx = commits.findIndex(c => c.id === ref);
+      if (idx === -1) throw new Error(`Commit "${ref}" not found`);
+      const c = commits[idx];
+      return { ref: { commit: c.id, timestamp: c.timestamp, summary: c.summary }, data: this._snapshotAt(commits, idx) };
+    };
+    if (!fromId) throw new Error('A "from" commit ID is required');
+    const from = resolve(fromId);
+    const to = resolve(toId);
+    return { project: name, from: from.ref, to: to.ref, ...compareProjects(from.data, to.data) };
   }
 
   rollback(name, commitId, source) {
-    const history = this._loadHistory(name);
-    const commit = history.commits.find(c => c.id === commitId);
-    if (!commit) throw new Error('Commit not found');
-    this._save(name, commit.snapshot);
-    this._commit(name, 'rollback', `Rolled back to commit from ${commit.timestamp}`, source || 'mcp');
-    return this._load(name);
+    return this._withLock(name, () => {
+      const { commits } = this._loadHistory(name);
+      const idx = commits.findIndex(c => c.id === commitId);
+      if (idx === -1) throw new Error('Commit not found');
+      const commit = commits[idx];
+      const { revision } = this._load(name);
+      this._save(name, { ...this._snapshotAt(commits, idx), revision });
+      this._commit(name, 'rollback', `Rolled back to commit from ${commit.timestamp}`, source || 'mcp');
+      return this._load(name);
+    });
+  }
+
+  // Checks a chunk about to be written against the project's metadata schema
+  // (checkChunk also fills in defaults for its empty fields) and throws if it
+  // doesn't match
+  _enforceSchema(data, ch) {
+    const problems = checkChunk(data.metadataSchema, ch);
+    if (problems.length) throw new Error(`Chunk "${ch.id}" doesn't match the project's metadata schema: ${problems.join('; ')}`);
   }
 
   _parseCustomFields(metadata) {
@@ -0,0 +1,107 @@
+// HTML tables as data: expands a <table> into a rectangular grid (colspan and
+// rowspan cells repeated into every slot they cover) and reads header rows and
+// data rows off it. Works on parsed DOM nodes (cheerio / domhandler).
+
+export const TABLE_MODES = ['text', 'markdown', 'rows', 'skip'];
+
+function tagChildren(node, names) {
+  return (node.children || []).filter(c => c.type === 'tag' && names.includes(c.name));
+}
+
+function rowsOf(table) {
+  const rows = [];
+  for (const child of tagChildren(table, ['tr', 'thead', 'tbody', 'tfoot'])) {
+    if (child.name === 'tr') rows.push({ tr: child, head: false });
+    else for (const tr of tagChildren(child, ['tr'])) rows.push({ tr, head: child.name === 'thead' });
+  }
+  return rows;
+}
+
+function span(node, attr) {
+  const n = parseInt(node.attribs?.[attr], 10);
+  return n > 1 ? Math.min(n, 100) : 1;
+}
+
+// { caption, rows: [{ head, cells: [{ node, header, spanned }] }] }; `head`
+// marks rows in <thead>, `spanned` the copies of a colspan cell after its
+// first column. Every row has the same number of cells.
+export function tableGrid(table) {
+  const grid = [];
+  const pending = []; // column -> { cell, left } for rowspans still running
+  for (const { tr, head } of rowsOf(table)) {
+    const cells = [];
+    let col = 0;
+    const fillSpans = () => {
+      while (pending[col]?.left > 0) {
+        cells[col] = pending[col].cell;
+        pending[col].left--;
+        col++;
+      }
+    };
+    for (const td of tagChildren(tr, ['td', 'th'])) {
+      fillSpans();
+      const cell = { node: td, header: td.name === 'th' };
+      const rows = span(td, 'rowspan');
+      for (let k = 0; k < span(td, 'colspan'); k++, col++) {
+        cells[col] = k ? { ...cell, spanned: true } : cell;
+        pending[col] = { cell: cells[col], left: rows - 1 };
+      }
+    }
+    fillSpans();
+    for (let c = col; c < pending.length; c++) {
+      if (pending[c]?.left > 0) { cells[c] = pending[c].cell; pending[c].left--; }
+    }
+    if (cells.length) grid.push({ head, cells });
+  }
+  const width = Math.max(0, ...grid.map(r => r.cells.length));
+  for (const row of grid) {
+    for (let c = 0; c < width; c++) if (!row.cells[c]) row.cells[c] = { node: null, header: false };
+  }
+  const caption = tagChildren(table, ['caption'])[0] || null;
+  return { caption, rows: grid };
+}
+
+// Leading rows that are all header cells (or in <thead>)
+export function headerRowCount(grid) {
+  let n = 0;
+  while (n < grid.rows.length && (grid.rows[n].head || grid.rows[n].cells.every(c => c.header || !c.node))) n++;
+  return n;
+}
+
+// One label per column from the first `headRows` rows, stacked headers joined
+// with " / " ("Quantity / Normal")
+export function columnLabels(grid, headRows, text) {
+  const width = grid.rows[0]?.cells.length || 0;
+  return Array.from({ length: width }, (_, c) => {
+    const parts = [];
+    for (let r = 0; r < headRows; r++) {
+      const value = grid.rows[r].cells[c].node ? text(grid.rows[r].cells[c].node) : '';
+      if (value && parts[parts.length - 1] !== value) parts.push(value);
+    }
+    return parts.join(' / ');
+  });
+}
+
+// Column names and data rows of a grid. `text(node)` returns a cell's text.
+// Returns null for tables without a header row or with fewer than two columns
+// (layout and key/value tables).
+export function tableRecords(grid, text) {
+  const { rows } = grid;
+  const headRows = headerRowCount(grid);
+  const width = rows[0]?.cells.length || 0;
+  if (!headRows || headRows === rows.length || width < 2) return null;
+
+  const headers = [];
+  columnLabels(grid, headRows, text).forEach((label, c) => {
+    let name = label || `column_${c + 1}`;
+    for (let n = 2; headers.includes(name); n++) name = `${label || `column_${c + 1}`} ${n}`;
+    headers.push(name);
+  });
+
+  const records = rows.slice(headRows)
+    .map(row => row.cells.map(cell => (cell.node ? text(cell.node) : '')))
+    // A row whose cells all carry the same text is one cell spanning the
+    // table (a sub-heading inside it), not data
+    .filter(values => values.some(Boolean) && !values.every(v => v === values[0]));
+  return { headers, rows: records };
+}
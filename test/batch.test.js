@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Store } from '../lib/store.js';
+
+function tempStore(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = new Store(dir);
+  store.createProject('p');
+  store.createCategory('p', 'Mobs');
+  store.addChunk('p', 'Mobs', { id: 'creeper', text: 'Explodes.' });
+  return { dir, store };
+}
+
+test('batch saves all operations once with a single history commit', (t) => {
+  const { store } = tempStore(t);
+  const commits = store.getHistory('p').length;
+  const { revision } = store._load('p');
+
+  const { result, changes } = store.batch('p', () => {
+    store.createCategory('p', 'Blocks');
+    store.addChunk('p', 'Blocks', { id: 'tnt', text: 'Explodes too.' });
+    store.moveChunk('p', 'creeper', 'Blocks');
+    // Later operations see the earlier ones
+    return store.getChunk('p', 'creeper').category;
+  });
+
+  assert.equal(result, 'Blocks');
+  assert.equal(changes.length, 3);
+  assert.deepEqual(store.listCategories('p'), [{ name: 'Mobs', chunks: 0 }, { name: 'Blocks', chunks: 2 }]);
+  assert.equal(store._load('p').revision, revision + 1);
+  const history = store.getHistory('p');
+  assert.equal(history.length, commits + 1);
+  assert.equal(history[0].action, 'applyBatch');
+  assert.match(history[0].summary, /^Batch of 3 changes: /);
+});
+
+test('a failing batch saves nothing and leaves no commit', (t) => {
+  const { dir, store } = tempStore(t);
+  const before = store._load('p');
+  const commits = store.getHistory('p').length;
+
+  assert.throws(() => store.batch('p', () => {
+    store.createCategory('p', 'Blocks');
+    store.updateChunk('p', 'creeper', { text: 'Changed.' });
+    store.moveChunk('p', 'desert', 'Blocks');
+  }), /Chunk "desert" not found/);
+
+  assert.deepEqual(store._load('p'), before);
+  assert.equal(store.getChunk('p', 'creeper').text, 'Explodes.');
+  assert.equal(store.getHistory('p').length, commits);
+  assert.equal(existsSync(join(dir, 'p.lock')), false);
+  // The store works normally afterwards
+  store.createCategory('p', 'Blocks');
+  assert.equal(store.listCategories('p').length, 2);
+});
+
+test('batches cannot be nested and a batch without changes writes nothing', (t) => {
+  const { store } = tempStore(t);
+  assert.throws(() => store.batch('p', () => store.batch('p', () => {})), /can't be nested/);
+
+  const { revision } = store._load('p');
+  const commits = store.getHistory('p').length;
+  const { result, changes } = store.batch('p', () => store.getChunk('p', 'creeper').text);
+  assert.equal(result, 'Explodes.');
+  assert.deepEqual(changes, []);
+  assert.equal(store._load('p').revision, revision);
+  assert.equal(store.getHistory('p').length, commits);
+});
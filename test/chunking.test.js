@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, estimateTokens } from '../lib/chunking.js';
+
+test('tokens unit: runs of punctuation are cut within the budget', () => {
+  const texts = [
+    `See https://example.com/a/b?c=d&e=0&${'x=1&'.repeat(800)} for details.`,
+    `Intro\n${'-'.repeat(3000)}`,
+  ];
+  for (const text of texts) {
+    const chunks = chunkText(text, 'page', { unit: 'tokens' });
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) assert.ok(estimateTokens(chunk.text) <= 500, `${chunk.id}: ${estimateTokens(chunk.text)} tokens`);
+    assert.equal(chunks.map(c => c.text).join('').replace(/\s/g, ''), text.replace(/\s/g, ''));
+  }
+});
+
+test('tokens unit with overlap: an oversized piece after overlap still makes progress', () => {
+  const text = `${'Word '.repeat(300)}\n${'='.repeat(2000)}\n${'More words here. '.repeat(100)}`;
+  const chunks = chunkText(text, 'page', { unit: 'tokens', size: 200, overlap: 50 });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(estimateTokens(chunk.text) <= 200);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawl, urlToChunkId } from '../lib/crawl.js';
+
+test('urlToChunkId keeps a raw % in the path', () => {
+  assert.equal(urlToChunkId('https://minecraft.wiki/w/100%_Pure'), '100_pure');
+  assert.equal(urlToChunkId('https://minecraft.wiki/w/Iron%20Golem'), 'iron_golem');
+});
+
+test('crawl follows links with a raw % in the path', async () => {
+  const pages = {
+    'https://wiki.test/w/Start': '<a href="/w/100%_Pure">x</a>',
+    'https://wiki.test/w/100%_Pure': 'pure',
+  };
+  const visited = [];
+  await crawl({ seeds: ['https://wiki.test/w/Start'], respectRobots: false, delayMs: 0 }, {
+    fetchText: async (url) => ({ text: pages[url], contentType: 'text/html' }),
+    visit: async (url, html) => { visited.push(url); return [...html.matchAll(/href="([^"]+)"/g)].map(m => m[1]); },
+  });
+  assert.deepEqual(visited, ['https://wiki.test/w/Start', 'https://wiki.test/w/100%_Pure']);
+});
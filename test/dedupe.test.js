@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findClusters } from '../lib/dedupe.js';
+
+const words = (from, to) => Array.from({ length: to - from }, (_, i) => `word${from + i}`).join(' ');
+const project = (...texts) => ({
+  categories: [{ name: 'A', chunks: texts.map((text, i) => ({ id: `c${i}`, text, metadata: {} })) }],
+});
+
+test('pairs at a low threshold are found', () => {
+  // 38 of 98 shingles shared: Jaccard ~0.39
+  const pairs = Array.from({ length: 20 }, (_, n) => project(words(n * 1000, n * 1000 + 70), words(n * 1000 + 30, n * 1000 + 100)));
+  for (const p of pairs) assert.equal(findClusters(p, { threshold: 0.35 }).length, 1);
+  assert.equal(findClusters(project(words(0, 50), words(1000, 1050)), { threshold: 0 }).length, 1);
+});
+
+test('threshold must be a number between 0 and 1', () => {
+  for (const threshold of [-0.1, 1.5, '0.8', null, NaN]) {
+    assert.throws(() => findClusters(project('a b c'), { threshold }), /threshold must be a number between 0 and 1/);
+  }
+});
+
+test('banded candidates find the same clusters as comparing every pair', () => {
+  // Variations of a few base texts: each drops a different run of words
+  const texts = [];
+  for (let base = 0; base < 5; base++) {
+    for (let v = 0; v < 8; v++) texts.push(`${words(base * 1000, base * 1000 + 5 * v)} ${words(base * 1000 + 5 * v + 5, base * 1000 + 60)}`);
+  }
+  const data = project(...texts);
+  const clusterIds = (threshold) => findClusters(data, { threshold }).map(c => c.map(e => e.chunk.id).sort().join(',')).sort();
+  for (const threshold of [0.3, 0.5, 0.8]) {
+    // Brute force: union every pair at or above the threshold
+    const sets = data.categories[0].chunks.map(ch => new Set(ch.text.split(' ').map((_, i, w) => w.slice(i, i + 3).join(' ')).slice(0, -2)));
+    const parent = sets.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < sets.length; i++) {
+      for (let j = i + 1; j < sets.length; j++) {
+        const inter = [...sets[i]].filter(x => sets[j].has(x)).length;
+        if (inter / (sets[i].size + sets[j].size - inter) >= threshold) parent[find(i)] = find(j);
+      }
+    }
+    const groups = new Map();
+    sets.forEach((_, i) => groups.set(find(i), [...(groups.get(find(i)) || []), `c${i}`]));
+    const expected = [...groups.values()].filter(g => g.length > 1).map(g => g.sort().join(',')).sort();
+    assert.ok(expected.length);
+    assert.deepEqual(clusterIds(threshold), expected);
+  }
+});
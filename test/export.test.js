@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportRows, renderExport, writeExport } from '../lib/export.js';
+
+const META = { page_title: 'Creeper', source: 'https://wiki.example/Creeper', license: 'CC BY-SA 4.0' };
+
+function project(customFields, categories = ['Mobs']) {
+  return {
+    categories: categories.map((name, i) => ({
+      name,
+      chunks: [{ _uid: `u${i}`, id: `creeper_${i}`, text: 'Explodes.', metadata: { ...META }, customFields }],
+    })),
+  };
+}
+
+test('csv keeps id and text columns when custom fields use those names', () => {
+  const rows = exportRows(project([{ key: 'id', value: 'wiki-42' }, { key: 'text', value: 'alt' }, { key: 'id_field', value: 'x' }]));
+  const result = renderExport('csv', rows);
+  assert.deepEqual(result.renamedFields, { id: 'id_field_field', text: 'text_field' });
+  const [header, row] = result.content.trim().split('\r\n');
+  assert.equal(header, 'id,text,page_title,source,license,id_field_field,text_field,id_field');
+  assert.equal(row, 'creeper_0,Explodes.,Creeper,https://wiki.example/Creeper,CC BY-SA 4.0,wiki-42,alt,x');
+});
+
+test('qdrant, langchain and chroma namespace custom fields named like their own keys', () => {
+  const rows = exportRows(project([
+    { key: 'document', value: 'doc' }, { key: 'chunk_id', value: 'c' }, { key: 'id', value: 'i' }, { key: 'chroma:document', value: 'd' },
+  ]));
+
+  const qdrant = renderExport('qdrant', rows);
+  const { payload } = qdrant.data.points[0];
+  assert.equal(payload.chunk_id, 'creeper_0');
+  assert.equal(payload.document, 'Explodes.');
+  assert.equal(payload.document_field, 'doc');
+  assert.equal(payload.chunk_id_field, 'c');
+  assert.deepEqual(qdrant.renamedFields, { chunk_id: 'chunk_id_field', document: 'document_field' });
+
+  const langchain = renderExport('langchain', rows);
+  assert.equal(langchain.data[0].metadata.id, 'creeper_0');
+  assert.equal(langchain.data[0].metadata.id_field, 'i');
+
+  const chroma = renderExport('chroma', rows);
+  assert.equal(chroma.data.metadatas[0]['chroma:document'], undefined);
+  assert.equal(chroma.data.metadatas[0]['chroma:document_field'], 'd');
+  assert.equal(chroma.data.metadatas[0].id, 'i');
+
+  assert.equal(renderExport('json', rows).renamedFields, undefined);
+});
+
+test('include_category keeps a custom category field', () => {
+  const rows = exportRows(project([{ key: 'category', value: 'hostile' }]), { includeCategory: true });
+  assert.equal(rows[0].entry.metadata.category, 'Mobs');
+  assert.equal(rows[0].entry.metadata.category_field, 'hostile');
+});
+
+test('markdown bundles give categories with the same file-safe name distinct files', (t) => {
+  const rows = exportRows(project([], ['Mobs/Hostile', 'Mobs_Hostile', 'mobs?hostile']));
+  assert.deepEqual(Object.keys(renderExport('markdown', rows).files), ['Mobs_Hostile.md', 'Mobs_Hostile_2.md', 'mobs_hostile_3.md']);
+
+  const dir = mkdtempSync(join(tmpdir(), 'export-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const result = writeExport('markdown', rows, join(dir, 'p'));
+  assert.equal(result.files.length, 3);
+  assert.equal(readdirSync(result.savedTo).length, 3);
+});
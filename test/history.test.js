@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Store } from '../lib/store.js';
+
+function tempStore(t, history) {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = new Store(dir, { history });
+  store.createProject('p');
+  store.createCategory('p', 'Mobs');
+  store.addChunk('p', 'Mobs', { id: 'creeper', text: 'v0' });
+  // Enough other content that a one-chunk edit is stored as a patch
+  store.bulkAddChunks('p', 'Mobs', ['zombie', 'skeleton', 'spider', 'enderman'].map(id => ({ id, text: `The ${id} is a mob. `.repeat(20) })));
+  return store;
+}
+
+// Edits the creeper chunk `n` times (text v1..vn); the commits are newest-first
+function edit(store, n) {
+  for (let i = 1; i <= n; i++) store.updateChunk('p', 'creeper', { text: `v${i}` });
+}
+
+const textAt = (snapshot) => snapshot.categories[0].chunks[0].text;
+
+test('commits between checkpoints are stored as patches', (t) => {
+  const store = tempStore(t, { checkpointInterval: 4 });
+  edit(store, 6);
+  const { commits } = store.storage.readHistory('p');
+  assert.equal(commits.length, 10);
+  // Oldest first, the six edits after the bulk add (a checkpoint): a
+  // checkpoint every fourth commit, patches in between
+  assert.deepEqual(commits.slice(0, 6).map(c => (c.snapshot ? 'S' : 'P')).reverse().join(''), 'PPPSPP');
+  assert.ok(commits.filter(c => c.patch).every(c => JSON.stringify(c.patch).length < 200));
+});
+
+test('getCommit reconstructs snapshot and prevSnapshot from patches', (t) => {
+  const store = tempStore(t, { checkpointInterval: 4 });
+  edit(store, 6);
+  const history = store.getHistory('p');
+  for (let i = 0; i < 6; i++) {
+    const commit = store.getCommit('p', history[i].id);
+    assert.equal(textAt(commit.snapshot), `v${6 - i}`);
+    assert.equal(textAt(commit.prevSnapshot), `v${5 - i}`);
+  }
+  assert.equal(store.getCommit('p', history.at(-1).id).prevSnapshot, null);
+});
+
+test('rollback restores the project as it was at a commit', (t) => {
+  const store = tempStore(t, { checkpointInterval: 4 });
+  edit(store, 6);
+  const target = store.getHistory('p')[4]; // the edit to v2
+  store.rollback('p', target.id);
+
+  assert.equal(store.getChunk('p', 'creeper').text, 'v2');
+  const [latest] = store.getHistory('p');
+  assert.equal(latest.action, 'rollback');
+  assert.equal(textAt(store.getCommit('p', latest.id).prevSnapshot), 'v6');
+  assert.throws(() => store.rollback('p', 'no-such-commit'), /Commit not found/);
+});
+
+test('retention by count keeps the newest commits and can roll back to the oldest one kept', (t) => {
+  const store = tempStore(t, { maxCommits: 3, checkpointInterval: 10 });
+  edit(store, 6);
+  const history = store.getHistory('p');
+  assert.deepEqual(history.map(c => c.summary), Array(3).fill("Updated chunk 'creeper' in 'Mobs'"));
+
+  const { commits } = store.storage.readHistory('p');
+  assert.ok(commits.at(-1).snapshot, 'the oldest kept commit is re-anchored as a checkpoint');
+  store.rollback('p', history.at(-1).id);
+  assert.equal(store.getChunk('p', 'creeper').text, 'v4');
+});
+
+test('retention by size drops the oldest commits', (t) => {
+  const store = tempStore(t, { maxCommits: 0, maxBytes: 8000 });
+  for (let i = 1; i <= 10; i++) store.updateChunk('p', 'creeper', { text: `${i}`.repeat(400) });
+  const { commits } = store.storage.readHistory('p');
+  assert.ok(commits.length < 14);
+  assert.ok(commits.length > 1);
+  assert.ok(commits.reduce((sum, c) => sum + JSON.stringify(c).length, 0) <= 8000);
+  assert.equal(textAt(store.getCommit('p', commits[0].id).snapshot), '10'.repeat(400));
+});
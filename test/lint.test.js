@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixText, lintProject } from '../lib/lint.js';
+
+test('fixText leaves code alone', () => {
+  const code = 'const first = items[0];\nconst b = grid[i][j];';
+  assert.equal(fixText(code), code);
+  assert.equal(fixText(`Arrays:\n\n\`\`\`js\n${code}\n\`\`\``), `Arrays:\n\n\`\`\`js\n${code}\n\`\`\``);
+  assert.equal(fixText('Use `items[0]` here.[1]\n\n    x = a[2]'), 'Use `items[0]` here.\n\n    x = a[2]');
+});
+
+test('fixText strips markers and chrome lines in prose', () => {
+  assert.equal(fixText('Creepers explode.[1][citation needed]\n[edit]\nJump to navigation\nThey hiss.'), 'Creepers explode.\nThey hiss.');
+});
+
+test('single-word lines are reported but not removed', () => {
+  const text = 'Chapter one ends here and the story continues.\nNext\nContents\nPrint';
+  assert.equal(fixText(text), text);
+  const project = { categories: [{ name: 'Book', chunks: [{ id: 'one', text, metadata: { source: 's', page_title: 't' } }] }] };
+  const report = lintProject(project, { rules: ['scrape_junk'] });
+  assert.equal(report.details[0].rule, 'scrape_junk');
+  assert.equal(report.details[0].fixable, false);
+  assert.equal(report.fixableChunks, 0);
+});
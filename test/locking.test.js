@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync, existsSync } from 'fs';
+import { tmpdir, hostname } from 'os';
+import { join } from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { Store } from '../lib/store.js';
+import { BACKENDS } from '../lib/storage/index.js';
+
+const STORE_URL = new URL('../lib/store.js', import.meta.url).href;
+
+function tempStore(t, backend) {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  const store = new Store(dir, { backend });
+  t.after(() => {
+    store.storage.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+  store.createProject('p');
+  store.createCategory('p', 'Mobs');
+  return { dir, store };
+}
+
+// Adds `count` chunks to project p from a separate Node process
+function writer(dir, backend, name, count) {
+  const script = `
+    import { Store } from ${JSON.stringify(STORE_URL)};
+    const store = new Store(${JSON.stringify(dir)}, { backend: ${JSON.stringify(backend)} });
+    for (let i = 0; i < ${count}; i++) store.addChunk('p', 'Mobs', { id: '${name}_' + i, text: 'x' });
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (d) => { stderr += d; });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`writer ${name} exited with ${code}: ${stderr}`))));
+  });
+}
+
+for (const backend of BACKENDS) {
+  test(`${backend}: concurrent writers in separate processes don't lose chunks`, { timeout: 60_000 }, async (t) => {
+    const { dir, store } = tempStore(t, backend);
+    await Promise.all(['a', 'b', 'c'].map(name => writer(dir, backend, name, 15)));
+
+    assert.deepEqual(store.listCategories('p'), [{ name: 'Mobs', chunks: 45 }]);
+    assert.equal(existsSync(join(dir, 'p.lock')), false);
+    assert.deepEqual(readdirSync(dir).filter(f => f.endsWith('.tmp')), []);
+  });
+
+  test(`${backend}: saving over a newer revision fails instead of losing it`, (t) => {
+    const { dir, store } = tempStore(t, backend);
+    const other = new Store(dir, { backend });
+    t.after(() => other.storage.close());
+
+    const stale = store._load('p');
+    other.addChunk('p', 'Mobs', { id: 'creeper', text: 'Boom' });
+    stale.categories[0].chunks.push({ _uid: 'u1', id: 'zombie', text: 'Groan', metadata: {}, customFields: [] });
+    assert.throws(() => store._save('p', stale), /modified by another process/);
+    assert.deepEqual(store.listCategories('p'), [{ name: 'Mobs', chunks: 1 }]);
+    assert.equal(store.getChunk('p', 'creeper').text, 'Boom');
+  });
+}
+
+test('a lock left behind by a dead process is taken over', (t) => {
+  const { dir, store } = tempStore(t);
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  writeFileSync(join(dir, 'p.lock'), JSON.stringify({ pid, host: hostname(), acquiredAt: new Date().toISOString() }));
+
+  store.addChunk('p', 'Mobs', { id: 'creeper', text: 'Boom' });
+  assert.equal(store.getChunk('p', 'creeper').text, 'Boom');
+  assert.equal(existsSync(join(dir, 'p.lock')), false);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MediaWikiClient, resolveApi, infoboxFields, wikitextToPlain } from '../lib/mediawiki.js';
+
+const API = 'https://wiki.test/w/api.php';
+
+// A fake api.php: answers from `handlers` keyed by action / list / prop
+function fakeWiki(handlers) {
+  const calls = [];
+  const fetchJson = async (url) => {
+    const u = new URL(url);
+    const q = Object.fromEntries(u.searchParams);
+    calls.push(q);
+    if (u.origin + u.pathname !== API) throw new Error('404');
+    if (q.meta === 'siteinfo') {
+      return { query: { general: { sitename: 'Test Wiki', server: '//wiki.test', articlepath: '/w/$1' }, rightsinfo: { text: 'CC BY-SA 4.0' }, namespaces: { 14: { name: 'Category' } } } };
+    }
+    const handler = handlers[q.list] || handlers[q.prop] || handlers[q.action];
+    return handler(q);
+  };
+  return { client: new MediaWikiClient(API, fetchJson), fetchJson, calls };
+}
+
+test('titleFrom turns page URLs into titles', async () => {
+  const { client } = fakeWiki({});
+  assert.equal(await client.titleFrom('https://wiki.test/w/Iron_Golem'), 'Iron Golem');
+  assert.equal(await client.titleFrom('https://wiki.test/w/Caf%C3%A9'), 'Café');
+  assert.equal(await client.titleFrom('https://wiki.test/index.php?title=Zombie_Villager'), 'Zombie Villager');
+  assert.equal(await client.titleFrom('  Creeper '), 'Creeper');
+});
+
+test('titleFrom keeps a malformed % escape as it is', async () => {
+  const { client } = fakeWiki({});
+  assert.equal(await client.titleFrom('https://wiki.test/w/100%_Pure'), '100% Pure');
+});
+
+test('resolveApi finds api.php from any page URL', async () => {
+  const { fetchJson } = fakeWiki({});
+  assert.equal(await resolveApi('https://wiki.test/w/Creeper', fetchJson), API);
+  await assert.rejects(resolveApi('https://other.test/page', async () => { throw new Error('404'); }), /No MediaWiki API found/);
+});
+
+test('categoryMembers descends into subcategories up to the depth', async () => {
+  const members = {
+    'Category:Mobs': [{ ns: 0, title: 'Creeper' }, { ns: 14, title: 'Category:Undead' }],
+    'Category:Undead': [{ ns: 0, title: 'Zombie' }, { ns: 14, title: 'Category:Mobs' }],
+  };
+  const { client } = fakeWiki({ categorymembers: (q) => ({ query: { categorymembers: members[q.cmtitle] } }) });
+  assert.deepEqual(await client.categoryMembers('Mobs'), ['Creeper']);
+  assert.deepEqual(await client.categoryMembers('Mobs', { depth: 3 }), ['Creeper', 'Zombie']);
+});
+
+test('pageInfo follows redirects and flags missing pages', async () => {
+  const { client } = fakeWiki({
+    'info|revisions': () => ({
+      query: {
+        redirects: [{ from: 'Creepers', to: 'Creeper' }],
+        pages: [{ title: 'Creeper', fullurl: 'https://wiki.test/w/Creeper', revisions: [{ revid: 7, timestamp: '2026-01-01T00:00:00Z' }] }, { title: 'Nope', missing: true }],
+      },
+    }),
+  });
+  const info = await client.pageInfo(['Creepers', 'Nope']);
+  assert.deepEqual(info.get('Creepers'), { title: 'Creeper', url: 'https://wiki.test/w/Creeper', revid: 7, timestamp: '2026-01-01T00:00:00Z' });
+  assert.equal(info.get('Nope').missing, true);
+});
+
+test('API errors are raised with their code', async () => {
+  const { client } = fakeWiki({ parse: () => ({ error: { code: 'missingtitle', info: "The page you specified doesn't exist." } }) });
+  await assert.rejects(client.parse('Nope'), /MediaWiki API error \(missingtitle\)/);
+});
+
+test('infoboxFields reads infobox parameters as plain text', () => {
+  const wikitext = "{{Infobox mob\n| health = {{hp|20}}\n| behavior = [[Hostile]]<ref>x</ref>\n| image = [[File:Creeper.png]]\n}}\n{{Other|a=b}}";
+  const fields = infoboxFields(wikitext, name => /infobox/i.test(name));
+  assert.deepEqual({ ...fields }, { health: '20', behavior: 'Hostile' });
+  assert.equal(wikitextToPlain("'''Bold''' [https://x.test link] a<br>b"), 'Bold link a, b');
+});
+
+test('infoboxFields keeps keys named like Object.prototype members', () => {
+  const fields = infoboxFields('{{Infobox\n| constructor = Notch\n| toString = x\n| __proto__ = y\n}}', () => true);
+  assert.equal(fields.constructor, 'Notch');
+  assert.equal(fields.toString, 'x');
+  assert.ok(Object.hasOwn(fields, '__proto__'));
+  assert.deepEqual(Object.keys(fields), ['constructor', 'toString', '__proto__']);
+});
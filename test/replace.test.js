@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Store } from '../lib/store.js';
+import { compileReplace } from '../lib/replace.js';
+import { fieldValue } from '../lib/select.js';
+
+function tempStore(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = new Store(dir);
+  store.createProject('p');
+  store.createCategory('p', 'Mobs');
+  store.createCategory('p', 'Blocks');
+  store.bulkAddChunks('p', 'Mobs', [
+    { id: 'creeper', text: 'The Creeper explodes.[edit] Creepers drop gunpowder.[edit]', metadata: { page_title: 'Creeper', health: '20 HP' } },
+    { id: 'zombie', text: 'The Zombie groans.[edit]', metadata: { page_title: 'Zombie', health: '20 HP' } },
+  ]);
+  store.bulkAddChunks('p', 'Blocks', [
+    { id: 'tnt', text: 'TNT explodes.[edit]', metadata: { page_title: 'TNT' } },
+  ]);
+  return store;
+}
+
+test('compileReplace treats find literally unless regex is set', () => {
+  assert.deepEqual(compileReplace({ find: 'a.c', replace: 'x' })('abc a.c'), { value: 'abc x', count: 1 });
+  assert.deepEqual(compileReplace({ find: 'a.c', replace: 'x', regex: true })('abc a.c'), { value: 'x x', count: 2 });
+  // Literal replacements don't expand $ patterns
+  assert.equal(compileReplace({ find: 'cost', replace: '$1' })('cost').value, '$1');
+});
+
+test('compileReplace expands capture groups and honours case and whole-word options', () => {
+  const swap = compileReplace({ find: '(\\w+), (\\w+)', replace: '$2 $1', regex: true });
+  assert.equal(swap('Steve, Alex').value, 'Alex Steve');
+  const named = compileReplace({ find: '(?<n>\\d+) HP', replace: '$<n>', regex: true });
+  assert.equal(named('20 HP').value, '20');
+
+  assert.equal(compileReplace({ find: 'creeper', replace: 'X' })('Creeper creeper').value, 'Creeper X');
+  assert.equal(compileReplace({ find: 'creeper', replace: 'X', caseSensitive: false })('Creeper creeper').value, 'X X');
+  assert.equal(compileReplace({ find: 'creep', replace: 'X', wholeWord: true })('creep creeper').value, 'X creeper');
+
+  assert.throws(() => compileReplace({ find: '(', regex: true }), /Invalid regular expression/);
+  assert.throws(() => compileReplace({ find: '' }), /"find" must be a non-empty string/);
+});
+
+test('find_replace dry run previews changes without saving', (t) => {
+  const store = tempStore(t);
+  const commits = store.getHistory('p').length;
+  const result = store.findReplace('p', { find: '[edit]', replace: '', dryRun: true });
+
+  assert.equal(result.dryRun, true);
+  assert.equal(result.checked, 3);
+  assert.equal(result.matched, 3);
+  assert.equal(result.replacements, 4);
+  assert.deepEqual(result.preview.map(p => p.id), ['creeper', 'zombie', 'tnt']);
+  assert.equal(result.preview[1].after, 'The Zombie groans.');
+  assert.equal(store.getChunk('p', 'zombie').text, 'The Zombie groans.[edit]');
+  assert.equal(store.getHistory('p').length, commits);
+});
+
+test('find_replace applies every change in a single commit', (t) => {
+  const store = tempStore(t);
+  const commits = store.getHistory('p').length;
+  const result = store.findReplace('p', { find: '\\[edit\\]', replace: '', regex: true });
+
+  assert.equal(result.matched, 3);
+  assert.equal(store.getChunk('p', 'creeper').text, 'The Creeper explodes. Creepers drop gunpowder.');
+  assert.equal(store.getChunk('p', 'tnt').text, 'TNT explodes.');
+  const history = store.getHistory('p');
+  assert.equal(history.length, commits + 1);
+  assert.equal(history[0].action, 'findReplace');
+});
+
+test('find_replace is limited to the category, ID patterns and filter given', (t) => {
+  const store = tempStore(t);
+  assert.deepEqual(store.findReplace('p', { find: 'explodes', replace: 'blows up', category: 'Blocks' }).preview.map(p => p.id), ['tnt']);
+  assert.deepEqual(store.findReplace('p', { find: '[edit]', replace: '', ids: ['z*'] }).preview.map(p => p.id), ['zombie']);
+  assert.deepEqual(store.findReplace('p', { find: '[edit]', replace: '', filter: { text: 'gunpowder' } }).preview.map(p => p.id), ['creeper']);
+  assert.equal(store.getChunk('p', 'creeper').text, 'The Creeper explodes. Creepers drop gunpowder.');
+  assert.equal(store.getChunk('p', 'tnt').text, 'TNT blows up.[edit]');
+  assert.throws(() => store.findReplace('p', { find: 'x', category: 'Biomes' }), /Category "Biomes" not found/);
+});
+
+test('find_replace edits custom fields and IDs, rejecting clashes and schema violations', (t) => {
+  const store = tempStore(t);
+  store.setMetadataSchema('p', { fields: { health: { type: 'integer' } } });
+
+  const health = store.findReplace('p', { field: 'health', find: '(\\d+) HP', replace: '$1', regex: true, ids: ['creeper'] });
+  assert.equal(health.matched, 1);
+  assert.equal(fieldValue(store.getChunk('p', 'creeper'), 'health'), '20');
+  const bad = store.findReplace('p', { field: 'health', find: ' HP', replace: ' hearts', ids: ['zombie'] });
+  assert.equal(bad.matched, 0);
+  assert.match(bad.errorDetails[0].reason, /Metadata schema: health: expected an integer/);
+  assert.equal(fieldValue(store.getChunk('p', 'zombie'), 'health'), '20 HP');
+
+  const ids = store.findReplace('p', { field: 'id', find: '^(creeper|zombie)$', replace: 'mob', regex: true });
+  assert.deepEqual(ids.preview.map(p => p.after), ['mob']);
+  assert.deepEqual(ids.errorDetails, [{ id: 'zombie', reason: 'ID "mob" already exists' }]);
+  assert.equal(store.getChunk('p', 'mob').text.startsWith('The Creeper'), true);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Store } from '../lib/store.js';
+import { normalizeSchema, checkChunk } from '../lib/schema.js';
+import { fieldValue } from '../lib/select.js';
+
+const MOBS = {
+  fields: {
+    health: { type: 'number', required: true, min: 0 },
+    behavior: { type: 'enum', values: ['hostile', 'neutral', 'passive'] },
+    added: { type: 'date', default: '2024-01-01' },
+  },
+};
+
+function tempStore(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = new Store(dir);
+  store.createProject('p');
+  store.createCategory('p', 'Mobs');
+  return store;
+}
+
+test('normalizeSchema rejects malformed schemas', () => {
+  assert.throws(() => normalizeSchema({ fields: { kind: { type: 'enum' } } }), /enum fields need "values"/);
+  assert.throws(() => normalizeSchema({ fields: { health: { type: 'number', default: 'lots' } } }), /default "lots" expected a number/);
+  assert.throws(() => normalizeSchema({ fields: { id: { type: 'colour' } } }), /Invalid metadata schema at "fields.id.type"/);
+  assert.equal(normalizeSchema({ fields: {} }), null);
+});
+
+test('checkChunk reports bad values and fills in defaults', () => {
+  const schema = normalizeSchema(MOBS);
+  const ch = { metadata: { page_title: '', source: '', license: '' }, customFields: [{ key: 'behavior', value: 'angry' }] };
+  assert.deepEqual(checkChunk(schema, ch), ['behavior: must be one of: hostile, neutral, passive (got "angry")', 'health: required']);
+  assert.deepEqual(ch.customFields.find(cf => cf.key === 'added'), { key: 'added', value: '2024-01-01' });
+
+  const untouched = { metadata: {}, customFields: [{ key: 'health', value: '20' }] };
+  assert.deepEqual(checkChunk(schema, untouched, { applyDefaults: false }), []);
+  assert.equal(untouched.customFields.length, 1);
+});
+
+test('add_chunk rejects violations and applies defaults; strict mode rejects undeclared fields', (t) => {
+  const store = tempStore(t);
+  store.setMetadataSchema('p', MOBS);
+
+  assert.throws(() => store.addChunk('p', 'Mobs', { id: 'ghast', text: 'Floats.', metadata: { health: '-1' } }), /health: must be at least 0/);
+  store.addChunk('p', 'Mobs', { id: 'creeper', text: 'Explodes.', metadata: { health: '20', color: 'green' } });
+  const creeper = store.getChunk('p', 'creeper');
+  assert.equal(fieldValue(creeper, 'added'), '2024-01-01');
+  assert.equal(fieldValue(creeper, 'color'), 'green');
+
+  store.setMetadataSchema('p', { ...MOBS, strict: true });
+  assert.throws(() => store.addChunk('p', 'Mobs', { id: 'pig', text: 'Oinks.', metadata: { health: '10', color: 'pink' } }), /color: not in the metadata schema/);
+  assert.throws(() => store.addChunk('p', 'Mobs', { id: 'cow', text: 'Moos.', metadata: { health: '10', Behavior: 'passive' } }), /did you mean "behavior"/);
+});
+
+test('refresh_sources does not write chunks that violate the schema', (t) => {
+  const store = tempStore(t);
+  const url = 'https://wiki.example/Creeper';
+  store.bulkAddChunks('p', 'Mobs', [
+    { id: 'creeper_0', text: 'Explodes.', metadata: { page_title: 'Creeper', source: url, health: '20' } },
+  ], { source: { url, baseId: 'creeper' } });
+  store.setMetadataSchema('p', MOBS);
+
+  const result = store.refreshSources('p', [{
+    url, baseId: 'creeper', options: {},
+    chunks: [
+      { id: 'creeper_0', text: 'Explodes loudly.', metadata: { page_title: 'Creeper', source: url, health: 'twenty' } },
+      { id: 'creeper_1', text: 'Drops gunpowder.', metadata: { page_title: 'Creeper', source: url, health: '20', behavior: 'angry' } },
+      { id: 'creeper_2', text: 'Fears cats.', metadata: { page_title: 'Creeper', source: url, health: '20' } },
+    ],
+  }]);
+  const [entry] = result.report;
+  assert.deepEqual(entry.added, ['creeper_2']);
+  assert.equal(entry.updated, undefined);
+  assert.deepEqual(entry.errors.map(e => e.id), ['creeper_0', 'creeper_1']);
+  assert.match(entry.errors[0].reason, /health: expected a number/);
+
+  assert.equal(store.getChunk('p', 'creeper_0').text, 'Explodes.');
+  assert.equal(fieldValue(store.getChunk('p', 'creeper_0'), 'health'), '20');
+  assert.throws(() => store.getChunk('p', 'creeper_1'), /not found/);
+  assert.equal(fieldValue(store.getChunk('p', 'creeper_2'), 'added'), '2024-01-01');
+});
+
+test('resolve_duplicates merge leaves clusters alone when the merged chunk would violate the schema', (t) => {
+  const store = tempStore(t);
+  const text = 'The creeper is a hostile mob that silently approaches players and explodes, destroying nearby blocks.';
+  store.addChunk('p', 'Mobs', { id: 'creeper', text, metadata: { source: 'https://wiki.example/Creeper', health: '20' } });
+  store.addChunk('p', 'Mobs', { id: 'creeper_copy', text, metadata: { health: '20', behavior: 'angry' } });
+  store.addChunk('p', 'Mobs', { id: 'zombie', text: `${text} Zombies too.`.replace('creeper', 'zombie'), metadata: { source: 'https://wiki.example/Zombie', health: '20' } });
+  store.addChunk('p', 'Mobs', { id: 'zombie_copy', text: `${text} Zombies too.`.replace('creeper', 'zombie'), metadata: { health: '20', behavior: 'hostile' } });
+  store.setMetadataSchema('p', MOBS);
+
+  const result = store.resolveDuplicates('p', { mode: 'merge', threshold: 0.95 });
+  assert.equal(result.removed, 1);
+  assert.deepEqual(result.details.map(d => d.kept), ['zombie']);
+  assert.deepEqual(result.errors.map(e => e.kept), ['creeper']);
+  assert.match(result.errors[0].reason, /behavior: must be one of/);
+
+  assert.equal(fieldValue(store.getChunk('p', 'creeper'), 'behavior'), undefined);
+  assert.equal(store.getChunk('p', 'creeper_copy').id, 'creeper_copy');
+  const zombie = store.getChunk('p', 'zombie');
+  assert.equal(fieldValue(zombie, 'behavior'), 'hostile');
+  assert.equal(fieldValue(zombie, 'added'), '2024-01-01');
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, searchProject, parseQuery } from '../lib/search.js';
+
+const chunk = (id, text, metadata = {}, custom = {}) => ({
+  _uid: id, id, text,
+  metadata: { page_title: '', source: '', license: 'CC BY-NC-SA 3.0', ...metadata },
+  customFields: Object.entries(custom).map(([key, value]) => ({ key, value })),
+});
+
+const project = {
+  categories: [
+    {
+      name: 'Mobs',
+      chunks: [
+        chunk('creeper', 'The creeper is a hostile mob that silently approaches players and explodes.', { page_title: 'Creeper', source: 'https://minecraft.wiki/w/Creeper' }, { health: '20' }),
+        chunk('zombie', 'Zombies are hostile undead mobs. A zombie burns in daylight.', { page_title: 'Zombie', source: 'https://minecraft.wiki/w/Zombie' }, { health: '20' }),
+        chunk('pig', 'Pigs are passive mobs found in grassy areas.', { page_title: 'Pig' }, { health: '10' }),
+      ],
+    },
+    {
+      name: 'Blocks',
+      chunks: [chunk('tnt', 'TNT explodes when lit, much like a creeper explosion. Opened at 12:30, see https://minecraft.wiki/w/TNT.', { page_title: 'TNT' })],
+    },
+  ],
+};
+
+const ids = (query, options) => searchProject(project, query, options).results.map(r => r.id);
+
+test('results are ranked by BM25, with id and title matches boosted', () => {
+  assert.deepEqual(ids('creeper'), ['creeper', 'tnt']);
+  assert.deepEqual(ids('zombie'), ['zombie']);
+});
+
+test('boolean operators, phrases, prefixes and grouping', () => {
+  assert.deepEqual(ids('hostile mob').sort(), ['creeper']);
+  assert.deepEqual(ids('creeper OR pig').sort(), ['creeper', 'pig', 'tnt']);
+  assert.deepEqual(ids('hostile -zombie'), ['creeper']);
+  assert.deepEqual(ids('hostile NOT creeper'), ['zombie']);
+  assert.deepEqual(ids('"silently approaches"'), ['creeper']);
+  assert.deepEqual(ids('"approaches silently"'), []);
+  assert.deepEqual(ids('explo*').sort(), ['creeper', 'tnt']);
+  assert.deepEqual(ids('(pig OR zombie) hostile'), ['zombie']);
+  assert.throws(() => parseQuery('(pig OR zombie'), /Unbalanced parentheses/);
+});
+
+test('field filters on built-in and custom fields', () => {
+  assert.deepEqual(ids('category:blocks'), ['tnt']);
+  assert.deepEqual(ids('health:20').sort(), ['creeper', 'zombie']);
+  assert.deepEqual(ids('source:*minecraft.wiki* undead'), ['zombie']);
+  assert.deepEqual(ids('text:"burns in"'), ['zombie']);
+  assert.deepEqual(ids('mobs -health:2?'), ['pig']);
+});
+
+test('word: prefixes that are not fields are searched as text', () => {
+  assert.deepEqual(ids('https://minecraft.wiki/w/TNT'), ['tnt']);
+  assert.deepEqual(ids('12:30'), ['tnt']);
+});
+
+test('paging and snippets', () => {
+  const first = searchProject(project, 'hostile OR passive', { limit: 1 });
+  const second = searchProject(project, 'hostile OR passive', { limit: 1, offset: 1 });
+  assert.equal(first.found, 3);
+  assert.equal(first.results.length, 1);
+  assert.notEqual(first.results[0].id, second.results[0].id);
+  assert.match(searchProject(project, 'daylight').results[0].snippet, /\*\*daylight\*\*/);
+});
+
+test('sync re-indexes changed chunks and forgets removed ones', () => {
+  const data = JSON.parse(JSON.stringify(project));
+  const index = new SearchIndex();
+  index.sync(data);
+  data.categories[0].chunks[2].text = 'Pigs can be ridden with a saddle.';
+  data.categories[0].chunks.splice(1, 1);
+  index.sync(data);
+  assert.deepEqual(index.search('saddle').results.map(r => r.id), ['pig']);
+  assert.equal(index.search('zombie').found, 0);
+  assert.equal(index.search('health:20').found, 1);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createStorage, BACKENDS } from '../lib/storage/index.js';
+import { JsonFileStorage } from '../lib/storage/json.js';
+
+function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'storage-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const project = (revision) => ({
+  name: 'p', createdAt: '2026-01-01T00:00:00.000Z', revision, licensePolicy: { target: 'CC BY-SA 4.0' },
+  categories: [{
+    id: 'cat-1', name: 'Mobs', chunks: [{
+      _uid: 'u1', id: 'creeper', text: 'Boom',
+      metadata: { page_title: 'Creeper', source: 'https://x.test/c', license: 'CC BY-SA 4.0' },
+      customFields: [{ key: 'health', value: '20' }],
+    }],
+  }],
+});
+
+for (const backend of BACKENDS) {
+  test(`${backend}: projects and history round-trip`, (t) => {
+    const storage = createStorage(backend, tempDir(t));
+    t.after(() => storage.close());
+    assert.equal(storage.read('p'), null);
+    assert.equal(storage.revision('p'), null);
+    storage.write('p', project(1));
+    assert.deepEqual(storage.read('p'), project(1));
+    assert.equal(storage.revision('p'), 1);
+    assert.deepEqual(storage.listProjects(), ['p']);
+
+    const next = project(2);
+    next.categories[0].chunks[0].text = 'Bang';
+    next.categories.push({ id: 'cat-2', name: 'Blocks', chunks: [] });
+    storage.write('p', next);
+    assert.deepEqual(storage.read('p'), next);
+    assert.equal(storage.revision('p'), 2);
+
+    const history = { format: 2, commits: [{ id: 'c1', timestamp: '2026-01-01T00:00:00.000Z', action: 'createProject', summary: 'Created', snapshot: project(1) }] };
+    storage.writeHistory('p', history);
+    assert.deepEqual(storage.readHistory('p').commits.map(c => c.id), ['c1']);
+
+    storage.remove('p');
+    assert.equal(storage.exists('p'), false);
+  });
+}
+
+test('json: revision is answered without re-reading an unchanged file', (t) => {
+  const storage = new JsonFileStorage(tempDir(t));
+  storage.write('p', project(3));
+  const parse = JSON.parse;
+  let parses = 0;
+  JSON.parse = (...args) => { parses++; return parse(...args); };
+  try {
+    assert.equal(storage.revision('p'), 3);
+    assert.equal(parses, 0);
+  } finally {
+    JSON.parse = parse;
+  }
+});
+
+test('json: a write by another process is seen by revision', (t) => {
+  const dir = tempDir(t);
+  const mine = new JsonFileStorage(dir);
+  const theirs = new JsonFileStorage(dir);
+  mine.write('p', project(1));
+  assert.equal(mine.revision('p'), 1);
+  theirs.write('p', project(2));
+  assert.equal(mine.revision('p'), 2);
+});
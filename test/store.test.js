@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Store } from '../lib/store.js';
+
+test('import_json overwrite moves the chunk into the import category', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = new Store(dir);
+  store.createProject('p');
+  store.createCategory('p', 'Old');
+  store.addChunk('p', 'Old', { id: 'creeper', text: 'old text' });
+
+  const result = store.importJSON('p', [{ id: 'creeper', text: 'new text' }], 'Mobs', { strategy: 'overwrite' });
+  assert.equal(result.overwritten, 1);
+  assert.equal(result.conflictDetails[0].movedTo, 'Mobs');
+  assert.deepEqual(store.listCategories('p'), [{ name: 'Old', chunks: 0 }, { name: 'Mobs', chunks: 1 }]);
+  const chunk = store.getChunk('p', 'creeper');
+  assert.equal(chunk.text, 'new text');
+  assert.equal(chunk.category, 'Mobs');
+});
+
+test('import_json keep_newer with inline data and no timestamp field skips conflicts', (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'store-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const store = new Store(dir);
+  store.createProject('p');
+  store.createCategory('p', 'Mobs');
+  store.addChunk('p', 'Mobs', { id: 'creeper', text: 'old text', metadata: { updated: '2026-01-01' } });
+
+  const inline = store.importJSON('p', [{ id: 'creeper', text: 'new text' }], 'Mobs', { strategy: 'keep_newer' });
+  assert.equal(inline.overwritten, undefined);
+  assert.equal(inline.conflictDetails[0].reason, 'no time to compare');
+  assert.equal(store.getChunk('p', 'creeper').text, 'old text');
+
+  const dated = store.importJSON('p', [{ id: 'creeper', text: 'new text', metadata: { updated: '2026-02-01' } }], 'Mobs', { strategy: 'keep_newer', timestampField: 'updated' });
+  assert.equal(dated.overwritten, 1);
+  assert.equal(store.getChunk('p', 'creeper').text, 'new text');
+});